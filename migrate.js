@@ -0,0 +1,147 @@
+// --- DATABASE MIGRATION RUNNER ---
+// Migrations live in ./migrations as NNN_description.js files exporting
+// up(client) and down(client). Each one runs in its own transaction and is
+// recorded in the "schema_migrations" table.
+//
+// Usage: node migrate.js [up | down | status]
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Arbitrary key for pg_advisory_lock so two deploys never migrate at once.
+const MIGRATION_LOCK_KEY = 7270001;
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+            return { version: file.split('_')[0], name: file.replace(/\.js$/, ''), up, down };
+        });
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+async function getMigrationStatus(pool) {
+    const client = await pool.connect();
+    try {
+        await ensureMigrationsTable(client);
+        const { rows } = await client.query('SELECT version, applied_at FROM schema_migrations');
+        const appliedAt = new Map(rows.map(r => [r.version, r.applied_at]));
+        return loadMigrations().map(m => ({ version: m.version, name: m.name, appliedAt: appliedAt.get(m.version) || null }));
+    } finally {
+        client.release();
+    }
+}
+
+async function getPendingMigrations(pool) {
+    const status = await getMigrationStatus(pool);
+    return status.filter(m => !m.appliedAt);
+}
+
+async function withMigrationLock(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        await ensureMigrationsTable(client);
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+        client.release();
+    }
+}
+
+async function runInTransaction(client, fn) {
+    await client.query('BEGIN');
+    try {
+        await fn();
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+}
+
+// Applies every pending migration in order and returns the ones it applied.
+function migrateUp(pool) {
+    return withMigrationLock(pool, async (client) => {
+        const { rows } = await client.query('SELECT version FROM schema_migrations');
+        const applied = new Set(rows.map(r => r.version));
+        const pending = loadMigrations().filter(m => !applied.has(m.version));
+        for (const migration of pending) {
+            console.log(`ACTION: Applying migration ${migration.name}...`);
+            await runInTransaction(client, async () => {
+                await migration.up(client);
+                await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+            });
+            console.log(`SUCCESS: Applied migration ${migration.name}.`);
+        }
+        if (pending.length === 0) {
+            console.log('INFO: Database schema is up to date. No migrations to apply.');
+        }
+        return pending;
+    });
+}
+
+// Reverts the most recently applied migration and returns it.
+function migrateDown(pool) {
+    return withMigrationLock(pool, async (client) => {
+        const { rows } = await client.query('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT 1');
+        if (rows.length === 0) {
+            console.log('INFO: No applied migrations to revert.');
+            return null;
+        }
+        const migration = loadMigrations().find(m => m.version === rows[0].version);
+        if (!migration) {
+            throw new Error(`Migration file for version ${rows[0].version} not found in ${MIGRATIONS_DIR}.`);
+        }
+        console.log(`ACTION: Reverting migration ${migration.name}...`);
+        await runInTransaction(client, async () => {
+            await migration.down(client);
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+        console.log(`SUCCESS: Reverted migration ${migration.name}.`);
+        return migration;
+    });
+}
+
+async function main(command) {
+    const pool = require('./db');
+    try {
+        if (command === 'up') {
+            await migrateUp(pool);
+        } else if (command === 'down') {
+            await migrateDown(pool);
+        } else if (command === 'status') {
+            const status = await getMigrationStatus(pool);
+            status.forEach(m => {
+                console.log(`${m.appliedAt ? 'applied' : 'PENDING'}  ${m.name}${m.appliedAt ? `  (${m.appliedAt.toISOString()})` : ''}`);
+            });
+            const pendingCount = status.filter(m => !m.appliedAt).length;
+            console.log(`INFO: ${status.length - pendingCount} applied, ${pendingCount} pending.`);
+        } else {
+            throw new Error(`Unknown command "${command}". Use "up", "down" or "status".`);
+        }
+    } finally {
+        await pool.end();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv[2] || 'up').catch((err) => {
+        console.error('Migration failed:', err);
+        process.exit(1);
+    });
+}
+
+module.exports = { getMigrationStatus, getPendingMigrations, migrateUp, migrateDown };
@@ -0,0 +1,194 @@
+// Baseline schema: the tables that setupDatabase() used to create on every boot.
+// Everything is IF NOT EXISTS so this also applies cleanly to databases that
+// were created by setupDatabase().
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS products (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            price NUMERIC(10, 2) NOT NULL,
+            description TEXT,
+            image_url VARCHAR(2048),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            sale_price NUMERIC(10, 2),
+            stock_quantity INTEGER NOT NULL DEFAULT 10,
+            is_featured BOOLEAN DEFAULT FALSE,
+            category VARCHAR(100)
+        );
+    `);
+    await client.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS category VARCHAR(100);');
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS orders (
+            id SERIAL PRIMARY KEY, customer_name VARCHAR(255) NOT NULL, phone_number VARCHAR(20) NOT NULL,
+            address TEXT NOT NULL, cart_items JSONB, order_amount NUMERIC(10, 2) NOT NULL,
+            razorpay_payment_id VARCHAR(255) NOT NULL, created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            user_uid VARCHAR(255),
+            status VARCHAR(50) NOT NULL DEFAULT 'Processing',
+            coupon_used VARCHAR(255),
+            discount_amount NUMERIC(10, 2) DEFAULT 0,
+            razorpay_order_id VARCHAR(255),
+            payment_status VARCHAR(30),
+            amount_refunded NUMERIC(10, 2) DEFAULT 0,
+            stock_reserved BOOLEAN DEFAULT FALSE,
+            cancellation_reason TEXT,
+            refund_status VARCHAR(30)
+        );
+    `);
+    await client.query(`
+        ALTER TABLE orders
+            ADD COLUMN IF NOT EXISTS razorpay_order_id VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS payment_status VARCHAR(30),
+            ADD COLUMN IF NOT EXISTS amount_refunded NUMERIC(10, 2) DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS stock_reserved BOOLEAN DEFAULT FALSE,
+            ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+            ADD COLUMN IF NOT EXISTS refund_status VARCHAR(30);
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS order_status_history (
+            id SERIAL PRIMARY KEY,
+            order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            from_status VARCHAR(50),
+            to_status VARCHAR(50) NOT NULL,
+            actor VARCHAR(255) NOT NULL,
+            note TEXT,
+            changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS returns (
+            id SERIAL PRIMARY KEY,
+            order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            user_uid VARCHAR(255) NOT NULL,
+            items JSONB NOT NULL,
+            reason VARCHAR(255) NOT NULL,
+            comments TEXT,
+            photo_urls JSONB DEFAULT '[]',
+            status VARCHAR(20) NOT NULL DEFAULT 'Requested',
+            resolution_note TEXT,
+            restocked BOOLEAN DEFAULT FALSE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            resolved_at TIMESTAMP WITH TIME ZONE
+        );
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS refunds (
+            id SERIAL PRIMARY KEY,
+            order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            return_id INTEGER REFERENCES returns(id) ON DELETE SET NULL,
+            amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+            method VARCHAR(50) NOT NULL,
+            reference VARCHAR(255) UNIQUE,
+            note TEXT,
+            created_by VARCHAR(255),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS shipments (
+            id SERIAL PRIMARY KEY,
+            order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            carrier VARCHAR(100) NOT NULL,
+            tracking_number VARCHAR(100) NOT NULL,
+            expected_delivery_date DATE,
+            items JSONB NOT NULL,
+            shipped_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS razorpay_orders (
+            razorpay_order_id VARCHAR(255) PRIMARY KEY,
+            user_uid VARCHAR(255) NOT NULL,
+            amount INTEGER NOT NULL,
+            currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+            status VARCHAR(30) NOT NULL DEFAULT 'created',
+            order_id INTEGER,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS payment_webhook_events (
+            event_id VARCHAR(255) PRIMARY KEY,
+            event_type VARCHAR(100) NOT NULL,
+            payload JSONB,
+            received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id SERIAL PRIMARY KEY, email VARCHAR(255) UNIQUE NOT NULL, firebase_uid VARCHAR(255) UNIQUE NOT NULL,
+            phone VARCHAR(20) UNIQUE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            delete_code VARCHAR(6),
+            delete_code_expires_at TIMESTAMP WITH TIME ZONE,
+            deleted_at TIMESTAMP WITH TIME ZONE,
+            is_blocked_from_reviewing BOOLEAN DEFAULT FALSE
+        );
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS coupons (
+            id SERIAL PRIMARY KEY,
+            code VARCHAR(255) UNIQUE NOT NULL,
+            discount_type VARCHAR(20) NOT NULL,
+            discount_value NUMERIC(10, 2) NOT NULL,
+            is_active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            starts_on DATE,
+            ends_on DATE,
+            min_order_amount NUMERIC(10, 2),
+            max_discount_amount NUMERIC(10, 2),
+            usage_limit INTEGER,
+            per_user_limit INTEGER,
+            applicable_categories TEXT[],
+            applicable_product_ids INTEGER[],
+            first_order_only BOOLEAN DEFAULT FALSE
+        );
+    `);
+    await client.query(`
+        ALTER TABLE coupons
+            ADD COLUMN IF NOT EXISTS starts_on DATE,
+            ADD COLUMN IF NOT EXISTS ends_on DATE,
+            ADD COLUMN IF NOT EXISTS min_order_amount NUMERIC(10, 2),
+            ADD COLUMN IF NOT EXISTS max_discount_amount NUMERIC(10, 2),
+            ADD COLUMN IF NOT EXISTS usage_limit INTEGER,
+            ADD COLUMN IF NOT EXISTS per_user_limit INTEGER,
+            ADD COLUMN IF NOT EXISTS applicable_categories TEXT[],
+            ADD COLUMN IF NOT EXISTS applicable_product_ids INTEGER[],
+            ADD COLUMN IF NOT EXISTS first_order_only BOOLEAN DEFAULT FALSE;
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS reviews (
+            id SERIAL PRIMARY KEY,
+            product_name VARCHAR(255) NOT NULL,
+            user_uid VARCHAR(255) NOT NULL,
+            rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
+            review_text TEXT,
+            reviewer_name VARCHAR(255),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            is_approved BOOLEAN DEFAULT TRUE
+        );
+    `);
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS addresses (
+            id SERIAL PRIMARY KEY,
+            user_uid VARCHAR(255) NOT NULL,
+            full_name VARCHAR(255) NOT NULL,
+            phone_number VARCHAR(20) NOT NULL,
+            street VARCHAR(255) NOT NULL,
+            locality VARCHAR(255) NOT NULL,
+            city VARCHAR(100) NOT NULL,
+            pincode VARCHAR(10) NOT NULL,
+            state VARCHAR(100) NOT NULL,
+            country VARCHAR(100) NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+// The baseline is applied on top of live databases, so reverting it would drop
+// the shop's products, orders and customers.
+async function down() {
+    throw new Error('The baseline schema cannot be reverted. Restore a backup instead.');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+// Indexes for the lookups the API runs on every request: a customer's orders,
+// a product's reviews and the per-order child tables.
+
+const INDEXES = [
+    ['idx_orders_user_uid', 'orders (user_uid)'],
+    ['idx_orders_created_at', 'orders (created_at DESC)'],
+    ['idx_orders_coupon_used', 'orders (coupon_used) WHERE coupon_used IS NOT NULL'],
+    ['idx_orders_razorpay_payment_id', 'orders (razorpay_payment_id)'],
+    ['idx_orders_razorpay_order_id', 'orders (razorpay_order_id) WHERE razorpay_order_id IS NOT NULL'],
+    ['idx_products_category', 'products (category)'],
+    ['idx_reviews_product_name', 'reviews (product_name)'],
+    ['idx_reviews_user_uid', 'reviews (user_uid)'],
+    ['idx_addresses_user_uid', 'addresses (user_uid)'],
+    ['idx_order_status_history_order_id', 'order_status_history (order_id)'],
+    ['idx_returns_order_id', 'returns (order_id)'],
+    ['idx_refunds_order_id', 'refunds (order_id)'],
+    ['idx_shipments_order_id', 'shipments (order_id)'],
+];
+
+async function up(client) {
+    for (const [name, definition] of INDEXES) {
+        await client.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${definition};`);
+    }
+}
+
+async function down(client) {
+    for (const [name] of INDEXES) {
+        await client.query(`DROP INDEX IF EXISTS ${name};`);
+    }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,106 @@
+// Stable product identifiers: a unique slug for storefront URLs, an optional
+// SKU, redirects for retired slugs, and product_id references on reviews and
+// order line items so renaming a product no longer breaks them.
+
+// The key the storefront used to derive from product names before slugs existed.
+const LEGACY_KEY = "lower(replace(name, ' ', '-'))";
+
+async function up(client) {
+    await client.query(`
+        ALTER TABLE products ADD COLUMN IF NOT EXISTS slug VARCHAR(255);
+        ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(64);
+    `);
+
+    // Backfill slugs from names; the lowest id keeps the bare slug on a collision
+    // and the others get their id appended. Every bare slug is claimed before any
+    // fallback, so a fallback such as "makhana-7" never takes the slug that a
+    // product named "Makhana 7" is given.
+    const { rows: candidates } = await client.query(`
+        SELECT id, COALESCE(NULLIF(trim(both '-' from regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g')), ''), 'product') AS base
+        FROM products WHERE slug IS NULL ORDER BY id
+    `);
+    const { rows: existing } = await client.query('SELECT slug FROM products WHERE slug IS NOT NULL');
+    const taken = new Set(existing.map(r => r.slug));
+    const slugs = new Map();
+    for (const { id, base } of candidates) {
+        if (!taken.has(base)) {
+            taken.add(base);
+            slugs.set(id, base);
+        }
+    }
+    for (const { id, base } of candidates) {
+        if (slugs.has(id)) {
+            continue;
+        }
+        let slug = `${base}-${id}`;
+        for (let n = 2; taken.has(slug); n++) {
+            slug = `${base}-${id}-${n}`;
+        }
+        taken.add(slug);
+        slugs.set(id, slug);
+    }
+    for (const [id, slug] of slugs) {
+        await client.query('UPDATE products SET slug = $1 WHERE id = $2', [slug, id]);
+    }
+    await client.query(`
+        ALTER TABLE products ALTER COLUMN slug SET NOT NULL;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_products_slug ON products (slug);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku ON products (sku) WHERE sku IS NOT NULL;
+
+        CREATE TABLE IF NOT EXISTS product_slug_redirects (
+            slug VARCHAR(255) PRIMARY KEY,
+            product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_product_slug_redirects_product_id ON product_slug_redirects (product_id);
+    `);
+
+    // Keep the old name-derived URLs resolving.
+    await client.query(`
+        INSERT INTO product_slug_redirects (slug, product_id)
+        SELECT DISTINCT ON (${LEGACY_KEY}) ${LEGACY_KEY}, id FROM products
+        WHERE ${LEGACY_KEY} <> slug AND NOT EXISTS (SELECT 1 FROM products o WHERE o.slug = ${LEGACY_KEY})
+        ORDER BY ${LEGACY_KEY}, id
+        ON CONFLICT (slug) DO NOTHING;
+    `);
+
+    // Reviews stored either the hyphenated or the spaced product name.
+    await client.query(`
+        ALTER TABLE reviews ADD COLUMN IF NOT EXISTS product_id INTEGER REFERENCES products(id) ON DELETE SET NULL;
+        UPDATE reviews r SET product_id = p.id
+        FROM products p
+        WHERE r.product_id IS NULL AND lower(replace(r.product_name, ' ', '-')) = lower(replace(p.name, ' ', '-'));
+        CREATE INDEX IF NOT EXISTS idx_reviews_product_id ON reviews (product_id);
+    `);
+
+    // Orders placed before line items carried a productId are keyed by product name.
+    await client.query(`
+        UPDATE orders o
+        SET cart_items = (
+            SELECT jsonb_object_agg(
+                e.key,
+                CASE WHEN jsonb_typeof(e.value) <> 'object' OR e.value ? 'productId' OR p.id IS NULL THEN e.value
+                     ELSE e.value || jsonb_build_object('productId', p.id) END
+            )
+            FROM jsonb_each(o.cart_items) e
+            LEFT JOIN products p ON lower(replace(p.name, ' ', '-')) = lower(replace(trim(e.key), ' ', '-'))
+        )
+        WHERE jsonb_typeof(o.cart_items) = 'object'
+          AND EXISTS (SELECT 1 FROM jsonb_each(o.cart_items) e WHERE jsonb_typeof(e.value) = 'object' AND NOT e.value ? 'productId');
+    `);
+}
+
+async function down(client) {
+    // Order line items keep their productId; older code ignores it.
+    await client.query(`
+        DROP INDEX IF EXISTS idx_reviews_product_id;
+        ALTER TABLE reviews DROP COLUMN IF EXISTS product_id;
+        DROP TABLE IF EXISTS product_slug_redirects;
+        DROP INDEX IF EXISTS idx_products_sku;
+        DROP INDEX IF EXISTS idx_products_slug;
+        ALTER TABLE products DROP COLUMN IF EXISTS sku;
+        ALTER TABLE products DROP COLUMN IF EXISTS slug;
+    `);
+}
+
+module.exports = { up, down };
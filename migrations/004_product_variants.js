@@ -0,0 +1,29 @@
+// Pack sizes of one product (100g, 250g, 500g...) with their own SKU, price and
+// stock. Products without variants keep selling from the products row.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS product_variants (
+            id SERIAL PRIMARY KEY,
+            product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            label VARCHAR(100) NOT NULL,
+            weight_grams INTEGER,
+            sku VARCHAR(64),
+            price NUMERIC(10, 2) NOT NULL,
+            sale_price NUMERIC(10, 2),
+            stock_quantity INTEGER NOT NULL DEFAULT 0,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            UNIQUE (product_id, label)
+        );
+        CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants (product_id);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_sku ON product_variants (sku) WHERE sku IS NOT NULL;
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS product_variants;');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Product galleries. products.image_url is kept as a copy of the primary image's
+// URL for anything that still reads the single-image column.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS product_images (
+            id SERIAL PRIMARY KEY,
+            product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            url TEXT NOT NULL,
+            alt_text VARCHAR(255),
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+            storage_path TEXT,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_product_images_product_id ON product_images (product_id, sort_order);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_product_images_primary ON product_images (product_id) WHERE is_primary;
+    `);
+    await client.query(`
+        INSERT INTO product_images (product_id, url, alt_text, sort_order, is_primary)
+        SELECT p.id, p.image_url, p.name, 0, TRUE FROM products p
+        WHERE p.image_url IS NOT NULL AND p.image_url <> ''
+          AND NOT EXISTS (SELECT 1 FROM product_images i WHERE i.product_id = p.id);
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS product_images;');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Categories move from hardcoded admin lists into their own table. Products keep
+// the category slug in products.category, now a foreign key that follows renames.
+
+const SEED_CATEGORIES = [
+    ['premium-raw-makhana', 'Premium Raw Makhana', 1],
+    ['premium-flavored-makhana', 'Premium Flavored Makhana', 2],
+    ['nuts', 'Nuts', 3],
+];
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS categories (
+            id SERIAL PRIMARY KEY,
+            slug VARCHAR(100) UNIQUE NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            description TEXT,
+            image_url TEXT,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            CHECK (parent_id IS NULL OR parent_id <> id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories (parent_id);
+    `);
+    for (const [slug, name, sortOrder] of SEED_CATEGORIES) {
+        await client.query(
+            'INSERT INTO categories (slug, name, sort_order) VALUES ($1, $2, $3) ON CONFLICT (slug) DO NOTHING',
+            [slug, name, sortOrder]
+        );
+    }
+    // Any other value already used by products becomes a top-level category.
+    await client.query(`
+        INSERT INTO categories (slug, name, sort_order)
+        SELECT DISTINCT category, initcap(replace(category, '-', ' ')), 100 FROM products
+        WHERE category IS NOT NULL AND category <> ''
+        ON CONFLICT (slug) DO NOTHING;
+        UPDATE products SET category = NULL WHERE category = '';
+        ALTER TABLE products DROP CONSTRAINT IF EXISTS products_category_fkey;
+        ALTER TABLE products ADD CONSTRAINT products_category_fkey
+            FOREIGN KEY (category) REFERENCES categories(slug) ON UPDATE CASCADE ON DELETE RESTRICT;
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        ALTER TABLE products DROP CONSTRAINT IF EXISTS products_category_fkey;
+        DROP TABLE IF EXISTS categories;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Full-text product search: a weighted tsvector over name, category and
+// description, trigram indexes for misspellings, and a tally of searches that
+// found nothing.
+
+async function up(client) {
+    await client.query(`
+        CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+        ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+            setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+            setweight(to_tsvector('english', replace(coalesce(category, ''), '-', ' ')), 'B') ||
+            setweight(to_tsvector('english', coalesce(description, '')), 'C')
+        ) STORED;
+        CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
+        CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN (lower(name) gin_trgm_ops);
+        CREATE INDEX IF NOT EXISTS idx_categories_name_trgm ON categories USING GIN (lower(name) gin_trgm_ops);
+
+        CREATE TABLE IF NOT EXISTS zero_result_searches (
+            query VARCHAR(200) PRIMARY KEY,
+            search_count INTEGER NOT NULL DEFAULT 1,
+            first_searched_at TIMESTAMPTZ DEFAULT NOW(),
+            last_searched_at TIMESTAMPTZ DEFAULT NOW()
+        );
+    `);
+}
+
+// pg_trgm is left installed; other schemas on the database may rely on it.
+async function down(client) {
+    await client.query(`
+        DROP TABLE IF EXISTS zero_result_searches;
+        DROP INDEX IF EXISTS idx_categories_name_trgm;
+        DROP INDEX IF EXISTS idx_products_name_trgm;
+        DROP INDEX IF EXISTS idx_products_search_vector;
+        ALTER TABLE products DROP COLUMN IF EXISTS search_vector;
+    `);
+}
+
+module.exports = { up, down };
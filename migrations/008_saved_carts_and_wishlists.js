@@ -0,0 +1,33 @@
+// Carts and wishlists saved per signed-in customer (Firebase uid), so they
+// follow the customer across devices.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS saved_cart_items (
+            id SERIAL PRIMARY KEY,
+            user_uid VARCHAR(255) NOT NULL,
+            product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+            quantity INTEGER NOT NULL CHECK (quantity BETWEEN 1 AND 100),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_cart_items_line ON saved_cart_items (user_uid, product_id, COALESCE(variant_id, 0));
+
+        CREATE TABLE IF NOT EXISTS wishlist_items (
+            user_uid VARCHAR(255) NOT NULL,
+            product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (user_uid, product_id)
+        );
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        DROP TABLE IF EXISTS wishlist_items;
+        DROP TABLE IF EXISTS saved_cart_items;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+// Review moderation and helpful votes. reviews.is_approved is replaced by a
+// moderation_status, and app_settings holds shop-wide switches such as whether
+// new reviews wait for approval.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS app_settings (
+            key VARCHAR(100) PRIMARY KEY,
+            value JSONB NOT NULL,
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        INSERT INTO app_settings (key, value) VALUES ('reviews.require_approval', 'false') ON CONFLICT (key) DO NOTHING;
+
+        ALTER TABLE reviews
+            ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) NOT NULL DEFAULT 'approved'
+                CHECK (moderation_status IN ('pending', 'approved', 'rejected')),
+            ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS helpful_count INTEGER NOT NULL DEFAULT 0;
+    `);
+    // Reviews hidden through is_approved = FALSE go back to the queue.
+    const { rows } = await client.query(
+        "SELECT 1 FROM information_schema.columns WHERE table_name = 'reviews' AND column_name = 'is_approved'"
+    );
+    if (rows.length > 0) {
+        await client.query(`
+            UPDATE reviews SET moderation_status = 'pending' WHERE is_approved = FALSE;
+            ALTER TABLE reviews DROP COLUMN is_approved;
+        `);
+    }
+    await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_reviews_product_status ON reviews (product_id, moderation_status);
+        CREATE TABLE IF NOT EXISTS review_helpful_votes (
+            review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+            user_uid VARCHAR(255) NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (review_id, user_uid)
+        );
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        DROP TABLE IF EXISTS review_helpful_votes;
+        DROP INDEX IF EXISTS idx_reviews_product_status;
+        ALTER TABLE reviews ADD COLUMN IF NOT EXISTS is_approved BOOLEAN DEFAULT TRUE;
+        UPDATE reviews SET is_approved = (moderation_status = 'approved');
+        ALTER TABLE reviews
+            DROP COLUMN IF EXISTS moderation_status,
+            DROP COLUMN IF EXISTS moderated_at,
+            DROP COLUMN IF EXISTS helpful_count;
+        DROP TABLE IF EXISTS app_settings;
+    `);
+}
+
+module.exports = { up, down };
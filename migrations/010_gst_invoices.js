@@ -0,0 +1,39 @@
+// GST tax invoices: HSN code and GST rate per product, the place of supply and
+// tax split stored on each order, and a gap-free invoice number series per
+// financial year. Orders placed before this keep a NULL invoice_number and are
+// rendered with the old invoice layout.
+
+async function up(client) {
+    await client.query(`
+        ALTER TABLE products
+            ADD COLUMN IF NOT EXISTS hsn_code VARCHAR(8),
+            ADD COLUMN IF NOT EXISTS gst_rate NUMERIC(5, 2) NOT NULL DEFAULT 5;
+
+        ALTER TABLE orders
+            ADD COLUMN IF NOT EXISTS shipping_state VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS tax_type VARCHAR(10),
+            ADD COLUMN IF NOT EXISTS tax_breakdown JSONB,
+            ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(30) UNIQUE;
+
+        CREATE TABLE IF NOT EXISTS invoice_sequences (
+            financial_year VARCHAR(7) PRIMARY KEY,
+            last_number INTEGER NOT NULL
+        );
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        DROP TABLE IF EXISTS invoice_sequences;
+        ALTER TABLE orders
+            DROP COLUMN IF EXISTS invoice_number,
+            DROP COLUMN IF EXISTS tax_breakdown,
+            DROP COLUMN IF EXISTS tax_type,
+            DROP COLUMN IF EXISTS shipping_state;
+        ALTER TABLE products
+            DROP COLUMN IF EXISTS gst_rate,
+            DROP COLUMN IF EXISTS hsn_code;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,88 @@
+// Shipping rules: zones matched by pincode range or state, weight slabs and a
+// free-shipping threshold per zone, a COD surcharge, and pincodes we cannot
+// deliver to. The seeded default zone reproduces the old flat rule (free from
+// Rs 500, otherwise Rs 99) for every destination.
+
+async function up(client) {
+    await client.query(`
+        ALTER TABLE products ADD COLUMN IF NOT EXISTS weight_grams INTEGER CHECK (weight_grams > 0);
+
+        CREATE TABLE IF NOT EXISTS shipping_zones (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            is_default BOOLEAN NOT NULL DEFAULT FALSE,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            free_shipping_threshold NUMERIC(10, 2),
+            cod_surcharge NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (cod_surcharge >= 0),
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_shipping_zones_default ON shipping_zones (is_default) WHERE is_default;
+
+        CREATE TABLE IF NOT EXISTS shipping_zone_pincode_ranges (
+            id SERIAL PRIMARY KEY,
+            zone_id INTEGER NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+            pincode_from CHAR(6) NOT NULL,
+            pincode_to CHAR(6) NOT NULL,
+            CHECK (pincode_from <= pincode_to)
+        );
+        CREATE INDEX IF NOT EXISTS idx_shipping_zone_pincode_ranges_zone ON shipping_zone_pincode_ranges (zone_id);
+
+        CREATE TABLE IF NOT EXISTS shipping_zone_states (
+            zone_id INTEGER NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+            state VARCHAR(100) NOT NULL,
+            PRIMARY KEY (zone_id, state)
+        );
+
+        -- A slab with no max_weight_grams covers every heavier parcel.
+        CREATE TABLE IF NOT EXISTS shipping_rate_slabs (
+            id SERIAL PRIMARY KEY,
+            zone_id INTEGER NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+            max_weight_grams INTEGER CHECK (max_weight_grams > 0),
+            rate NUMERIC(10, 2) NOT NULL CHECK (rate >= 0)
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_shipping_rate_slabs_weight ON shipping_rate_slabs (zone_id, COALESCE(max_weight_grams, 0));
+
+        CREATE TABLE IF NOT EXISTS non_serviceable_pincodes (
+            pincode CHAR(6) PRIMARY KEY,
+            reason VARCHAR(255),
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+
+        ALTER TABLE orders
+            ADD COLUMN IF NOT EXISTS shipping_pincode CHAR(6),
+            ADD COLUMN IF NOT EXISTS shipping_zone_id INTEGER REFERENCES shipping_zones(id) ON DELETE SET NULL,
+            ADD COLUMN IF NOT EXISTS shipping_cost NUMERIC(10, 2),
+            ADD COLUMN IF NOT EXISTS cod_surcharge NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+        INSERT INTO app_settings (key, value) VALUES ('shipping.default_item_weight_grams', '250') ON CONFLICT (key) DO NOTHING;
+    `);
+    const { rows } = await client.query('SELECT 1 FROM shipping_zones LIMIT 1');
+    if (rows.length === 0) {
+        await client.query(`
+            WITH zone AS (
+                INSERT INTO shipping_zones (name, is_default, free_shipping_threshold) VALUES ('Rest of India', TRUE, 500) RETURNING id
+            )
+            INSERT INTO shipping_rate_slabs (zone_id, max_weight_grams, rate) SELECT id, NULL, 99 FROM zone;
+        `);
+    }
+}
+
+async function down(client) {
+    await client.query(`
+        DELETE FROM app_settings WHERE key = 'shipping.default_item_weight_grams';
+        ALTER TABLE orders
+            DROP COLUMN IF EXISTS cod_surcharge,
+            DROP COLUMN IF EXISTS shipping_cost,
+            DROP COLUMN IF EXISTS shipping_zone_id,
+            DROP COLUMN IF EXISTS shipping_pincode;
+        DROP TABLE IF EXISTS non_serviceable_pincodes;
+        DROP TABLE IF EXISTS shipping_rate_slabs;
+        DROP TABLE IF EXISTS shipping_zone_states;
+        DROP TABLE IF EXISTS shipping_zone_pincode_ranges;
+        DROP TABLE IF EXISTS shipping_zones;
+        ALTER TABLE products DROP COLUMN IF EXISTS weight_grams;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+// Individual admin accounts replace the shared ADMIN_PASSWORD. Passwords are
+// stored as scrypt hashes and sessions as SHA-256 hashes of random tokens, so
+// neither can be replayed from a copy of the database. The first owner is
+// created at startup from ADMIN_EMAIL and ADMIN_PASSWORD.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS admin_users (
+            id SERIAL PRIMARY KEY,
+            email VARCHAR(255) UNIQUE NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            password_hash TEXT NOT NULL,
+            role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'order-manager', 'catalog-editor', 'support')),
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            failed_login_count INTEGER NOT NULL DEFAULT 0,
+            locked_until TIMESTAMPTZ,
+            last_login_at TIMESTAMPTZ,
+            password_changed_at TIMESTAMPTZ DEFAULT NOW(),
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+            token_hash CHAR(64) PRIMARY KEY,
+            admin_user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+            csrf_token CHAR(64) NOT NULL,
+            ip_address VARCHAR(45),
+            user_agent TEXT,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+            expires_at TIMESTAMPTZ NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions (admin_user_id);
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        DROP TABLE IF EXISTS admin_sessions;
+        DROP TABLE IF EXISTS admin_users;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// A permanent record of admin changes: who made them, to which entity, and the
+// before and after value of every changed field. actor_email is copied so an
+// entry still names its author after the admin account is removed.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS admin_audit_log (
+            id BIGSERIAL PRIMARY KEY,
+            admin_user_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+            actor_email VARCHAR(255) NOT NULL,
+            action VARCHAR(50) NOT NULL,
+            entity_type VARCHAR(30) NOT NULL,
+            entity_id VARCHAR(128),
+            changes JSONB NOT NULL DEFAULT '{}',
+            ip_address VARCHAR(45),
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+        CREATE INDEX IF NOT EXISTS idx_admin_audit_log_entity ON admin_audit_log (entity_type, entity_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log (created_at DESC);
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS admin_audit_log;');
+}
+
+module.exports = { up, down };
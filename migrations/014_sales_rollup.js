@@ -0,0 +1,55 @@
+// Daily sales rollups behind the admin dashboard and /admin/api/reports. Each
+// row is rebuilt from orders by the server (see refreshSalesRollup), so these
+// tables hold no data of their own and may be truncated at any time. Days are
+// calendar days in India time.
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS daily_sales (
+            day DATE PRIMARY KEY,
+            order_count INTEGER NOT NULL DEFAULT 0,
+            revenue NUMERIC(12, 2) NOT NULL DEFAULT 0,
+            discount_total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+            refunded_total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+            cod_order_count INTEGER NOT NULL DEFAULT 0,
+            cod_revenue NUMERIC(12, 2) NOT NULL DEFAULT 0,
+            prepaid_order_count INTEGER NOT NULL DEFAULT 0,
+            prepaid_revenue NUMERIC(12, 2) NOT NULL DEFAULT 0,
+            coupon_order_count INTEGER NOT NULL DEFAULT 0,
+            new_customer_order_count INTEGER NOT NULL DEFAULT 0,
+            returning_customer_order_count INTEGER NOT NULL DEFAULT 0,
+            refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        -- product_key is the product id, or the cart key for lines saved before
+        -- orders recorded one.
+        CREATE TABLE IF NOT EXISTS daily_product_sales (
+            day DATE NOT NULL,
+            product_key VARCHAR(255) NOT NULL,
+            product_id INTEGER,
+            name VARCHAR(255) NOT NULL,
+            units INTEGER NOT NULL,
+            revenue NUMERIC(12, 2) NOT NULL,
+            PRIMARY KEY (day, product_key)
+        );
+
+        CREATE TABLE IF NOT EXISTS daily_coupon_usage (
+            day DATE NOT NULL,
+            coupon_code VARCHAR(255) NOT NULL,
+            order_count INTEGER NOT NULL,
+            discount_total NUMERIC(12, 2) NOT NULL,
+            revenue NUMERIC(12, 2) NOT NULL,
+            PRIMARY KEY (day, coupon_code)
+        );
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        DROP TABLE IF EXISTS daily_coupon_usage;
+        DROP TABLE IF EXISTS daily_product_sales;
+        DROP TABLE IF EXISTS daily_sales;
+    `);
+}
+
+module.exports = { up, down };
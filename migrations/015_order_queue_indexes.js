@@ -0,0 +1,25 @@
+// Indexes for the paginated admin order queue: its status filter, and trigram
+// indexes so the free-text search can match part of a customer's name, phone
+// number or payment id without scanning every order.
+
+const INDEXES = [
+    ['idx_orders_status_created_at', 'orders (status, created_at DESC)'],
+    ['idx_orders_customer_name_trgm', 'orders USING GIN (customer_name gin_trgm_ops)'],
+    ['idx_orders_phone_number_trgm', 'orders USING GIN (phone_number gin_trgm_ops)'],
+    ['idx_orders_razorpay_payment_id_trgm', 'orders USING GIN (razorpay_payment_id gin_trgm_ops)'],
+];
+
+async function up(client) {
+    await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+    for (const [name, definition] of INDEXES) {
+        await client.query(`CREATE INDEX IF NOT EXISTS ${name} ON ${definition};`);
+    }
+}
+
+async function down(client) {
+    for (const [name] of INDEXES) {
+        await client.query(`DROP INDEX IF EXISTS ${name};`);
+    }
+}
+
+module.exports = { up, down };
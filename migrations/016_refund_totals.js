@@ -0,0 +1,17 @@
+// orders.amount_refunded is now kept in step with the refunds table. Refunds
+// recorded by hand never added to it, so totals are raised to match the
+// recorded refunds. Totals are never lowered: Razorpay refunds that arrived
+// before the refunds table existed only ever reached amount_refunded.
+
+async function up(client) {
+    await client.query(`
+        UPDATE orders o SET amount_refunded = r.total
+        FROM (SELECT order_id, SUM(amount) AS total FROM refunds GROUP BY order_id) r
+        WHERE r.order_id = o.id AND COALESCE(o.amount_refunded, 0) < r.total;
+    `);
+}
+
+// Nothing to undo: the raised totals stay correct.
+async function down() {}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Marks Razorpay payments that were verified at checkout but ended without an
+// order (stock ran out, a coupon lapsed, the amount no longer matched), so the
+// customer can be refunded. payment_id is the payment that needs refunding.
+
+async function up(client) {
+    await client.query(`
+        ALTER TABLE razorpay_orders
+            ADD COLUMN IF NOT EXISTS payment_id VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS refund_reason TEXT,
+            ADD COLUMN IF NOT EXISTS refund_required_at TIMESTAMPTZ;
+        CREATE INDEX IF NOT EXISTS idx_razorpay_orders_refund_required ON razorpay_orders (refund_required_at)
+            WHERE refund_required_at IS NOT NULL;
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        DROP INDEX IF EXISTS idx_razorpay_orders_refund_required;
+        ALTER TABLE razorpay_orders
+            DROP COLUMN IF EXISTS refund_required_at,
+            DROP COLUMN IF EXISTS refund_reason,
+            DROP COLUMN IF EXISTS payment_id;
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// orders.updated_at, bumped by a trigger on every change to an order, so the
+// hourly sales rollup can rebuild the days of older orders whose status,
+// payment or refunds have changed since it last ran. Existing orders start
+// from their created_at.
+
+async function up(client) {
+    await client.query(`
+        ALTER TABLE orders ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+        UPDATE orders SET updated_at = COALESCE(created_at, NOW()) WHERE updated_at IS NULL;
+        ALTER TABLE orders ALTER COLUMN updated_at SET DEFAULT NOW(), ALTER COLUMN updated_at SET NOT NULL;
+        CREATE INDEX IF NOT EXISTS idx_orders_updated_at ON orders (updated_at);
+
+        CREATE OR REPLACE FUNCTION set_order_updated_at() RETURNS trigger AS $$
+        BEGIN
+            NEW.updated_at := NOW();
+            RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql;
+        DROP TRIGGER IF EXISTS orders_set_updated_at ON orders;
+        CREATE TRIGGER orders_set_updated_at BEFORE UPDATE ON orders
+            FOR EACH ROW EXECUTE FUNCTION set_order_updated_at();
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        DROP TRIGGER IF EXISTS orders_set_updated_at ON orders;
+        DROP FUNCTION IF EXISTS set_order_updated_at();
+        DROP INDEX IF EXISTS idx_orders_updated_at;
+        ALTER TABLE orders DROP COLUMN IF EXISTS updated_at;
+    `);
+}
+
+module.exports = { up, down };
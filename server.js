@@ -1,1185 +1,6758 @@
-// --- SERVER.JS WITH PDF INVOICE GENERATION (COMPLETE CODE) ---
-
-const express = require('express');
-const { Pool } = require('pg');
-const cors = require('cors');
-const Joi = require('joi');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const he = require('he');
-require('dotenv').config();
-const sgMail = require('@sendgrid/mail');
-const crypto = require('crypto');
-const cookieParser = require('cookie-parser');
-const PDFDocument = require('pdfkit'); // PDF LIBRARY
-
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
-const admin = require('firebase-admin');
-const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
-
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount)
-});
-
-const app = express();
-const port = process.env.PORT || 3000;
-
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(cookieParser());
-
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 150,
-});
-app.use(limiter);
-
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: {
-        rejectUnauthorized: false
-    }
-});
-
-
-async function setupDatabase() {
-    const client = await pool.connect();
-    try {
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS products (
-                id SERIAL PRIMARY KEY,
-                name VARCHAR(255) NOT NULL,
-                price NUMERIC(10, 2) NOT NULL,
-                description TEXT,
-                image_url VARCHAR(2048),
-                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                sale_price NUMERIC(10, 2),
-                stock_quantity INTEGER NOT NULL DEFAULT 10,
-                is_featured BOOLEAN DEFAULT FALSE,
-                category VARCHAR(100)
-            );
-        `);
-        console.log('INFO: "products" table schema is up to date.');
-        
-        console.log('INFO: Checking if "category" column exists in "products" table...');
-        const checkColumnResult = await client.query(`
-            SELECT 1 FROM information_schema.columns
-            WHERE table_name = 'products' AND column_name = 'category'
-        `);
-
-        if (checkColumnResult.rowCount === 0) {
-            console.log('ACTION: "category" column not found. Adding it now...');
-            await client.query('ALTER TABLE products ADD COLUMN category VARCHAR(100);');
-            console.log('SUCCESS: "category" column has been added to the "products" table.');
-        } else {
-            console.log('INFO: "category" column already exists. No action needed.');
-        }
-
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS orders (
-                id SERIAL PRIMARY KEY, customer_name VARCHAR(255) NOT NULL, phone_number VARCHAR(20) NOT NULL,
-                address TEXT NOT NULL, cart_items JSONB, order_amount NUMERIC(10, 2) NOT NULL,
-                razorpay_payment_id VARCHAR(255) NOT NULL, created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                user_uid VARCHAR(255),
-                status VARCHAR(50) NOT NULL DEFAULT 'Processing',
-                coupon_used VARCHAR(255),
-                discount_amount NUMERIC(10, 2) DEFAULT 0
-            );
-        `);
-        console.log('INFO: "orders" table is ready.');
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY, email VARCHAR(255) UNIQUE NOT NULL, firebase_uid VARCHAR(255) UNIQUE NOT NULL,
-                phone VARCHAR(20) UNIQUE,
-                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                delete_code VARCHAR(6),
-                delete_code_expires_at TIMESTAMP WITH TIME ZONE,
-                deleted_at TIMESTAMP WITH TIME ZONE,
-                is_blocked_from_reviewing BOOLEAN DEFAULT FALSE
-            );
-        `);
-        console.log('INFO: "users" table is ready.');
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS coupons (
-                id SERIAL PRIMARY KEY,
-                code VARCHAR(255) UNIQUE NOT NULL,
-                discount_type VARCHAR(20) NOT NULL,
-                discount_value NUMERIC(10, 2) NOT NULL,
-                is_active BOOLEAN DEFAULT TRUE,
-                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-        console.log('INFO: "coupons" table is ready.');
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS reviews (
-                id SERIAL PRIMARY KEY,
-                product_name VARCHAR(255) NOT NULL,
-                user_uid VARCHAR(255) NOT NULL,
-                rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
-                review_text TEXT,
-                reviewer_name VARCHAR(255),
-                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                is_approved BOOLEAN DEFAULT TRUE
-            );
-        `);
-        console.log('INFO: "reviews" table is ready.');
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS addresses (
-                id SERIAL PRIMARY KEY,
-                user_uid VARCHAR(255) NOT NULL,
-                full_name VARCHAR(255) NOT NULL,
-                phone_number VARCHAR(20) NOT NULL,
-                street VARCHAR(255) NOT NULL,
-                locality VARCHAR(255) NOT NULL,
-                city VARCHAR(100) NOT NULL,
-                pincode VARCHAR(10) NOT NULL,
-                state VARCHAR(100) NOT NULL,
-                country VARCHAR(100) NOT NULL,
-                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-        console.log('INFO: "addresses" table is ready.');
-    } catch (err) {
-        console.error('Error during database setup:', err);
-    } finally {
-        client.release();
-    }
-}
-async function verifyToken(req, res, next) {
-    const idToken = req.headers.authorization?.split('Bearer ')[1];
-    if (!idToken) {
-        return res.status(403).send('Unauthorized');
-    }
-    try {
-        const decodedToken = await admin.auth().verifyIdToken(idToken);
-        req.user = decodedToken;
-        next();
-    } catch (error) {
-        res.status(403).send('Unauthorized');
-    }
-}
-
-// START: NEW INVOICE PDF GENERATION FUNCTION
-function generateInvoicePdf(order, callback) {
-    const doc = new PDFDocument({ size: 'A4', margin: 50 });
-    const buffers = [];
-    doc.on('data', buffers.push.bind(buffers));
-    doc.on('end', () => {
-        const pdfData = Buffer.concat(buffers);
-        callback(pdfData);
-    });
-
-    // Header
-    doc.fontSize(20).font('Helvetica-Bold').text('The Bihari Makhana', { align: 'center' });
-    doc.fontSize(10).font('Helvetica').text('Bhagalpur, Bihar, India', { align: 'center' });
-    doc.moveDown(2);
-
-    // Invoice Details
-    doc.fontSize(16).font('Helvetica-Bold').text('INVOICE', { align: 'left' });
-    doc.fontSize(10).font('Helvetica');
-    doc.text(`Invoice #: ${order.id}`);
-    doc.text(`Order Date: ${new Date(order.created_at).toLocaleDateString('en-IN')}`);
-    doc.moveDown();
-    
-    // Customer Details
-    doc.text('Bill To:', { font: 'Helvetica-Bold' });
-    doc.text(he.decode(order.customer_name));
-    doc.text(he.decode(order.address));
-    doc.text(`Phone: ${order.phone_number}`);
-    doc.moveDown(2);
-    
-    // Items Table Header
-    const tableTop = doc.y;
-    doc.font('Helvetica-Bold');
-    doc.text('Item', 50, tableTop);
-    doc.text('Qty', 300, tableTop, { width: 90, align: 'right' });
-    doc.text('Unit Price', 370, tableTop, { width: 90, align: 'right' });
-    doc.text('Total', 0, tableTop, { align: 'right' });
-    doc.moveTo(50, doc.y + 5).lineTo(550, doc.y + 5).stroke();
-    doc.font('Helvetica');
-    doc.moveDown();
-
-    // Items Table Rows
-    let subtotal = 0;
-    for (const key in order.cart_items) {
-        const item = order.cart_items[key];
-        const itemTotal = item.price * item.quantity;
-        subtotal += itemTotal;
-        const y = doc.y;
-        doc.text(key.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' '), 50, y);
-        doc.text(item.quantity, 300, y, { width: 90, align: 'right' });
-        doc.text(`₹${item.price.toFixed(2)}`, 370, y, { width: 90, align: 'right' });
-        doc.text(`₹${itemTotal.toFixed(2)}`, 0, y, { align: 'right' });
-        doc.moveDown();
-    }
-    doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
-    doc.moveDown();
-
-    // Summary
-    const summaryTop = doc.y;
-    doc.font('Helvetica');
-    doc.text('Subtotal:', 350, summaryTop, { align: 'right' });
-    doc.text(`₹${subtotal.toFixed(2)}`, 0, summaryTop, { align: 'right' });
-    
-    if (order.discount_amount > 0) {
-        doc.moveDown(0.5);
-        const discountY = doc.y;
-        doc.text('Discount:', 350, discountY, { align: 'right' });
-        doc.text(`- ₹${Number(order.discount_amount).toFixed(2)}`, 0, discountY, { align: 'right' });
-    }
-
-    const shippingCost = Number(order.order_amount) - (subtotal - Number(order.discount_amount));
-    doc.moveDown(0.5);
-    const shippingY = doc.y;
-    doc.text('Shipping:', 350, shippingY, { align: 'right' });
-    doc.text(`₹${shippingCost.toFixed(2)}`, 0, shippingY, { align: 'right' });
-
-    doc.moveDown();
-    doc.font('Helvetica-Bold');
-    const totalY = doc.y;
-    doc.text('Grand Total:', 350, totalY, { align: 'right' });
-    doc.text(`₹${Number(order.order_amount).toFixed(2)}`, 0, totalY, { align: 'right' });
-    doc.moveDown(2);
-
-    // Payment Status Logic
-    const isCOD = order.razorpay_payment_id.startsWith('cod_');
-    doc.font('Helvetica-Bold').fontSize(12);
-    if (isCOD) {
-        doc.text('Payment Status: Cash on Delivery (COD)', { align: 'left' });
-        doc.text(`Amount to be Paid on Delivery: ₹${Number(order.order_amount).toFixed(2)}`, { align: 'left' });
-    } else {
-        doc.text('Payment Status: PAID', { align: 'left' });
-        doc.text(`Payment ID: ${order.razorpay_payment_id}`, { align: 'left' });
-    }
-
-    doc.end();
-}
-// END: NEW INVOICE PDF GENERATION FUNCTION
-
-// START: MODIFIED EMAIL FUNCTION TO INCLUDE ATTACHMENTS
-async function sendOrderConfirmationEmail(customerEmail, customerName, order, attachmentPdf) {
-    const orderDate = new Date(order.created_at).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
-    
-    const msg = { 
-        to: customerEmail, 
-        from: 'thebiharimakhana@gmail.com', 
-        subject: `Your The Bihari Makhana Order #${order.id} is Confirmed!`, 
-        html: `
-            <div style="font-family: sans-serif; max-width: 600px; margin: auto; border: 1px solid #ddd; padding: 20px;">
-                <h1 style="color: #F97316; text-align: center;">Thank You For Your Order!</h1>
-                <p>Hi ${he.encode(customerName)},</p>
-                <p>We've received your order and will process it shortly. Your invoice is attached to this email.</p>
-                <p><strong>Order ID:</strong> #${order.id}</p>
-                <p><strong>Order Date:</strong> ${orderDate}</p>
-                <p style="font-size: 12px; color: #777; text-align: center;">For any questions, contact us at <a href="mailto:thebiharimakhana@gmail.com">thebiharimakhana@gmail.com</a>.</p>
-            </div>`,
-        attachments: [{
-            content: attachmentPdf.toString('base64'),
-            filename: `invoice-${order.id}.pdf`,
-            type: 'application/pdf',
-            disposition: 'attachment'
-        }]
-    };
-    try {
-        await sgMail.send(msg);
-        console.log('Confirmation email with invoice sent to', customerEmail);
-    } catch (error) {
-        console.error('Error sending confirmation email:', error.response.body);
-    }
-}
-// END: MODIFIED EMAIL FUNCTION
-
-async function sendOrderCancellationEmail(customerEmail, customerName, orderId) {
-    const emailHtml = `
-      <div style="font-family: sans-serif; max-width: 600px; margin: auto; border: 1px solid #ddd; padding: 20px;">
-        <h1 style="color: #EF4444; text-align: center;">Your Order Has Been Cancelled</h1><p>Hi ${he.encode(customerName)},</p><p>This is to confirm that your order #${orderId} has been successfully cancelled. If you have already paid, a refund will be processed shortly.</p>
-        <p>If you did not request this cancellation, please contact our support team immediately.</p><p style="font-size: 12px; color: #777; text-align: center;">This is an automated mail, please do not reply. For any questions, contact us at <a href="mailto:thebiharimakhana@gmail.com">thebiharimakhana@gmail.com</a>.</p>
-      </div>`;
-    const msg = { to: customerEmail, from: 'thebiharimakhana@gmail.com', subject: `Regarding Your The Bihari Makhana Order #${orderId}`, html: emailHtml };
-    try {
-        await sgMail.send(msg);
-        console.log('Cancellation email sent to', customerEmail);
-    } catch (error) {
-        console.error('Error sending cancellation email:', error);
-    }
-}
-async function sendDeletionCodeEmail(customerEmail, code) {
-    const emailHtml = `
-      <div style="font-family: sans-serif; max-width: 600px; margin: auto; border: 1px solid #ddd; padding: 20px;">
-        <h1 style="color: #EF4444; text-align: center;">Account Deletion Request</h1>
-        <p>We have received a request to delete your account.</p>
-        <p>To confirm this action, please use the following verification code. The code is valid for 10 minutes.</p>
-        <p style="font-size: 24px; font-weight: bold; text-align: center; letter-spacing: 5px; margin: 20px 0; background-color: #f2f2f2; padding: 15px;">${code}</p>
-        <p>If you did not request this, please ignore this email and your account will remain safe.</p>
-      </div>`;
-    const msg = { to: customerEmail, from: 'thebiharimakhana@gmail.com', subject: 'Your Account Deletion Code for The Bihari Makhana', html: emailHtml };
-    try {
-        await sgMail.send(msg);
-        console.log('Deletion code email sent to', customerEmail);
-    } catch (error) {
-        console.error('Error sending deletion code email:', error);
-    }
-}
-async function sendOrderShippedEmail(customerEmail, customerName, orderId) {
-    const emailHtml = `
-      <div style="font-family: sans-serif; max-width: 600px; margin: auto; border: 1px solid #ddd; padding: 20px;">
-        <h1 style="color: #3B82F6; text-align: center;">Your Order has Shipped!</h1>
-        <p>Hi ${he.encode(customerName)},</p>
-        <p>Great news! Your order #${orderId} from The Bihari Makhana has been shipped and is on its way to you.</p>
-        <p>Thank you for your patience.</p>
-      </div>`;
-    const msg = { to: customerEmail, from: 'thebiharimakhana@gmail.com', subject: `Your The Bihari Makhana Order #${orderId} has Shipped!`, html: emailHtml };
-    try {
-        await sgMail.send(msg);
-        console.log('Shipped notification email sent to', customerEmail);
-    } catch (error) {
-        console.error('Error sending shipped notification email:', error);
-    }
-}
-
-// --- Public API Routes ---
-app.get('/', async (req, res) => {
-    try {
-        await pool.query('SELECT NOW()');
-        res.send('The Bihari Makhana Backend is running and connected to the database.');
-    } catch (err) {
-        res.status(500).send('Backend is running, but could not connect to the database.');
-    }
-});
-app.post('/api/check-phone', async (req, res) => {
-    const { phone } = req.body;
-    if (!phone) {
-        return res.status(400).json({ error: 'Phone number is required.' });
-    }
-    try {
-        const result = await pool.query('SELECT id FROM users WHERE phone = $1 AND deleted_at IS NULL', [phone]);
-        if (result.rows.length > 0) {
-            res.json({ isAvailable: false });
-        } else {
-            res.json({ isAvailable: true });
-        }
-    } catch (err) {
-        console.error('Error checking phone number:', err);
-        res.status(500).json({ error: 'Internal server error.' });
-    }
-});
-app.get('/api/products', async (req, res) => {
-    try {
-        const { search, sort, category } = req.query;
-        let query = 'SELECT * FROM products WHERE stock_quantity > 0';
-        const queryParams = [];
-
-        if (category) {
-            queryParams.push(category);
-            query += ` AND category = $${queryParams.length}`;
-        }
-
-        if (search) {
-            queryParams.push(`%${search}%`);
-            query += ` AND (name ILIKE $${queryParams.length} OR description ILIKE $${queryParams.length})`;
-        }
-        
-        let orderByClause = ' ORDER BY created_at DESC';
-        switch (sort) {
-            case 'price-asc': orderByClause = ' ORDER BY COALESCE(sale_price, price) ASC'; break;
-            case 'price-desc': orderByClause = ' ORDER BY COALESCE(sale_price, price) DESC'; break;
-            case 'name-asc': orderByClause = ' ORDER BY name ASC'; break;
-            case 'name-desc': orderByClause = ' ORDER BY name DESC'; break;
-        }
-
-        query += orderByClause;
-        const { rows } = await pool.query(query, queryParams);
-        res.json(rows);
-    } catch (err) {
-        console.error('Error fetching products:', err);
-        res.status(500).send('Error fetching products');
-    }
-});
-app.get('/api/featured-products', async (req, res) => {
-    try {
-        const { rows } = await pool.query(
-            'SELECT * FROM products WHERE is_featured = TRUE AND stock_quantity > 0 ORDER BY created_at DESC'
-        );
-        res.json(rows);
-    } catch (err) {
-        console.error('Error fetching featured products:', err);
-        res.status(500).send('Error fetching featured products');
-    }
-});
-
-// ********** NEW CODE BLOCK STARTS HERE **********
-app.get('/api/product/:productId', async (req, res) => {
-    try {
-        const { productId } = req.params;
-        // This query finds the product by the hyphenated name used in the URL
-        const query = "SELECT * FROM products WHERE lower(replace(name, ' ', '-')) = $1 AND stock_quantity > 0";
-        const { rows } = await pool.query(query, [productId]);
-        
-        if (rows.length === 0) {
-            return res.status(404).json({ success: false, message: 'Product not found.' });
-        }
-        
-        res.json(rows[0]); // Return only the single product object found
-    } catch (err) {
-        console.error('Error fetching single product:', err);
-        res.status(500).send('Error fetching product details');
-    }
-});
-// ********** NEW CODE BLOCK ENDS HERE **********
-
-app.post('/api/apply-coupon', async (req, res) => {
-    const { cart, couponCode } = req.body;
-    if (!cart || Object.keys(cart).length === 0) {
-      return res.status(400).json({ success: false, message: 'Cart data is required.' });
-    }
-    try {
-        let subtotal = 0;
-        for (const productName in cart) {
-            subtotal += cart[productName].price * cart[productName].quantity;
-        }
-        let shippingCost = subtotal >= 500 ? 0 : 99;
-        let discount = 0;
-        let appliedCoupon = null;
-        if (couponCode) {
-            const couponResult = await pool.query('SELECT * FROM coupons WHERE code = $1 AND is_active = TRUE', [couponCode.toUpperCase()]);
-            if (couponResult.rows.length > 0) {
-                const coupon = couponResult.rows[0];
-                appliedCoupon = coupon.code;
-                if (coupon.discount_type === 'percentage') {
-                    discount = subtotal * (parseFloat(coupon.discount_value) / 100);
-                } else {
-                    discount = parseFloat(coupon.discount_value);
-                }
-                discount = Math.min(subtotal, discount);
-            } else {
-                return res.status(404).json({ success: false, message: "Invalid or inactive coupon code."});
-            }
-        }
-        const total = subtotal - discount + shippingCost;
-        res.json({ success: true, subtotal, shippingCost, discount, total, appliedCoupon });
-    } catch (err) {
-        console.error("Error in apply-coupon:", err);
-        res.status(500).json({ success: false, message: "Error applying coupon."});
-    }
-});
-app.post('/checkout', verifyToken, async (req, res) => {
-    const { cart, addressDetails, paymentId, couponCode } = req.body;
-    const user = req.user; 
-    if (!cart || !addressDetails || !paymentId || Object.keys(cart).length === 0) {
-        return res.status(400).json({ success: false, message: 'Missing required order information.' });
-    }
-    try {
-        let subtotal = 0;
-        for (const productName in cart) {
-            subtotal += cart[productName].price * cart[productName].quantity;
-        }
-        let shippingCost = subtotal >= 500 ? 0 : 99;
-        let discount = 0;
-        let appliedCouponCode = null;
-        if (couponCode) {
-            const couponResult = await pool.query('SELECT * FROM coupons WHERE code = $1 AND is_active = TRUE', [couponCode.toUpperCase()]);
-            if (couponResult.rows.length > 0) {
-                const coupon = couponResult.rows[0];
-                appliedCouponCode = coupon.code;
-                if (coupon.discount_type === 'percentage') {
-                    discount = subtotal * (parseFloat(coupon.discount_value) / 100);
-                } else {
-                    discount = parseFloat(coupon.discount_value);
-                }
-                discount = Math.min(subtotal, discount);
-            }
-        }
-        const totalAmount = subtotal - discount + shippingCost;
-        const query = `
-            INSERT INTO orders (customer_name, phone_number, address, cart_items, order_amount, user_uid, razorpay_payment_id, coupon_used, discount_amount)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *
-        `;
-        const values = [
-            addressDetails.name, addressDetails.phone, addressDetails.address, 
-            JSON.stringify(cart), totalAmount, user.uid, paymentId,
-            appliedCouponCode, discount
-        ];
-        const orderResult = await pool.query(query, values);
-        const newOrder = orderResult.rows[0];
-
-        generateInvoicePdf(newOrder, (pdfData) => {
-            sendOrderConfirmationEmail(user.email, addressDetails.name, newOrder, pdfData);
-        });
-        
-        res.json({ success: true, message: 'Order placed successfully!' });
-    } catch (err) {
-        console.error('Error during checkout:', err);
-        res.status(500).json({ success: false, message: 'An internal server error occurred.' });
-    }
-});
-app.post('/api/user-login', async (req, res) => {
-    const { email, uid, phone } = req.body;
-    if (!email || !uid) {
-        return res.status(400).json({ error: 'Email and UID are required.' });
-    }
-    try {
-        const existingUser = await pool.query('SELECT id FROM users WHERE firebase_uid = $1', [uid]);
-        if (existingUser.rows.length === 0) {
-            await pool.query('INSERT INTO users (email, firebase_uid, phone) VALUES ($1, $2, $3)', [email, uid, phone]);
-            console.log(`SUCCESS: New user registered in database: ${email}`);
-        } else {
-            console.log(`INFO: User ${email} already exists in database. Skipping insert.`);
-        }
-        res.status(200).json({ success: true, message: 'User session handled.' });
-    } catch (err) {
-        console.error("Error in /api/user-login:", err);
-        res.status(500).json({ error: 'Internal server error.' });
-    }
-});
-app.get('/api/my-orders', verifyToken, async (req, res) => {
-    try {
-        const userUid = req.user.uid;
-        const { rows } = await pool.query(
-            'SELECT id, order_amount, created_at, cart_items, status FROM orders WHERE user_uid = $1 ORDER BY created_at DESC', 
-            [userUid]
-        );
-        res.json(rows);
-    } catch (err) {
-        console.error("Error fetching user orders:", err);
-        res.status(500).send('Error fetching orders.');
-    }
-});
-app.post('/api/request-deletion-code', verifyToken, async (req, res) => {
-    const { uid, email } = req.user;
-    const code = crypto.randomInt(100000, 999999).toString();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
-    try {
-        await pool.query(
-            'UPDATE users SET delete_code = $1, delete_code_expires_at = $2 WHERE firebase_uid = $3',
-            [code, expiresAt, uid]
-        );
-        await sendDeletionCodeEmail(email, code);
-        res.status(200).json({ success: true, message: 'Deletion code sent to your email.' });
-    } catch (err) {
-        console.error('Error requesting deletion code:', err);
-        res.status(500).json({ success: false, message: 'Could not send deletion code.' });
-    }
-});
-app.post('/api/verify-deletion', verifyToken, async (req, res) => {
-    const { uid } = req.user;
-    const { code } = req.body;
-    if (!code) {
-        return res.status(400).json({ success: false, message: 'Verification code is required.' });
-    }
-    try {
-        const { rows } = await pool.query(
-            'SELECT delete_code, delete_code_expires_at FROM users WHERE firebase_uid = $1',
-            [uid]
-        );
-        if (rows.length === 0) {
-            return res.status(404).json({ success: false, message: 'User not found.' });
-        }
-        const user = rows[0];
-        const now = new Date();
-        if (user.delete_code !== code) {
-            return res.status(400).json({ success: false, message: 'Invalid verification code.' });
-        }
-        if (now > user.delete_code_expires_at) {
-            return res.status(400).json({ success: false, message: 'Verification code has expired.' });
-        }
-        await pool.query('UPDATE users SET deleted_at = NOW() WHERE firebase_uid = $1', [uid]);
-        await admin.auth().deleteUser(uid);
-        console.log(`Successfully soft-deleted user ${uid} after code verification.`);
-        res.status(200).json({ success: true, message: 'Account deleted successfully.' });
-    } catch (err) {
-        console.error(`Failed to verify and delete user ${uid}:`, err);
-        res.status(500).json({ success: false, message: 'An error occurred during account deletion.' });
-    }
-});
-app.get('/api/products/:productName/reviews', async (req, res) => {
-    try {
-        const { productName } = req.params;
-        const nameWithHyphen = productName.replace(/ /g, '-');
-        const nameWithSpace = productName.replace(/-/g, ' ');
-        const { rows } = await pool.query(
-            'SELECT rating, review_text, reviewer_name, created_at FROM reviews WHERE (product_name = $1 OR product_name = $2) AND is_approved = TRUE ORDER BY created_at DESC',
-            [nameWithHyphen, nameWithSpace]
-        );
-        res.json(rows);
-    } catch (err) {
-        console.error("Error fetching reviews:", err);
-        res.status(500).send('Error fetching reviews.');
-    }
-});
-app.post('/api/submit-review', verifyToken, async (req, res) => {
-    const { uid, name } = req.user;
-    const { productName, rating, reviewText } = req.body;
-    if (!productName || !rating) {
-        return res.status(400).json({ success: false, message: 'Product and rating are required.' });
-    }
-    try {
-        const userResult = await pool.query('SELECT is_blocked_from_reviewing FROM users WHERE firebase_uid = $1', [uid]);
-        if (userResult.rows.length > 0 && userResult.rows[0].is_blocked_from_reviewing) {
-            return res.status(403).json({ success: false, message: 'You are not permitted to leave reviews.' });
-        }
-        const reviewerName = name;
-        const productNameWithHyphens = productName.replace(/ /g, '-');
-        const productNameWithSpaces = productName.replace(/-/g, ' ');
-        const ordersResult = await pool.query(
-            `SELECT id FROM orders WHERE user_uid = $1 AND (cart_items ->> $2 IS NOT NULL OR cart_items ->> $3 IS NOT NULL) AND status = 'Delivered'`,
-            [uid, productNameWithHyphens, productNameWithSpaces]
-        );
-        if (ordersResult.rows.length === 0) {
-            return res.status(403).json({ success: false, message: 'You can only review products you have purchased and received.' });
-        }
-        const existingReview = await pool.query(
-            'SELECT id FROM reviews WHERE user_uid = $1 AND (product_name = $2 OR product_name = $3)',
-            [uid, productNameWithHyphens, productNameWithSpaces]
-        );
-        if (existingReview.rows.length > 0) {
-            return res.status(409).json({ success: false, message: 'You have already reviewed this product.' });
-        }
-        await pool.query(
-            'INSERT INTO reviews (product_name, user_uid, rating, review_text, reviewer_name) VALUES ($1, $2, $3, $4, $5)',
-            [productNameWithHyphens, uid, rating, reviewText, reviewerName]
-        );
-        res.status(201).json({ success: true, message: 'Thank you! Your review has been submitted.' });
-    } catch (err) {
-        console.error("Error submitting review:", err);
-        res.status(500).json({ success: false, message: 'An error occurred while submitting your review.' });
-    }
-});
-app.get('/api/my-addresses', verifyToken, async (req, res) => {
-    try {
-        const { uid } = req.user;
-        const { rows } = await pool.query('SELECT * FROM addresses WHERE user_uid = $1 ORDER BY created_at DESC', [uid]);
-        res.json(rows);
-    } catch (err) {
-        console.error("Error fetching addresses:", err);
-        res.status(500).json({ success: false, message: 'Could not fetch addresses.' });
-    }
-});
-app.post('/api/my-addresses', verifyToken, async (req, res) => {
-    const { uid } = req.user;
-    const { fullName, phoneNumber, street, locality, city, pincode, state, country } = req.body;
-    if (!fullName || !phoneNumber || !street || !city || !pincode || !state || !country) {
-        return res.status(400).json({ success: false, message: "All fields are required." });
-    }
-    try {
-        const { rows } = await pool.query(
-            `INSERT INTO addresses (user_uid, full_name, phone_number, street, locality, city, pincode, state, country)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
-            [uid, fullName, phoneNumber, street, locality, city, pincode, state, country]
-        );
-        res.status(201).json({ success: true, message: "Address saved!", address: rows[0] });
-    } catch (err) {
-        console.error("Error saving address:", err);
-        res.status(500).json({ success: false, message: 'Could not save address.' });
-    }
-});
-app.delete('/api/my-addresses/:id', verifyToken, async (req, res) => {
-    const { uid } = req.user;
-    const { id } = req.params;
-    try {
-        const result = await pool.query('DELETE FROM addresses WHERE id = $1 AND user_uid = $2', [id, uid]);
-        if (result.rowCount === 0) {
-            return res.status(404).json({ success: false, message: "Address not found or you don't have permission to delete it." });
-        }
-        res.status(200).json({ success: true, message: "Address deleted." });
-    } catch (err) {
-        console.error("Error deleting address:", err);
-        res.status(500).json({ success: false, message: 'Could not delete address.' });
-    }
-});
-app.get('/api/active-coupons', async (req, res) => {
-    try {
-        const { rows } = await pool.query('SELECT code, discount_type, discount_value FROM coupons WHERE is_active = TRUE');
-        res.json(rows);
-    } catch (err) {
-        console.error("Error fetching active coupons:", err);
-        res.status(500).json([]);
-    }
-});
-
-app.get('/api/my-orders/:orderId/invoice', verifyToken, async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        const { uid } = req.user;
-
-        const { rows } = await pool.query(
-            'SELECT * FROM orders WHERE id = $1 AND user_uid = $2',
-            [orderId, uid]
-        );
-
-        if (rows.length === 0) {
-            return res.status(404).send('Order not found or you do not have permission to view it.');
-        }
-
-        const order = rows[0];
-        
-        generateInvoicePdf(order, (pdfData) => {
-            res.setHeader('Content-Type', 'application/pdf');
-            res.setHeader('Content-Disposition', `attachment; filename="invoice-${order.id}.pdf"`);
-            res.send(pdfData);
-        });
-
-    } catch (err) {
-        console.error('Error generating invoice:', err);
-        res.status(500).send('Error generating invoice.');
-    }
-});
-
-// --- Admin Routes ---
-
-const checkAdminAuth = (req, res, next) => {
-    if (req.cookies.admin_session && req.cookies.admin_session === process.env.ADMIN_SESSION_SECRET) {
-        next();
-    } else {
-        res.redirect('/admin/login');
-    }
-};
-
-const getAdminHeaderHTML = (currentPageTitle) => {
-    return `
-        <!DOCTYPE html><html><head><title>${currentPageTitle} - Admin Panel</title>
-        <style>
-            body { font-family: sans-serif; margin: 0; background-color: #f4f4f9; }
-            .admin-nav { background-color: #333; padding: 1em; display: flex; justify-content: space-between; align-items: center; }
-            .admin-nav a { color: white; text-decoration: none; margin-right: 1.5em; font-weight: bold; }
-            .admin-nav a:hover { text-decoration: underline; }
-            .admin-container { padding: 2em; }
-            table { border-collapse: collapse; width: 100%; background-color: white; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-            th, td { border: 1px solid #ddd; padding: 12px; text-align: left; }
-            th { background-color: #f2f2f2; }
-            img { max-width: 50px; }
-            .add-form { margin-top: 2em; padding: 1.5em; border: 1px solid #ddd; background-color: white; }
-            .logout-btn { background-color: #f44336; color: white; padding: 0.5em 1em; border: none; border-radius: 4px; cursor: pointer; text-decoration: none; }
-            .form-group{margin-bottom:1em;} label{display:block;margin-bottom:0.5em;} input, select, textarea, button{padding:8px; width: 100%; box-sizing: border-box;}
-            button, .button-style { padding: 8px; border: none; cursor: pointer; border-radius: 4px; }
-            .soft-delete-btn { background-color: #f0ad4e; color: white; }
-            .permanent-delete-btn { background-color: #d9534f; color: white; }
-        </style>
-        </head><body>
-        <nav class="admin-nav">
-            <div>
-                <a href="/admin/dashboard">Dashboard</a>
-                <a href="/admin/products">Products</a>
-                <a href="/admin/orders">Orders</a>
-                <a href="/admin/users">Users</a>
-                <a href="/admin/coupons">Coupons</a>
-                <a href="/admin/reviews">Reviews</a>
-            </div>
-            <div>
-                <a href="/admin/logout" class="logout-btn">Logout</a>
-            </div>
-        </nav>
-        <div class="admin-container">
-    `;
-};
-
-app.get('/admin/login', (req, res) => {
-    res.send(`
-        <!DOCTYPE html><html><head><title>Admin Login</title><style>body{font-family:sans-serif;display:flex;justify-content:center;align-items:center;height:100vh;background-color:#f4f4f9;} .login-box{padding:2em;border:1px solid #ccc;background:white;box-shadow:0 4px 8px rgba(0,0,0,0.1);}.login-box h1{text-align:center;margin-top:0;}input{width:100%;padding:0.8em;margin-bottom:1em;box-sizing:border-box;}button{width:100%;padding:0.8em;background-color:#333;color:white;border:none;cursor:pointer;}</style></head>
-        <body><div class="login-box"><h1>Admin Login</h1><form action="/admin/login" method="POST"><input type="password" name="password" placeholder="Password" required><button type="submit">Login</button></form></div></body></html>
-    `);
-});
-
-app.post('/admin/login', (req, res) => {
-    const { password } = req.body;
-    if (password === process.env.ADMIN_PASSWORD) {
-        res.cookie('admin_session', process.env.ADMIN_SESSION_SECRET, { 
-            httpOnly: true, secure: process.env.NODE_ENV === 'production', maxAge: 24 * 60 * 60 * 1000
-        });
-        res.redirect('/admin/dashboard');
-    } else {
-        res.status(401).send('Incorrect Password');
-    }
-});
-
-app.get('/admin/logout', (req, res) => {
-    res.clearCookie('admin_session');
-    res.redirect('/admin/login');
-});
-
-app.get('/admin/dashboard', checkAdminAuth, (req, res) => {
-    const header = getAdminHeaderHTML('Dashboard');
-    res.send(`${header}<h1>Welcome to the Admin Dashboard</h1><p>Select a category from the navigation bar to get started.</p></div></body></html>`);
-});
-
-app.get('/admin/products', checkAdminAuth, async (req, res) => {
-    try {
-        const { rows } = await pool.query('SELECT * FROM products ORDER BY id ASC');
-        const productsHtml = rows.map(p => {
-            const featuredStatus = p.is_featured ? '<strong>Yes</strong>' : 'No';
-            const toggleButtonText = p.is_featured ? 'Remove Featured' : 'Make Featured';
-            return `<tr>
-                <td>${p.id}</td><td><img src="${p.image_url}" alt="${he.encode(p.name)}"></td><td>${he.encode(p.name)}</td>
-                <td>${p.price}</td><td>${p.sale_price || 'N/A'}</td><td>${p.stock_quantity}</td><td>${he.encode(p.category || 'N/A')}</td><td>${featuredStatus}</td>
-                <td>
-                    <a href="/admin/edit-product/${p.id}">Edit</a>
-                    <form action="/admin/delete-product/${p.id}" method="POST" style="display:inline; margin-left: 5px;"><button type="submit" onclick="return confirm('Are you sure?');">Delete</button></form>
-                    <form action="/admin/toggle-featured/${p.id}" method="POST" style="display:inline; margin-left: 5px;"><button type="submit">${toggleButtonText}</button></form>
-                </td>
-            </tr>`;
-        }).join('');
-        const header = getAdminHeaderHTML('Manage Products');
-        res.send(`${header}<h1>Manage Products</h1><table><thead><tr><th>ID</th><th>Image</th><th>Name</th><th>Price</th><th>Sale Price</th><th>Stock</th><th>Category</th><th>Featured?</th><th>Actions</th></tr></thead><tbody>${productsHtml}</tbody></table>
-        <div class="add-form">
-            <h2>Add New Product</h2>
-            <form action="/admin/add-product" method="POST">
-                <div class="form-group"><label>Name: <input name="productName" required></label></div>
-                <div class="form-group"><label>Price: <input name="price" type="number" step="0.01" required></label></div>
-                <div class="form-group"><label>Sale Price: <input name="salePrice" type="number" step="0.01"></label></div>
-                <div class="form-group"><label>Stock: <input name="stockQuantity" type="number" value="10" required></label></div>
-                <div class="form-group">
-                    <label>Category: 
-                        <select name="category" required>
-                            <option value="">Select a Category</option>
-                            <option value="premium-raw-makhana">Premium Raw Makhana</option>
-                            <option value="premium-flavored-makhana">Premium Flavored Makhana</option>
-                            <option value="nuts">Nuts</option>
-                        </select>
-                    </label>
-                </div>
-                <div class="form-group"><label>Description: <textarea name="description" required></textarea></label></div>
-                <div class="form-group"><label>Image URL: <input name="imageUrl" required></label></div>
-                <div class="form-group"><label><input type="checkbox" name="is_featured" value="true"> Mark as Featured</label></div>
-                <button type="submit">Add Product</button>
-            </form>
-        </div></div></body></html>`);
-    } catch (err) {
-        res.status(500).send('Error loading product management page.');
-    }
-});
-
-app.post('/admin/toggle-featured/:id', checkAdminAuth, async (req, res) => {
-    try {
-        const { id } = req.params;
-        await pool.query('UPDATE products SET is_featured = NOT is_featured WHERE id = $1', [id]);
-        res.redirect(`/admin/products`);
-    } catch (err) {
-        console.error('Error toggling featured status:', err);
-        res.status(500).send('Error updating product.');
-    }
-});
-
-app.post('/admin/add-product', checkAdminAuth, async (req, res) => {
-    const productSchema = Joi.object({
-        productName: Joi.string().required(), price: Joi.number().required(),
-        salePrice: Joi.number().allow(null, ''), stockQuantity: Joi.number().integer().required(),
-        description: Joi.string().required(), imageUrl: Joi.string().uri().required(),
-        is_featured: Joi.boolean(), category: Joi.string().required()
-    });
-    const isFeatured = req.body.is_featured === 'true';
-    const { error, value } = productSchema.validate({ ...req.body, is_featured: isFeatured });
-    if (error) { return res.status(400).send(error.details[0].message); }
-    try {
-        await pool.query('INSERT INTO products(name, price, sale_price, stock_quantity, description, image_url, is_featured, category) VALUES($1, $2, $3, $4, $5, $6, $7, $8)',
-            [value.productName, value.price, value.salePrice || null, value.stockQuantity, value.description, value.imageUrl, value.is_featured, value.category]);
-        res.redirect(`/admin/products`);
-    } catch (err) { res.status(500).send('Error adding product.'); }
-});
-
-app.get('/admin/edit-product/:id', checkAdminAuth, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { rows } = await pool.query('SELECT * FROM products WHERE id = $1', [id]);
-        if (rows.length === 0) { return res.status(404).send('Product not found.'); }
-        const p = rows[0];
-        const isChecked = p.is_featured ? 'checked' : '';
-        
-        const categories = {
-            "premium-raw-makhana": "Premium Raw Makhana",
-            "premium-flavored-makhana": "Premium Flavored Makhana",
-            "nuts": "Nuts"
-        };
-        let categoryOptions = '<option value="">Select a Category</option>';
-        for (const [value, text] of Object.entries(categories)) {
-            const selected = p.category === value ? 'selected' : '';
-            categoryOptions += `<option value="${value}" ${selected}>${text}</option>`;
-        }
-        
-        const header = getAdminHeaderHTML(`Edit: ${he.encode(p.name)}`);
-        res.send(`${header}<h1>Edit: ${he.encode(p.name)}</h1>
-        <form action="/admin/update-product/${p.id}" method="POST">
-            <div class="form-group"><label>Name: <input name="productName" value="${he.encode(p.name)}" required></label></div>
-            <div class="form-group"><label>Price: <input name="price" type="number" step="0.01" value="${p.price}" required></label></div>
-            <div class="form-group"><label>Sale Price: <input name="salePrice" type="number" step="0.01" value="${p.sale_price || ''}"></label></div>
-            <div class="form-group"><label>Stock: <input name="stockQuantity" type="number" value="${p.stock_quantity}" required></label></div>
-            <div class="form-group"><label>Category: <select name="category" required>${categoryOptions}</select></label></div>
-            <div class="form-group"><label>Description: <textarea name="description" required>${he.encode(p.description)}</textarea></label></div>
-            <div class="form-group"><label>Image URL: <input name="imageUrl" value="${p.image_url}" required></label></div>
-            <div class="form-group"><label><input type="checkbox" name="is_featured" value="true" ${isChecked}> Mark as Featured</label></div>
-            <button type="submit">Update</button>
-        </form></div></body></html>`);
-    } catch (err) { res.status(500).send('Error loading edit page.'); }
-});
-
-app.post('/admin/update-product/:id', checkAdminAuth, async (req, res) => {
-    const { id } = req.params;
-    const productSchema = Joi.object({
-        productName: Joi.string().required(), price: Joi.number().required(),
-        salePrice: Joi.number().allow(null, ''), stockQuantity: Joi.number().integer().required(),
-        description: Joi.string().required(), imageUrl: Joi.string().uri().required(),
-        is_featured: Joi.boolean(), category: Joi.string().required()
-    });
-    const isFeatured = req.body.is_featured === 'true';
-    const { error, value } = productSchema.validate({ ...req.body, is_featured: isFeatured });
-    if (error) { return res.status(400).send(error.details[0].message); }
-    try {
-        await pool.query('UPDATE products SET name = $1, price = $2, description = $3, image_url = $4, sale_price = $5, stock_quantity = $6, is_featured = $7, category = $8 WHERE id = $9',
-            [value.productName, value.price, value.description, value.imageUrl, value.salePrice || null, value.stockQuantity, value.is_featured, value.category, id]);
-        res.redirect(`/admin/products`);
-    } catch (err) { res.status(500).send('Error updating product.'); }
-});
-
-
-app.post('/admin/delete-product/:id', checkAdminAuth, async (req, res) => {
-    try {
-        await pool.query('DELETE FROM products WHERE id = $1', [req.params.id]);
-        res.redirect(`/admin/products`);
-    } catch (err) { res.status(500).send('Error deleting product.'); }
-});
-
-app.get('/admin/users', checkAdminAuth, async (req, res) => {
-    try {
-        const { rows } = await pool.query('SELECT email, firebase_uid, phone, created_at, deleted_at FROM users ORDER BY created_at DESC');
-        const usersHtml = rows.map(user => {
-            const status = user.deleted_at ? `<span style="color:red;">Deleted on ${new Date(user.deleted_at).toLocaleDateString()}</span>` : '<span style="color:green;">Active</span>';
-            
-            let actionsHtml = '';
-            if (!user.deleted_at) {
-                actionsHtml += `<form action="/admin/soft-delete-user/${user.firebase_uid}" method="POST" style="display:inline-block; margin-right: 5px;">
-                                    <button type="submit" class="soft-delete-btn" onclick="return confirm('Are you sure you want to soft delete this user? They will be marked as inactive.');">Soft Delete</button>
-                                </form>`;
-            }
-            actionsHtml += `<form action="/admin/permanent-delete-user/${user.firebase_uid}" method="POST" style="display:inline-block;">
-                                <button type="submit" class="permanent-delete-btn" onclick="return confirm('WARNING: This will permanently delete the user from Firebase and your database. This action is irreversible. Are you sure?');">Permanent Delete</button>
-                            </form>`;
-
-            return `<tr>
-                        <td>${he.encode(user.email)}</td>
-                        <td>${he.encode(user.phone || 'N/A')}</td>
-                        <td>${status}</td>
-                        <td>${actionsHtml}</td>
-                    </tr>`;
-        }).join('');
-        const header = getAdminHeaderHTML('Manage Users');
-        res.send(`${header}<h1>Registered Users</h1>
-                    <table>
-                        <thead><tr><th>Email</th><th>Phone</th><th>Status</th><th>Actions</th></tr></thead>
-                        <tbody>${usersHtml}</tbody>
-                    </table>
-                  </div></body></html>`);
-    } catch (err) {
-        console.error("Error loading users page:", err);
-        res.status(500).send('Error loading users page.');
-    }
-});
-
-app.post('/admin/soft-delete-user/:uid', checkAdminAuth, async (req, res) => {
-    try {
-        const { uid } = req.params;
-        await pool.query('UPDATE users SET deleted_at = NOW() WHERE firebase_uid = $1', [uid]);
-        console.log(`Admin soft-deleted user ${uid}`);
-        res.redirect('/admin/users');
-    } catch (err) {
-        console.error("Error soft-deleting user:", err);
-        res.status(500).send('Error soft-deleting user.');
-    }
-});
-
-app.post('/admin/permanent-delete-user/:uid', checkAdminAuth, async (req, res) => {
-    try {
-        const { uid } = req.params;
-        await admin.auth().deleteUser(uid);
-        console.log(`Admin permanently deleted user ${uid} from Firebase Auth.`);
-        await pool.query('DELETE FROM users WHERE firebase_uid = $1', [uid]);
-        console.log(`Admin permanently deleted user ${uid} from database.`);
-        res.redirect('/admin/users');
-    } catch (err) {
-        console.error("Error permanently deleting user:", err);
-        if (err.code === 'auth/user-not-found') {
-            try {
-                const { uid } = req.params;
-                await pool.query('DELETE FROM users WHERE firebase_uid = $1', [uid]);
-                console.log(`Admin deleted orphaned user ${uid} from database.`);
-                return res.redirect('/admin/users');
-            } catch (dbErr) {
-                 return res.status(500).send('Error permanently deleting user from database.');
-            }
-        }
-        res.status(500).send('Error permanently deleting user.');
-    }
-});
-
-app.get('/admin/orders', checkAdminAuth, async (req, res) => {
-    try {
-        const { rows } = await pool.query('SELECT * FROM orders ORDER BY created_at DESC');
-        let orderRowsHtml = rows.map(order => {
-            let itemsHtml = '<ul>' + Object.keys(order.cart_items).map(key => `<li>${he.encode(key)} (x${order.cart_items[key].quantity})</li>`).join('') + '</ul>';
-            const statuses = ['Processing', 'Shipped', 'Delivered', 'Cancelled'];
-            const statusOptions = statuses.map(s => `<option value="${s}" ${order.status === s ? 'selected' : ''}>${s}</option>`).join('');
-            
-            const actionsHtml = `<form action="/admin/delete-order/${order.id}" method="POST" style="margin-top: 5px;">
-                                    <button type="submit" class="permanent-delete-btn" onclick="return confirm('Are you sure you want to permanently delete this order record?');">Delete Order</button>
-                                 </form>`;
-
-            return `
-                <tr>
-                    <td>${order.id}</td>
-                    <td>${he.encode(order.customer_name)}<br>${he.encode(order.phone_number)}</td>
-                    <td>${he.encode(order.address)}</td>
-                    <td>₹${order.order_amount}</td>
-                    <td><form action="/admin/update-order-status/${order.id}" method="POST"><select name="newStatus">${statusOptions}</select><button type="submit">Update</button></form></td>
-                    <td>${he.encode(order.razorpay_payment_id)}</td>
-                    <td>${new Date(order.created_at).toLocaleString()}</td>
-                    <td>${itemsHtml}</td>
-                    <td>${actionsHtml}</td>
-                </tr>`;
-        }).join('');
-        const header = getAdminHeaderHTML('Manage Orders');
-        res.send(`${header}<h1>All Orders</h1>
-                    <table>
-                        <thead><tr><th>ID</th><th>Customer</th><th>Address</th><th>Amount</th><th>Status</th><th>Payment ID</th><th>Date</th><th>Items</th><th>Actions</th></tr></thead>
-                        <tbody>${orderRowsHtml}</tbody>
-                    </table>
-                  </div></body></html>`);
-    } catch (err) {
-        console.error("Error loading orders page:", err);
-        res.status(500).send('Internal Server Error');
-    }
-});
-
-app.post('/admin/update-order-status/:id', checkAdminAuth, async (req, res) => {
-    const { id } = req.params;
-    const { newStatus } = req.body;
-    try {
-        const orderCheck = await pool.query('SELECT status, user_uid, customer_name FROM orders WHERE id = $1', [id]);
-        if(orderCheck.rows.length > 0 && newStatus === 'Shipped' && orderCheck.rows[0].status !== 'Shipped') {
-            const userResult = await pool.query('SELECT email FROM users WHERE firebase_uid = $1', [orderCheck.rows[0].user_uid]);
-            if (userResult.rows.length > 0) {
-                await sendOrderShippedEmail(userResult.rows[0].email, orderCheck.rows[0].customer_name, id);
-            }
-        }
-        await pool.query('UPDATE orders SET status = $1 WHERE id = $2', [newStatus, id]);
-        res.redirect('/admin/orders');
-    } catch (err) { res.status(500).send('Error updating order status.'); }
-});
-
-app.post('/admin/delete-order/:id', checkAdminAuth, async (req, res) => {
-    try {
-        const { id } = req.params;
-        await pool.query('DELETE FROM orders WHERE id = $1', [id]);
-        console.log(`Admin deleted order ${id}`);
-        res.redirect('/admin/orders');
-    } catch (err) {
-        console.error("Error deleting order:", err);
-        res.status(500).send('Error deleting order.');
-    }
-});
-
-app.get('/admin/coupons', checkAdminAuth, async (req, res) => {
-    try {
-        const { rows } = await pool.query('SELECT * FROM coupons ORDER BY created_at DESC');
-        const couponsHtml = rows.map(c => `<tr>
-            <td>${c.id}</td><td>${he.encode(c.code)}</td><td>${c.discount_type}</td>
-            <td>${c.discount_value}</td><td>${c.is_active ? 'Yes' : 'No'}</td>
-            <td><form action="/admin/delete-coupon/${c.id}" method="POST" style="display:inline;"><button type="submit" onclick="return confirm('Are you sure?');">Delete</button></form></td>
-        </tr>`).join('');
-        
-        const header = getAdminHeaderHTML('Manage Coupons');
-        res.send(`
-            ${header}<h1>Manage Coupons</h1>
-            <table><thead><tr><th>ID</th><th>Code</th><th>Type</th><th>Value</th><th>Active?</th><th>Actions</th></tr></thead>
-            <tbody>${couponsHtml}</tbody></table>
-            <div class="add-form">
-                <h2>Add New Coupon</h2>
-                <form action="/admin/add-coupon" method="POST">
-                    <div class="form-group"><label>Coupon Code: <input name="code" required></label></div>
-                    <div class="form-group">
-                        <label>Discount Type: 
-                            <select name="discount_type"><option value="percentage">Percentage</option><option value="fixed">Fixed Amount</option></select>
-                        </label>
-                    </div>
-                    <div class="form-group"><label>Discount Value: <input name="discount_value" type="number" step="0.01" required></label></div>
-                    <button type="submit">Add Coupon</button>
-                </form>
-            </div>
-            </div></body></html>
-        `);
-    } catch (err) {
-        res.status(500).send('Error loading coupon management page.');
-    }
-});
-
-app.post('/admin/add-coupon', checkAdminAuth, async (req, res) => {
-    const { code, discount_type, discount_value } = req.body;
-    try {
-        await pool.query('INSERT INTO coupons(code, discount_type, discount_value) VALUES($1, $2, $3)', [code.toUpperCase(), discount_type, discount_value]);
-        res.redirect('/admin/coupons');
-    } catch (err) {
-        res.status(500).send('Error adding coupon.');
-    }
-});
-
-app.post('/admin/delete-coupon/:id', checkAdminAuth, async (req, res) => {
-    try {
-        await pool.query('DELETE FROM coupons WHERE id = $1', [req.params.id]);
-        res.redirect('/admin/coupons');
-    } catch (err) {
-        res.status(500).send('Error deleting coupon.');
-    }
-});
-
-app.get('/admin/reviews', checkAdminAuth, async (req, res) => {
-    try {
-        const { rows } = await pool.query('SELECT r.id, r.product_name, r.rating, r.review_text, r.reviewer_name, r.user_uid, u.email FROM reviews r JOIN users u ON r.user_uid = u.firebase_uid ORDER BY r.created_at DESC');
-        const reviewsHtml = rows.map(r => `<tr>
-            <td>${r.id}</td><td>${he.encode(r.product_name)}</td>
-            <td>${he.encode(r.reviewer_name)}<br>(${he.encode(r.email)})</td>
-            <td>${'⭐'.repeat(r.rating)}</td><td>${he.encode(r.review_text || '')}</td>
-            <td>
-                <form action="/admin/delete-review/${r.id}" method="POST" style="display:inline-block; margin-bottom: 5px;"><button type="submit" onclick="return confirm('Delete review?');">Delete Review</button></form>
-                <form action="/admin/block-user/${r.user_uid}" method="POST" style="display:inline-block;"><button type="submit" onclick="return confirm('Block this user from leaving reviews?');">Block User</button></form>
-            </td>
-        </tr>`).join('');
-
-        const header = getAdminHeaderHTML('Manage Reviews');
-        res.send(`
-            ${header}<h1>Manage Reviews</h1>
-            <table><thead><tr><th>ID</th><th>Product</th><th>Reviewer</th><th>Rating</th><th>Review Text</th><th>Actions</th></tr></thead>
-            <tbody>${reviewsHtml}</tbody></table>
-            </div></body></html>
-        `);
-    } catch (err) {
-        res.status(500).send('Error loading reviews management page.');
-    }
-});
-
-app.post('/admin/delete-review/:id', checkAdminAuth, async (req, res) => {
-    try {
-        await pool.query('DELETE FROM reviews WHERE id = $1', [req.params.id]);
-        res.redirect('/admin/reviews');
-    } catch (err) {
-        res.status(500).send('Error deleting review.');
-    }
-});
-
-app.post('/admin/block-user/:uid', checkAdminAuth, async (req, res) => {
-    try {
-        await pool.query('UPDATE users SET is_blocked_from_reviewing = TRUE WHERE firebase_uid = $1', [req.params.uid]);
-        res.redirect('/admin/reviews');
-    } catch (err) {
-        res.status(500).send('Error blocking user.');
-    }
-});
-
-
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).send('Something broke!');
-});
-
-app.listen(port, () => {
-    console.log(`Server is listening on port ${port}`);
-    setupDatabase();
-});
+// --- SERVER.JS WITH PDF INVOICE GENERATION (COMPLETE CODE) ---
+
+const express = require('express');
+const cors = require('cors');
+const Joi = require('joi');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const he = require('he');
+require('dotenv').config();
+const sgMail = require('@sendgrid/mail');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const multer = require('multer');
+const cookieParser = require('cookie-parser');
+const PDFDocument = require('pdfkit'); // PDF LIBRARY
+const pool = require('./db');
+const { getPendingMigrations } = require('./migrate');
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+const admin = require('firebase-admin');
+const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT_KEY);
+
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount)
+});
+
+const app = express();
+const port = process.env.PORT || 3000;
+
+// Local image uploads are off unless PRODUCT_IMAGE_UPLOAD_DIR is set; the admin
+// gallery then accepts files as well as URLs and serves them from /uploads/products.
+const PRODUCT_IMAGE_UPLOAD_DIR = process.env.PRODUCT_IMAGE_UPLOAD_DIR ? path.resolve(process.env.PRODUCT_IMAGE_UPLOAD_DIR) : null;
+const PRODUCT_IMAGE_MAX_BYTES = Number(process.env.PRODUCT_IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+const PRODUCT_IMAGE_EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' };
+
+app.use(helmet());
+app.use(cors());
+if (PRODUCT_IMAGE_UPLOAD_DIR) {
+    fs.mkdirSync(PRODUCT_IMAGE_UPLOAD_DIR, { recursive: true });
+    // Served ahead of the rate limiter; the storefront is on another origin, so
+    // helmet's same-origin resource policy is relaxed for these files.
+    app.use('/uploads/products', express.static(PRODUCT_IMAGE_UPLOAD_DIR, {
+        index: false,
+        maxAge: '30d',
+        setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+    }));
+}
+// The raw body is kept so that webhook signatures can be verified byte-for-byte.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+
+const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 150,
+    // Autocomplete fires on every keystroke and has its own limiter.
+    skip: (req) => req.path.startsWith('/webhooks/') || req.path === '/api/search/suggest',
+});
+app.use(limiter);
+
+const suggestLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 120,
+});
+
+// Like verifyToken, but lets guests through without req.user.
+async function optionalVerifyToken(req, res, next) {
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (idToken) {
+        try {
+            req.user = await admin.auth().verifyIdToken(idToken);
+        } catch (error) {
+            req.user = undefined;
+        }
+    }
+    next();
+}
+async function verifyToken(req, res, next) {
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(403).send('Unauthorized');
+    }
+    try {
+        const decodedToken = await admin.auth().verifyIdToken(idToken);
+        req.user = decodedToken;
+        next();
+    } catch (error) {
+        res.status(403).send('Unauthorized');
+    }
+}
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Cart keys are product slugs. Keys saved before slugs existed (hyphenated
+// names) still resolve through product_slug_redirects.
+const toProductKey = (name) => String(name).trim().toLowerCase().replace(/\s+/g, '-');
+
+// "Peri Peri Makhana (100g)" -> "peri-peri-makhana-100g"
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Maps storefront keys to product ids, trying current slugs before retired ones.
+async function resolveProductKeys(keys, db = pool) {
+    const { rows } = await db.query(
+        `SELECT k.key, COALESCE(p.id, r.product_id) AS product_id
+         FROM unnest($1::text[]) AS k(key)
+         LEFT JOIN products p ON p.slug = k.key
+         LEFT JOIN product_slug_redirects r ON r.slug = k.key`,
+        [keys]
+    );
+    return new Map(rows.filter(r => r.product_id !== null).map(r => [r.key, r.product_id]));
+}
+
+async function findProductBySlug(slug, db = pool) {
+    const idsByKey = await resolveProductKeys([slug], db);
+    if (!idsByKey.has(slug)) {
+        return null;
+    }
+    const { rows } = await db.query('SELECT * FROM products WHERE id = $1', [idsByKey.get(slug)]);
+    return rows[0] || null;
+}
+
+// Adds each product's gallery as an `images` array, in display order, and
+// drops the internal search_vector column from API output.
+async function attachProductImages(products, db = pool) {
+    if (products.length === 0) {
+        return products;
+    }
+    const { rows } = await db.query(
+        'SELECT id, product_id, url, alt_text, sort_order, is_primary FROM product_images WHERE product_id = ANY($1) ORDER BY sort_order, id',
+        [products.map(p => p.id)]
+    );
+    const imagesByProduct = new Map();
+    for (const { product_id: productId, ...image } of rows) {
+        if (!imagesByProduct.has(productId)) {
+            imagesByProduct.set(productId, []);
+        }
+        imagesByProduct.get(productId).push(image);
+    }
+    return products.map(({ search_vector: searchVector, ...p }) => ({ ...p, images: imagesByProduct.get(p.id) || [] }));
+}
+
+// Categories in display order, each subcategory right after its parent with a
+// depth so selects and tables can indent it.
+async function getCategoryList(db = pool) {
+    const { rows } = await db.query('SELECT * FROM categories ORDER BY sort_order, name');
+    const childrenByParent = new Map();
+    for (const category of rows) {
+        const parentId = category.parent_id || null;
+        if (!childrenByParent.has(parentId)) {
+            childrenByParent.set(parentId, []);
+        }
+        childrenByParent.get(parentId).push(category);
+    }
+    const list = [];
+    const visit = (parentId, depth) => {
+        for (const category of childrenByParent.get(parentId) || []) {
+            list.push({ ...category, depth });
+            visit(category.id, depth + 1);
+        }
+    };
+    visit(null, 0);
+    return list;
+}
+
+// Adds average_rating, review_count and a 1-5 star rating_distribution built
+// from each product's approved reviews.
+async function attachReviewSummaries(products, db = pool) {
+    if (products.length === 0) {
+        return products;
+    }
+    const { rows } = await db.query(
+        `SELECT product_id, rating, COUNT(*)::int AS count FROM reviews
+         WHERE product_id = ANY($1) AND moderation_status = 'approved'
+         GROUP BY product_id, rating`,
+        [products.map(p => p.id)]
+    );
+    const distributions = new Map();
+    for (const row of rows) {
+        if (!distributions.has(row.product_id)) {
+            distributions.set(row.product_id, { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+        }
+        distributions.get(row.product_id)[row.rating] = row.count;
+    }
+    return products.map(p => {
+        const distribution = distributions.get(p.id) || { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        const count = Object.values(distribution).reduce((sum, n) => sum + n, 0);
+        const total = Object.entries(distribution).reduce((sum, [stars, n]) => sum + Number(stars) * n, 0);
+        return {
+            ...p,
+            average_rating: count > 0 ? Math.round((total / count) * 10) / 10 : null,
+            review_count: count,
+            rating_distribution: distribution
+        };
+    });
+}
+
+// Shop-wide switches kept in app_settings, e.g. 'reviews.require_approval'.
+async function getSetting(key, defaultValue, db = pool) {
+    const { rows } = await db.query('SELECT value FROM app_settings WHERE key = $1', [key]);
+    return rows.length > 0 ? rows[0].value : defaultValue;
+}
+
+async function setSetting(key, value, db = pool) {
+    await db.query(
+        `INSERT INTO app_settings (key, value, updated_at) VALUES ($1, $2, NOW())
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+        [key, JSON.stringify(value)]
+    );
+}
+
+// Totals per category id, each including its subcategories. Subcategories come
+// after their parent in getCategoryList, so walking it backwards totals each
+// subtree before its parent is reached.
+function rollUpCategoryCounts(categories, countsBySlug) {
+    const totals = new Map(categories.map(c => [c.id, countsBySlug.get(c.slug) || 0]));
+    for (const c of [...categories].reverse()) {
+        if (c.parent_id) {
+            totals.set(c.parent_id, totals.get(c.parent_id) + totals.get(c.id));
+        }
+    }
+    return totals;
+}
+
+// SQL for the slugs of a category and all of its subcategories; $n is the slug.
+const categoryTreeSlugsSQL = (param) => `
+    WITH RECURSIVE category_tree AS (
+        SELECT id, slug FROM categories WHERE slug = ${param}
+        UNION ALL
+        SELECT c.id, c.slug FROM categories c JOIN category_tree t ON c.parent_id = t.id
+    ) SELECT slug FROM category_tree`;
+
+// A line for a pack size carries its variantId; the key then only has to be
+// unique within the cart (e.g. "peri-peri-makhana:250g").
+const cartSchema = Joi.object().pattern(
+    Joi.string(),
+    Joi.object({
+        quantity: Joi.number().integer().min(1).max(100).required(),
+        variantId: Joi.number().integer().positive()
+    }).unknown(true)
+).min(1).required();
+
+// Prices every cart line from the products table so that totals never depend on
+// the price the browser sent. Returns { error } if any line cannot be sold, with
+// a per-item stockErrors list when the only problem is insufficient stock.
+// Pass lockRows inside a transaction to hold the product rows until COMMIT.
+async function priceCart(cart, db = pool, { lockRows = false } = {}) {
+    const { error, value } = cartSchema.validate(cart);
+    if (error) {
+        return { error: `Invalid cart: ${error.details[0].message}` };
+    }
+    cart = value;
+    const keys = Object.keys(cart);
+    const lockClause = lockRows ? ' FOR UPDATE' : '';
+    const variantIds = [...new Set(keys.map(key => cart[key].variantId).filter(Boolean))];
+    const { rows: variantParents } = await db.query('SELECT product_id FROM product_variants WHERE id = ANY($1)', [variantIds]);
+    const idsByKey = await resolveProductKeys(keys.filter(key => !cart[key].variantId).map(toProductKey), db);
+    const productIds = new Set([...idsByKey.values(), ...variantParents.map(v => v.product_id)]);
+
+    // Products are locked before their variants, the same order adjustLineStock uses.
+    const { rows } = await db.query(
+        `SELECT id, name, slug, stock_quantity, COALESCE(sale_price, price) AS unit_price, hsn_code, gst_rate, weight_grams,
+                EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id AND v.is_active) AS has_variants
+         FROM products WHERE id = ANY($1)
+         ORDER BY id${lockClause}`,
+        [[...productIds]]
+    );
+    const { rows: variants } = await db.query(
+        `SELECT id, product_id, label, stock_quantity, is_active, weight_grams, COALESCE(sale_price, price) AS unit_price
+         FROM product_variants WHERE id = ANY($1)
+         ORDER BY id${lockClause}`,
+        [variantIds]
+    );
+    const productsById = new Map(rows.map(p => [p.id, p]));
+    const variantsById = new Map(variants.map(v => [v.id, v]));
+
+    const items = {};
+    // Stock is held either by a variant or, for products without variants, by the product.
+    const stockUnits = new Map();
+    let subtotal = 0;
+    for (const key of keys) {
+        const { quantity, variantId } = cart[key];
+        const variant = variantId ? variantsById.get(variantId) : null;
+        const product = variantId
+            ? (variant && variant.is_active ? productsById.get(variant.product_id) : undefined)
+            : productsById.get(idsByKey.get(toProductKey(key)));
+        if (!product) {
+            return { error: `"${key}" is not available.` };
+        }
+        if (!variant && product.has_variants) {
+            return { error: `Please choose a pack size for "${product.name}".` };
+        }
+        const source = variant || product;
+        const name = variant ? `${product.name} (${variant.label})` : product.name;
+        const unitPrice = Number(source.unit_price);
+        const lineTotal = roundCurrency(unitPrice * quantity);
+        subtotal += lineTotal;
+        items[key] = {
+            productId: product.id,
+            ...(variant && { variantId: variant.id, variantLabel: variant.label }),
+            slug: product.slug, name, price: unitPrice, quantity, lineTotal,
+            hsnCode: product.hsn_code, gstRate: Number(product.gst_rate), weightGrams: source.weight_grams || product.weight_grams || null
+        };
+        const unitKey = variant ? `variant:${variant.id}` : `product:${product.id}`;
+        const unit = stockUnits.get(unitKey) || { productId: product.id, variantId: variant ? variant.id : undefined, name, available: source.stock_quantity, requested: 0 };
+        unit.requested += quantity;
+        stockUnits.set(unitKey, unit);
+    }
+
+    const stockErrors = [...stockUnits.values()]
+        .filter(u => u.available < u.requested)
+        .map(u => ({
+            productId: u.productId,
+            ...(u.variantId && { variantId: u.variantId }),
+            name: u.name,
+            requested: u.requested,
+            available: Math.max(u.available, 0),
+            message: u.available > 0
+                ? `Insufficient stock for "${u.name}": only ${u.available} left.`
+                : `Insufficient stock for "${u.name}": it is out of stock.`
+        }));
+    if (stockErrors.length > 0) {
+        return { error: 'Some items in your cart are not available in the requested quantity.', stockErrors };
+    }
+    return { items, subtotal: roundCurrency(subtotal) };
+}
+
+// products.stock_quantity mirrors the total of a product's active variants so
+// listings can keep filtering on it; with every variant inactive that total is
+// 0. Products without variants are untouched.
+async function syncProductStock(client, productId) {
+    await client.query(
+        `UPDATE products SET stock_quantity = (
+            SELECT COALESCE(SUM(GREATEST(stock_quantity, 0)), 0) FROM product_variants WHERE product_id = $1 AND is_active
+         )
+         WHERE id = $1 AND EXISTS (SELECT 1 FROM product_variants WHERE product_id = $1)`,
+        [productId]
+    );
+}
+
+// Moves stock for one order line: delta is negative when selling, positive when
+// putting items back. Lines for a pack size move that variant's stock.
+async function adjustLineStock(client, item, delta) {
+    if (!item.productId) {
+        return;
+    }
+    if (!item.variantId) {
+        await client.query('UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2', [delta, item.productId]);
+        return;
+    }
+    await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [item.productId]);
+    await client.query('UPDATE product_variants SET stock_quantity = stock_quantity + $1 WHERE id = $2', [delta, item.variantId]);
+    await syncProductStock(client, item.productId);
+}
+
+// Puts the quantities an order reserved back into stock. Orders placed before
+// stock reservation never took stock out, so they are left alone.
+async function releaseOrderStock(client, order) {
+    if (!order.stock_reserved) {
+        return;
+    }
+    for (const item of Object.values(order.cart_items)) {
+        await adjustLineStock(client, item, item.quantity);
+    }
+    await client.query('UPDATE orders SET stock_reserved = FALSE WHERE id = $1', [order.id]);
+}
+
+// Allowed order status moves. Orders can only be cancelled before they ship.
+const ORDER_STATUS_TRANSITIONS = {
+    'Processing': ['Shipped', 'Cancelled'],
+    'Shipped': ['Out for Delivery', 'Delivered'],
+    'Out for Delivery': ['Delivered'],
+    'Delivered': [],
+    'Cancelled': []
+};
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+const CANCELLATION_REASONS = [
+    'Ordered by mistake',
+    'Found a better price elsewhere',
+    'Delivery is taking too long',
+    'Want to change the delivery address',
+    'Want to change the items in the order',
+    'Other'
+];
+
+// Orders placed before payment verification have no payment_status; anything
+// that was not COD was paid online.
+const isPaidOnline = (order) => order.payment_status
+    ? ['authorized', 'captured'].includes(order.payment_status)
+    : !order.razorpay_payment_id.startsWith('cod_');
+
+const recordOrderStatus = (client, orderId, fromStatus, toStatus, actor, note = null) => client.query(
+    'INSERT INTO order_status_history (order_id, from_status, to_status, actor, note) VALUES ($1, $2, $3, $4, $5)',
+    [orderId, fromStatus, toStatus, actor, note || null]
+);
+
+// Moves an order row (locked by the caller) to newStatus and records the change.
+// Cancelling releases the stock the order reserved and flags prepaid orders for
+// a refund. Returns { error } for a transition ORDER_STATUS_TRANSITIONS forbids.
+async function changeOrderStatus(client, order, newStatus, { actor, note }) {
+    // Legacy rows may hold a free-text status; let them move to any known status.
+    const allowed = ORDER_STATUS_TRANSITIONS[order.status] || ORDER_STATUSES;
+    if (!allowed.includes(newStatus)) {
+        return { error: `An order cannot move from "${order.status}" to "${newStatus}".` };
+    }
+    if (newStatus === 'Cancelled') {
+        await releaseOrderStock(client, order);
+        if (isPaidOnline(order)) {
+            await client.query("UPDATE orders SET refund_status = 'pending' WHERE id = $1", [order.id]);
+        }
+    }
+    await client.query('UPDATE orders SET status = $1 WHERE id = $2', [newStatus, order.id]);
+    await recordOrderStatus(client, order.id, order.status, newStatus, actor, note);
+    return {};
+}
+
+const RETURN_REASONS = [
+    'Damaged or defective item',
+    'Wrong item delivered',
+    'Item missing from the package',
+    'Quality not as expected',
+    'Other'
+];
+const REFUND_METHODS = ['Razorpay', 'UPI', 'Bank Transfer', 'Store Credit', 'Cash'];
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Records a refund against an order (locked by the caller). Every refund goes
+// through here, so the order's amount_refunded and refund_status follow the
+// refunds table, and its payment_status does too when the money went back
+// through Razorpay. Returns { error } if the refund cannot be recorded.
+async function recordRefund(client, order, { amount, method, reference, note, returnId, createdBy }) {
+    if (reference) {
+        const existing = await client.query('SELECT id FROM refunds WHERE reference = $1', [reference]);
+        if (existing.rows.length > 0) {
+            return { error: `A refund with reference "${reference}" has already been recorded.` };
+        }
+    }
+    const totals = await client.query('SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds WHERE order_id = $1', [order.id]);
+    const alreadyRefunded = Number(totals.rows[0].refunded);
+    const refundedAfter = roundCurrency(alreadyRefunded + amount);
+    const orderAmount = Number(order.order_amount);
+    if (refundedAfter > orderAmount) {
+        return { error: `Refunds cannot exceed the order total. At most ₹${(orderAmount - alreadyRefunded).toFixed(2)} can still be refunded.` };
+    }
+    const { rows } = await client.query(
+        `INSERT INTO refunds (order_id, return_id, amount, method, reference, note, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [order.id, returnId || null, amount, method, reference || null, note || null, createdBy]
+    );
+    const refundStatus = refundedAfter >= orderAmount ? 'refunded' : 'partially_refunded';
+    await client.query(
+        `UPDATE orders SET refund_status = $1, amount_refunded = COALESCE(amount_refunded, 0) + $2,
+            payment_status = CASE WHEN $3::boolean THEN $1 ELSE payment_status END
+         WHERE id = $4`,
+        [refundStatus, amount, method === 'Razorpay', order.id]
+    );
+    return { refund: rows[0] };
+}
+
+// Tracking links per carrier. {trackingNumber} is replaced with the AWB number.
+// CARRIER_TRACKING_URL_TEMPLATES (a JSON object) adds carriers or overrides these.
+const CARRIER_TRACKING_URL_TEMPLATES = {
+    'Delhivery': 'https://www.delhivery.com/track/package/{trackingNumber}',
+    'Shiprocket': 'https://shiprocket.co/tracking/{trackingNumber}',
+    ...JSON.parse(process.env.CARRIER_TRACKING_URL_TEMPLATES || '{}')
+};
+
+const buildTrackingUrl = (carrier, trackingNumber) => {
+    const template = CARRIER_TRACKING_URL_TEMPLATES[carrier];
+    return template ? template.replace('{trackingNumber}', encodeURIComponent(trackingNumber)) : null;
+};
+
+const shipmentSchema = Joi.object({
+    carrier: Joi.string().trim().max(100).required(),
+    trackingNumber: Joi.string().trim().max(100).required(),
+    expectedDeliveryDate: Joi.date().iso().raw().allow('', null),
+    // Cart key -> quantity in this parcel.
+    items: Joi.object().pattern(Joi.string(), Joi.number().integer().min(0))
+        .messages({ 'number.base': 'Shipment quantities must be whole numbers.', 'number.integer': 'Shipment quantities must be whole numbers.', 'number.min': 'Shipment quantities cannot be negative.' })
+}).unknown(true);
+
+// Adds a shipment to an order (locked by the caller). items maps cart keys to
+// the quantities in this parcel; without items, everything not yet shipped goes.
+// Returns { error } if the parcel holds more than is left to ship.
+async function createShipment(client, order, { carrier, trackingNumber, expectedDeliveryDate, items }) {
+    const existing = await client.query('SELECT items FROM shipments WHERE order_id = $1', [order.id]);
+    const shipped = {};
+    existing.rows.forEach(s => {
+        for (const [key, quantity] of Object.entries(s.items)) {
+            shipped[key] = (shipped[key] || 0) + quantity;
+        }
+    });
+    const remaining = {};
+    for (const [key, item] of Object.entries(order.cart_items)) {
+        const left = item.quantity - (shipped[key] || 0);
+        if (left > 0) {
+            remaining[key] = left;
+        }
+    }
+
+    let parcelItems = remaining;
+    if (items) {
+        parcelItems = {};
+        for (const [key, quantity] of Object.entries(items)) {
+            if (!quantity) {
+                continue;
+            }
+            if (quantity > (remaining[key] || 0)) {
+                return { error: `Cannot ship ${quantity} of "${key}": only ${remaining[key] || 0} left to ship.` };
+            }
+            parcelItems[key] = quantity;
+        }
+    }
+    if (Object.keys(parcelItems).length === 0) {
+        return { error: items ? 'Select at least one item for this shipment.' : 'Every item in this order has already been shipped.' };
+    }
+
+    const { rows } = await client.query(
+        `INSERT INTO shipments (order_id, carrier, tracking_number, expected_delivery_date, items)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [order.id, carrier, trackingNumber, expectedDeliveryDate || null, JSON.stringify(parcelItems)]
+    );
+    return { shipment: rows[0] };
+}
+
+async function notifyOrderShipped(order, shipment) {
+    const userResult = await pool.query('SELECT email FROM users WHERE firebase_uid = $1', [order.user_uid]);
+    if (userResult.rows.length > 0) {
+        await sendOrderShippedEmail(userResult.rows[0].email, order, shipment);
+    }
+}
+
+// Loads the returns, refunds and shipments of the given orders, grouped by
+// order id, for the customer's order pages and the admin order page.
+async function getOrderActivityByOrder(orderIds) {
+    const [returnsResult, refundsResult, shipmentsResult] = await Promise.all([
+        pool.query(
+            `SELECT id, order_id, items, reason, comments, photo_urls, status, resolution_note, created_at, resolved_at
+             FROM returns WHERE order_id = ANY($1) ORDER BY created_at ASC`,
+            [orderIds]
+        ),
+        pool.query(
+            'SELECT id, order_id, return_id, amount, method, reference, created_at FROM refunds WHERE order_id = ANY($1) ORDER BY created_at ASC',
+            [orderIds]
+        ),
+        pool.query(
+            `SELECT id, order_id, carrier, tracking_number, to_char(expected_delivery_date, 'YYYY-MM-DD') AS expected_delivery_date, items, shipped_at
+             FROM shipments WHERE order_id = ANY($1) ORDER BY shipped_at ASC`,
+            [orderIds]
+        )
+    ]);
+    const byOrder = new Map(orderIds.map(id => [id, { returns: [], refunds: [], shipments: [] }]));
+    returnsResult.rows.forEach(r => byOrder.get(r.order_id).returns.push(r));
+    refundsResult.rows.forEach(r => byOrder.get(r.order_id).refunds.push(r));
+    shipmentsResult.rows.forEach(s => byOrder.get(s.order_id).shipments.push({
+        ...s, tracking_url: buildTrackingUrl(s.carrier, s.tracking_number)
+    }));
+    return byOrder;
+}
+
+// Orders that were cancelled do not count as coupon redemptions.
+const REDEEMED_ORDER_CONDITION = "status <> 'Cancelled'";
+
+// Applies every coupon rule to a priced cart. Returns { coupon, discount } when
+// the coupon can be used, or { error, reason } explaining why it was rejected.
+async function evaluateCoupon(couponCode, { items, subtotal, userUid }, db = pool, { lockRows = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT *,
+            (starts_on IS NOT NULL AND starts_on > (NOW() AT TIME ZONE 'Asia/Kolkata')::date) AS not_started,
+            (ends_on IS NOT NULL AND ends_on < (NOW() AT TIME ZONE 'Asia/Kolkata')::date) AS expired
+         FROM coupons WHERE code = $1${lockRows ? ' FOR UPDATE' : ''}`,
+        [String(couponCode).trim().toUpperCase()]
+    );
+    if (rows.length === 0) {
+        return { error: 'Invalid coupon code.', reason: 'not_found' };
+    }
+    const coupon = rows[0];
+    if (!coupon.is_active) {
+        return { error: 'This coupon is no longer active.', reason: 'inactive' };
+    }
+    if (coupon.not_started) {
+        return { error: 'This coupon is not valid yet.', reason: 'not_started' };
+    }
+    if (coupon.expired) {
+        return { error: 'This coupon has expired.', reason: 'expired' };
+    }
+    if (coupon.min_order_amount !== null && subtotal < Number(coupon.min_order_amount)) {
+        return { error: `This coupon needs a minimum order of ₹${Number(coupon.min_order_amount).toFixed(2)}.`, reason: 'min_order' };
+    }
+
+    let eligibleSubtotal = subtotal;
+    const categories = coupon.applicable_categories || [];
+    const productIds = coupon.applicable_product_ids || [];
+    if (categories.length > 0 || productIds.length > 0) {
+        const lines = Object.values(items);
+        const productResult = await db.query('SELECT id, category FROM products WHERE id = ANY($1)', [lines.map(i => i.productId)]);
+        const categoryById = new Map(productResult.rows.map(p => [p.id, p.category]));
+        eligibleSubtotal = roundCurrency(lines
+            .filter(i => productIds.includes(i.productId) || categories.includes(categoryById.get(i.productId)))
+            .reduce((sum, i) => sum + i.lineTotal, 0));
+        if (eligibleSubtotal === 0) {
+            return { error: 'This coupon does not apply to the items in your cart.', reason: 'not_applicable' };
+        }
+    }
+
+    if (coupon.usage_limit !== null) {
+        const usage = await db.query(`SELECT COUNT(*)::int AS count FROM orders WHERE coupon_used = $1 AND ${REDEEMED_ORDER_CONDITION}`, [coupon.code]);
+        if (usage.rows[0].count >= coupon.usage_limit) {
+            return { error: 'This coupon has reached its usage limit.', reason: 'usage_limit' };
+        }
+    }
+    if (coupon.per_user_limit !== null || coupon.first_order_only) {
+        if (!userUid) {
+            return { error: 'Please sign in to use this coupon.', reason: 'login_required' };
+        }
+        if (coupon.per_user_limit !== null) {
+            const usage = await db.query(
+                `SELECT COUNT(*)::int AS count FROM orders WHERE coupon_used = $1 AND user_uid = $2 AND ${REDEEMED_ORDER_CONDITION}`,
+                [coupon.code, userUid]
+            );
+            if (usage.rows[0].count >= coupon.per_user_limit) {
+                return { error: 'You have already used this coupon the maximum number of times.', reason: 'per_user_limit' };
+            }
+        }
+        if (coupon.first_order_only) {
+            const previousOrders = await db.query(`SELECT 1 FROM orders WHERE user_uid = $1 AND ${REDEEMED_ORDER_CONDITION} LIMIT 1`, [userUid]);
+            if (previousOrders.rows.length > 0) {
+                return { error: 'This coupon is only valid on your first order.', reason: 'first_order_only' };
+            }
+        }
+    }
+
+    let discount;
+    if (coupon.discount_type === 'percentage') {
+        discount = eligibleSubtotal * (parseFloat(coupon.discount_value) / 100);
+        if (coupon.max_discount_amount !== null) {
+            discount = Math.min(discount, Number(coupon.max_discount_amount));
+        }
+    } else {
+        discount = parseFloat(coupon.discount_value);
+    }
+    return { coupon, discount: roundCurrency(Math.min(eligibleSubtotal, discount)) };
+}
+
+// --- Shipping ---
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+// The pincode field when the storefront sends one, otherwise the last
+// six-digit number in the free-text address.
+function resolveShippingPincode(addressDetails) {
+    const given = String(addressDetails.pincode || '').replace(/\s/g, '');
+    if (PINCODE_PATTERN.test(given)) {
+        return given;
+    }
+    const matches = String(addressDetails.address || '').match(/\b[1-9]\d{2} ?\d{3}\b/g);
+    return matches ? matches[matches.length - 1].replace(' ', '') : null;
+}
+
+// Where a quote is going, from either a full address or a bare pincode and state.
+const getShippingDestination = (body) => {
+    const address = body.addressDetails || { pincode: body.pincode, state: body.state };
+    return { pincode: resolveShippingPincode(address), state: resolveShippingState(address) };
+};
+
+// The delivery address's pincode and state, which an order is quoted for. Both
+// /api/payments/create-order and /checkout resolve the address here, so the
+// amount charged is the amount the order is placed for. Returns { error } when
+// either is missing.
+function getOrderDestination(addressDetails) {
+    const destination = getShippingDestination({ addressDetails });
+    if (!destination.state) {
+        return { error: 'Please include the state in your delivery address.' };
+    }
+    if (!destination.pincode) {
+        return { error: 'Please include the pincode in your delivery address.' };
+    }
+    return { destination };
+}
+
+// The first active zone, by sort order, with a pincode range or state matching
+// the destination. Destinations no zone claims, and quotes without a
+// destination, fall back to the default zone.
+async function findShippingZone({ pincode, state }, db = pool) {
+    const { rows } = await db.query(
+        `SELECT * FROM shipping_zones z
+         WHERE z.is_active AND (
+            z.is_default
+            OR EXISTS (SELECT 1 FROM shipping_zone_pincode_ranges r WHERE r.zone_id = z.id AND $1::char(6) BETWEEN r.pincode_from AND r.pincode_to)
+            OR EXISTS (SELECT 1 FROM shipping_zone_states s WHERE s.zone_id = z.id AND s.state = $2)
+         )
+         ORDER BY z.is_default, z.sort_order, z.id
+         LIMIT 1`,
+        [pincode || null, state || null]
+    );
+    return rows[0] || null;
+}
+
+// Shipping for a priced cart. Items without a weight of their own count at the
+// shop's default item weight.
+async function quoteShipping({ items, subtotal, destination = {}, paymentMethod }, db = pool) {
+    if (destination.pincode) {
+        const { rows } = await db.query('SELECT 1 FROM non_serviceable_pincodes WHERE pincode = $1', [destination.pincode]);
+        if (rows.length > 0) {
+            return { error: `Sorry, we do not deliver to pincode ${destination.pincode} yet.`, reason: 'not_serviceable' };
+        }
+    }
+    const zone = await findShippingZone(destination, db);
+    if (!zone) {
+        return { error: 'Sorry, we do not deliver to this address yet.', reason: 'not_serviceable' };
+    }
+    const defaultWeight = Number(await getSetting('shipping.default_item_weight_grams', 250, db));
+    const weightGrams = Object.values(items).reduce((sum, item) => sum + (item.weightGrams || defaultWeight) * item.quantity, 0);
+    const freeShippingThreshold = zone.free_shipping_threshold === null ? null : Number(zone.free_shipping_threshold);
+    const freeShipping = freeShippingThreshold !== null && subtotal >= freeShippingThreshold;
+    let shippingCost = 0;
+    if (!freeShipping) {
+        const { rows: slabs } = await db.query(
+            `SELECT rate FROM shipping_rate_slabs WHERE zone_id = $1 AND (max_weight_grams IS NULL OR max_weight_grams >= $2)
+             ORDER BY max_weight_grams NULLS LAST LIMIT 1`,
+            [zone.id, weightGrams]
+        );
+        if (slabs.length === 0) {
+            return { error: 'This order is too heavy for us to ship to this address. Please split it into smaller orders.', reason: 'overweight' };
+        }
+        shippingCost = Number(slabs[0].rate);
+    }
+    return {
+        zone: { id: zone.id, name: zone.name },
+        weightGrams,
+        shippingCost,
+        codSurcharge: paymentMethod === 'cod' ? Number(zone.cod_surcharge) : 0,
+        freeShippingThreshold,
+        amountToFreeShipping: freeShippingThreshold !== null && !freeShipping ? roundCurrency(freeShippingThreshold - subtotal) : 0
+    };
+}
+
+// Builds the full server-side quote for a cart. A rejected coupon does not fail
+// the quote; it is reported in couponError so each route can decide what to do.
+// An address we cannot ship to does fail it, with reason set.
+async function quoteOrder({ cart, couponCode, userUid, destination, paymentMethod }, db = pool, options = {}) {
+    const pricedCart = await priceCart(cart, db, options);
+    if (pricedCart.error) {
+        return pricedCart;
+    }
+    const { items, subtotal } = pricedCart;
+    const shipping = await quoteShipping({ items, subtotal, destination, paymentMethod }, db);
+    if (shipping.error) {
+        return shipping;
+    }
+    const { shippingCost, codSurcharge } = shipping;
+    let discount = 0;
+    let appliedCoupon = null;
+    let couponError = null;
+    let couponReason = null;
+    if (couponCode) {
+        const evaluation = await evaluateCoupon(couponCode, { items, subtotal, userUid }, db, options);
+        if (evaluation.error) {
+            couponError = evaluation.error;
+            couponReason = evaluation.reason;
+        } else {
+            appliedCoupon = evaluation.coupon.code;
+            discount = evaluation.discount;
+        }
+    }
+    const total = roundCurrency(subtotal - discount + shippingCost + codSurcharge);
+    return { items, subtotal, shippingCost, codSurcharge, shipping, discount, total, appliedCoupon, couponError, couponReason };
+}
+
+// --- Razorpay ---
+// RAZORPAY_API_BASE_URL can point at a local stub of the Razorpay API for testing.
+const RAZORPAY_API_BASE_URL = process.env.RAZORPAY_API_BASE_URL || 'https://api.razorpay.com/v1';
+
+function razorpayRequest(method, path, body) {
+    const url = new URL(`${RAZORPAY_API_BASE_URL}${path}`);
+    const transport = url.protocol === 'http:' ? http : https;
+    const payload = body ? JSON.stringify(body) : null;
+    const headers = { 'Content-Type': 'application/json' };
+    if (payload) {
+        headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    return new Promise((resolve, reject) => {
+        const request = transport.request(url, {
+            method,
+            headers,
+            auth: `${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`,
+            timeout: 10000,
+        }, (response) => {
+            let data = '';
+            response.on('data', (chunk) => { data += chunk; });
+            response.on('end', () => {
+                let parsed = {};
+                try { parsed = JSON.parse(data); } catch (e) { parsed = { raw: data }; }
+                if (response.statusCode >= 400) {
+                    const description = parsed.error && parsed.error.description;
+                    return reject(new Error(description || `Razorpay API responded with ${response.statusCode}`));
+                }
+                resolve(parsed);
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error('Razorpay API request timed out')));
+        request.on('error', reject);
+        if (payload) {
+            request.write(payload);
+        }
+        request.end();
+    });
+}
+
+function isValidRazorpaySignature(payload, signature, secret) {
+    if (!secret || typeof signature !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('hex'));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// --- GST tax invoices ---
+// Storefront prices include GST. Orders delivered inside the seller's state are
+// charged CGST + SGST; deliveries to any other state are charged IGST.
+const SELLER_DETAILS = {
+    name: process.env.SELLER_LEGAL_NAME || 'The Bihari Makhana',
+    address: process.env.SELLER_ADDRESS || 'Bhagalpur, Bihar, India',
+    gstin: process.env.SELLER_GSTIN || '',
+    state: process.env.SELLER_STATE || 'Bihar',
+};
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'TBM';
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+// SAC for courier services. Shipping is part of a composite supply, so it is
+// taxed at the highest rate among the goods in the order.
+const SHIPPING_SAC_CODE = '996812';
+
+const INDIAN_STATES = [
+    'Andaman and Nicobar Islands', 'Andhra Pradesh', 'Arunachal Pradesh', 'Assam', 'Bihar', 'Chandigarh', 'Chhattisgarh',
+    'Dadra and Nagar Haveli and Daman and Diu', 'Delhi', 'Goa', 'Gujarat', 'Haryana', 'Himachal Pradesh', 'Jammu and Kashmir',
+    'Jharkhand', 'Karnataka', 'Kerala', 'Ladakh', 'Lakshadweep', 'Madhya Pradesh', 'Maharashtra', 'Manipur', 'Meghalaya',
+    'Mizoram', 'Nagaland', 'Odisha', 'Puducherry', 'Punjab', 'Rajasthan', 'Sikkim', 'Tamil Nadu', 'Telangana', 'Tripura',
+    'Uttar Pradesh', 'Uttarakhand', 'West Bengal'
+];
+
+const normalizeStateName = (state) => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/&/g, 'and');
+
+// Resolves the delivery state from the state field when the storefront sends
+// one, otherwise from the last state named in the free-text address.
+function resolveShippingState(addressDetails) {
+    const given = normalizeStateName(addressDetails.state);
+    const exact = INDIAN_STATES.find(state => normalizeStateName(state) === given);
+    if (exact) {
+        return exact;
+    }
+    const address = normalizeStateName(addressDetails.address);
+    let found = null;
+    let foundAt = -1;
+    for (const state of INDIAN_STATES) {
+        const pattern = new RegExp(`\\b${normalizeStateName(state)}\\b`, 'g');
+        let match;
+        while ((match = pattern.exec(address)) !== null) {
+            if (match.index > foundAt) {
+                found = state;
+                foundAt = match.index;
+            }
+        }
+    }
+    return found;
+}
+
+// Indian financial years run April to March, e.g. "2026-27".
+function getFinancialYear(date = new Date()) {
+    const [year, month] = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata', year: 'numeric', month: '2-digit' })
+        .format(date).split('-').map(Number);
+    const startYear = month >= 4 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+// Takes the next number in the financial year's series, e.g. TBM/2026-27/00042.
+// The sequence row stays locked until the caller's transaction ends and a
+// rollback hands the number back, so the series has no gaps.
+async function nextInvoiceNumber(client, date = new Date()) {
+    const financialYear = getFinancialYear(date);
+    const { rows } = await client.query(
+        `INSERT INTO invoice_sequences (financial_year, last_number) VALUES ($1, 1)
+         ON CONFLICT (financial_year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+         RETURNING last_number`,
+        [financialYear]
+    );
+    return `${INVOICE_PREFIX}/${financialYear}/${String(rows[0].last_number).padStart(5, '0')}`;
+}
+
+// Splits a GST-inclusive amount into taxable value and tax.
+function taxInclusiveLine(gross, rate, interState) {
+    const taxableValue = roundCurrency((gross * 100) / (100 + rate));
+    const tax = roundCurrency(gross - taxableValue);
+    const cgst = interState ? 0 : roundCurrency(tax / 2);
+    return { taxableValue, rate, cgst, sgst: interState ? 0 : roundCurrency(tax - cgst), igst: interState ? tax : 0, total: roundCurrency(gross) };
+}
+
+// The tax breakdown stored on an order. The coupon discount is spread over the
+// lines in proportion to their value before tax is taken out of each.
+function computeOrderTax(items, { discount = 0, shippingCost = 0, codSurcharge = 0, shippingState }) {
+    const interState = normalizeStateName(shippingState) !== normalizeStateName(SELLER_DETAILS.state);
+    const entries = Object.entries(items);
+    const subtotal = entries.reduce((sum, [, item]) => sum + item.lineTotal, 0);
+    let discountLeft = roundCurrency(discount);
+    const lines = entries.map(([key, item], index) => {
+        const lineDiscount = index === entries.length - 1
+            ? discountLeft
+            : roundCurrency(subtotal > 0 ? (discount * item.lineTotal) / subtotal : 0);
+        discountLeft = roundCurrency(discountLeft - lineDiscount);
+        return {
+            key, name: item.name, hsnCode: item.hsnCode || null, quantity: item.quantity,
+            ...taxInclusiveLine(item.lineTotal - lineDiscount, Number(item.gstRate ?? 5), interState)
+        };
+    });
+    const shippingRate = Math.max(0, ...lines.map(l => l.rate));
+    if (shippingCost > 0) {
+        lines.push({ key: 'shipping', name: 'Shipping', hsnCode: SHIPPING_SAC_CODE, quantity: 1, ...taxInclusiveLine(shippingCost, shippingRate, interState) });
+    }
+    if (codSurcharge > 0) {
+        lines.push({ key: 'cod', name: 'Cash on Delivery Charges', hsnCode: SHIPPING_SAC_CODE, quantity: 1, ...taxInclusiveLine(codSurcharge, shippingRate, interState) });
+    }
+    const sumOf = (field) => roundCurrency(lines.reduce((sum, l) => sum + l[field], 0));
+    const totals = { taxableValue: sumOf('taxableValue'), cgst: sumOf('cgst'), sgst: sumOf('sgst'), igst: sumOf('igst'), total: sumOf('total') };
+    totals.totalTax = roundCurrency(totals.cgst + totals.sgst + totals.igst);
+    return { taxType: interState ? 'igst' : 'cgst_sgst', placeOfSupply: shippingState, lines, totals };
+}
+
+const WORDS_ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve',
+    'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const WORDS_TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Indian numbering: 1,23,45,678 -> "One Crore Twenty Three Lakh Forty Five Thousand Six Hundred Seventy Eight".
+function numberToIndianWords(n) {
+    if (n === 0) {
+        return 'Zero';
+    }
+    const twoDigits = (x) => (x < 20 ? WORDS_ONES[x] : `${WORDS_TENS[Math.floor(x / 10)]}${x % 10 ? ` ${WORDS_ONES[x % 10]}` : ''}`);
+    const hundreds = Math.floor((n % 1000) / 100);
+    return [
+        n >= 1e7 ? `${numberToIndianWords(Math.floor(n / 1e7))} Crore` : '',
+        Math.floor(n / 1e5) % 100 ? `${twoDigits(Math.floor(n / 1e5) % 100)} Lakh` : '',
+        Math.floor(n / 1000) % 100 ? `${twoDigits(Math.floor(n / 1000) % 100)} Thousand` : '',
+        hundreds ? `${WORDS_ONES[hundreds]} Hundred` : '',
+        n % 100 ? twoDigits(n % 100) : ''
+    ].filter(Boolean).join(' ');
+}
+
+const invoiceFileName = (order) => (order.invoice_number ? order.invoice_number.replace(/\//g, '-') : String(order.id));
+
+function amountInWords(amount) {
+    const paise = Math.round(Number(amount) * 100);
+    const rupees = Math.floor(paise / 100);
+    const remainder = paise % 100;
+    return `Rupees ${numberToIndianWords(rupees)}${remainder ? ` and ${numberToIndianWords(remainder)} Paise` : ''} Only`;
+}
+
+// START: NEW INVOICE PDF GENERATION FUNCTION
+// Orders with an invoice_number get the GST tax invoice; older orders keep the
+// layout they were issued with.
+function generateInvoicePdf(order, callback) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => {
+        const pdfData = Buffer.concat(buffers);
+        callback(pdfData);
+    });
+
+    // Header
+    doc.fontSize(20).font('Helvetica-Bold').text(SELLER_DETAILS.name, { align: 'center' });
+    doc.fontSize(10).font('Helvetica').text(SELLER_DETAILS.address, { align: 'center' });
+    if (order.invoice_number && SELLER_DETAILS.gstin) {
+        doc.text(`GSTIN: ${SELLER_DETAILS.gstin}`, { align: 'center' });
+    }
+    doc.moveDown(2);
+
+    if (order.invoice_number) {
+        drawTaxInvoice(doc, order);
+    } else {
+        drawLegacyInvoice(doc, order);
+    }
+    drawInvoicePaymentStatus(doc, order);
+    doc.end();
+}
+
+function drawTaxInvoice(doc, order) {
+    const tax = order.tax_breakdown;
+    const interState = order.tax_type === 'igst';
+
+    doc.fontSize(16).font('Helvetica-Bold').text('TAX INVOICE', { align: 'left' });
+    doc.fontSize(10).font('Helvetica');
+    doc.text(`Invoice #: ${order.invoice_number}`);
+    doc.text(`Invoice Date: ${new Date(order.created_at).toLocaleDateString('en-IN')}`);
+    doc.text(`Order #: ${order.id}`);
+    doc.text(`Place of Supply: ${order.shipping_state}`);
+    doc.moveDown();
+
+    doc.text('Bill To:', { font: 'Helvetica-Bold' });
+    doc.text(he.decode(order.customer_name));
+    doc.text(he.decode(order.address));
+    doc.text(`Phone: ${order.phone_number}`);
+    doc.moveDown(2);
+
+    // Columns: [label, x, width]
+    const columns = interState
+        ? [['Item', 50, 150], ['HSN/SAC', 200, 50], ['Qty', 250, 30], ['Taxable', 280, 65], ['Rate', 345, 35], ['IGST', 380, 85], ['Total', 465, 80]]
+        : [['Item', 50, 150], ['HSN/SAC', 200, 50], ['Qty', 250, 30], ['Taxable', 280, 65], ['Rate', 345, 35], ['CGST', 380, 42], ['SGST', 422, 43], ['Total', 465, 80]];
+    const drawRow = (cells, font) => {
+        doc.font(font).fontSize(9);
+        const y = doc.y;
+        const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i][2] })));
+        cells.forEach((cell, i) => doc.text(cell, columns[i][1], y, { width: columns[i][2], align: i === 0 ? 'left' : 'right' }));
+        doc.x = 50;
+        doc.y = y + height + 4;
+    };
+    const money = (amount) => Number(amount).toFixed(2);
+
+    drawRow(columns.map(c => c[0]), 'Helvetica-Bold');
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.3);
+    for (const line of tax.lines) {
+        const taxCells = interState ? [money(line.igst)] : [money(line.cgst), money(line.sgst)];
+        drawRow([line.name, line.hsnCode || '-', String(line.quantity), money(line.taxableValue), `${line.rate}%`, ...taxCells, money(line.total)], 'Helvetica');
+    }
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.3);
+    const totalTaxCells = interState ? [money(tax.totals.igst)] : [money(tax.totals.cgst), money(tax.totals.sgst)];
+    drawRow(['Total', '', '', money(tax.totals.taxableValue), '', ...totalTaxCells, money(tax.totals.total)], 'Helvetica-Bold');
+    doc.moveDown();
+
+    doc.fontSize(10).font('Helvetica');
+    if (Number(order.discount_amount) > 0) {
+        doc.text(`Includes coupon discount of ₹${Number(order.discount_amount).toFixed(2)}${order.coupon_used ? ` (${order.coupon_used})` : ''}.`, 50);
+    }
+    doc.text(`Total tax: ₹${money(tax.totals.totalTax)}${interState ? ' (IGST)' : ' (CGST + SGST)'}`, 50);
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(12);
+    const totalY = doc.y;
+    doc.text('Grand Total:', 350, totalY, { align: 'right' });
+    doc.text(`₹${Number(order.order_amount).toFixed(2)}`, 0, totalY, { align: 'right' });
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`Amount in words: ${amountInWords(order.order_amount)}`, 50);
+    doc.moveDown(2);
+}
+
+function drawLegacyInvoice(doc, order) {
+    // Invoice Details
+    doc.fontSize(16).font('Helvetica-Bold').text('INVOICE', { align: 'left' });
+    doc.fontSize(10).font('Helvetica');
+    doc.text(`Invoice #: ${order.id}`);
+    doc.text(`Order Date: ${new Date(order.created_at).toLocaleDateString('en-IN')}`);
+    doc.moveDown();
+    
+    // Customer Details
+    doc.text('Bill To:', { font: 'Helvetica-Bold' });
+    doc.text(he.decode(order.customer_name));
+    doc.text(he.decode(order.address));
+    doc.text(`Phone: ${order.phone_number}`);
+    doc.moveDown(2);
+    
+    // Items Table Header
+    const tableTop = doc.y;
+    doc.font('Helvetica-Bold');
+    doc.text('Item', 50, tableTop);
+    doc.text('Qty', 300, tableTop, { width: 90, align: 'right' });
+    doc.text('Unit Price', 370, tableTop, { width: 90, align: 'right' });
+    doc.text('Total', 0, tableTop, { align: 'right' });
+    doc.moveTo(50, doc.y + 5).lineTo(550, doc.y + 5).stroke();
+    doc.font('Helvetica');
+    doc.moveDown();
+
+    // Items Table Rows
+    let subtotal = 0;
+    for (const key in order.cart_items) {
+        const item = order.cart_items[key];
+        const unitPrice = Number(item.price);
+        const itemTotal = item.lineTotal !== undefined ? Number(item.lineTotal) : unitPrice * item.quantity;
+        subtotal += itemTotal;
+        const y = doc.y;
+        // Orders placed before server-side pricing only carry the cart key.
+        const itemName = item.name || key.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+        doc.text(itemName, 50, y);
+        doc.text(String(item.quantity), 300, y, { width: 90, align: 'right' });
+        doc.text(`₹${unitPrice.toFixed(2)}`, 370, y, { width: 90, align: 'right' });
+        doc.text(`₹${itemTotal.toFixed(2)}`, 0, y, { align: 'right' });
+        doc.moveDown();
+    }
+    doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+    doc.moveDown();
+
+    // Summary
+    const summaryTop = doc.y;
+    doc.font('Helvetica');
+    doc.text('Subtotal:', 350, summaryTop, { align: 'right' });
+    doc.text(`₹${subtotal.toFixed(2)}`, 0, summaryTop, { align: 'right' });
+    
+    if (order.discount_amount > 0) {
+        doc.moveDown(0.5);
+        const discountY = doc.y;
+        doc.text('Discount:', 350, discountY, { align: 'right' });
+        doc.text(`- ₹${Number(order.discount_amount).toFixed(2)}`, 0, discountY, { align: 'right' });
+    }
+
+    const shippingCost = Number(order.order_amount) - (subtotal - Number(order.discount_amount));
+    doc.moveDown(0.5);
+    const shippingY = doc.y;
+    doc.text('Shipping:', 350, shippingY, { align: 'right' });
+    doc.text(`₹${shippingCost.toFixed(2)}`, 0, shippingY, { align: 'right' });
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold');
+    const totalY = doc.y;
+    doc.text('Grand Total:', 350, totalY, { align: 'right' });
+    doc.text(`₹${Number(order.order_amount).toFixed(2)}`, 0, totalY, { align: 'right' });
+    doc.moveDown(2);
+
+}
+
+function drawInvoicePaymentStatus(doc, order) {
+    // Payment Status Logic
+    // Orders placed before payment verification have no payment_status.
+    const paymentStatus = order.payment_status || (order.razorpay_payment_id.startsWith('cod_') ? 'cod' : 'captured');
+    doc.font('Helvetica-Bold').fontSize(12);
+    if (paymentStatus === 'cod') {
+        doc.text('Payment Status: Cash on Delivery (COD)', { align: 'left' });
+        doc.text(`Amount to be Paid on Delivery: ₹${Number(order.order_amount).toFixed(2)}`, { align: 'left' });
+    } else {
+        const paymentLabels = {
+            authorized: 'PAID', captured: 'PAID', refunded: 'REFUNDED',
+            partially_refunded: 'PARTIALLY REFUNDED', failed: 'PAYMENT FAILED'
+        };
+        doc.text(`Payment Status: ${paymentLabels[paymentStatus] || paymentStatus.toUpperCase()}`, { align: 'left' });
+        doc.text(`Payment ID: ${order.razorpay_payment_id}`, { align: 'left' });
+    }
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).text('This is a computer-generated invoice and does not require a signature.', 50);
+}
+// END: NEW INVOICE PDF GENERATION FUNCTION
+
+function generateCreditNotePdf(order, refund, returnRequest, callback) {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => {
+        callback(Buffer.concat(buffers));
+    });
+
+    // Header
+    doc.fontSize(20).font('Helvetica-Bold').text('The Bihari Makhana', { align: 'center' });
+    doc.fontSize(10).font('Helvetica').text('Bhagalpur, Bihar, India', { align: 'center' });
+    doc.moveDown(2);
+
+    // Credit Note Details
+    doc.fontSize(16).font('Helvetica-Bold').text('CREDIT NOTE', { align: 'left' });
+    doc.fontSize(10).font('Helvetica');
+    doc.text(`Credit Note #: CN-${refund.id}`);
+    doc.text(`Date: ${new Date(refund.created_at).toLocaleDateString('en-IN')}`);
+    doc.text(`Against Invoice #: ${order.invoice_number || order.id} dated ${new Date(order.created_at).toLocaleDateString('en-IN')}`);
+    doc.moveDown();
+
+    // Customer Details
+    doc.text('Issued To:', { font: 'Helvetica-Bold' });
+    doc.text(he.decode(order.customer_name));
+    doc.text(he.decode(order.address));
+    doc.text(`Phone: ${order.phone_number}`);
+    doc.moveDown(2);
+
+    // Returned Items
+    if (returnRequest) {
+        const tableTop = doc.y;
+        doc.font('Helvetica-Bold');
+        doc.text('Returned Item', 50, tableTop);
+        doc.text('Qty', 300, tableTop, { width: 90, align: 'right' });
+        doc.text('Unit Price', 370, tableTop, { width: 90, align: 'right' });
+        doc.text('Total', 0, tableTop, { align: 'right' });
+        doc.moveTo(50, doc.y + 5).lineTo(550, doc.y + 5).stroke();
+        doc.font('Helvetica');
+        doc.moveDown();
+        for (const item of returnRequest.items) {
+            const y = doc.y;
+            doc.text(item.name, 50, y);
+            doc.text(String(item.quantity), 300, y, { width: 90, align: 'right' });
+            doc.text(`₹${Number(item.unitPrice).toFixed(2)}`, 370, y, { width: 90, align: 'right' });
+            doc.text(`₹${(item.unitPrice * item.quantity).toFixed(2)}`, 0, y, { align: 'right' });
+            doc.moveDown();
+        }
+        doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+        doc.moveDown();
+        doc.text(`Reason for return: ${returnRequest.reason}`, 50);
+        doc.moveDown();
+    }
+
+    // Refund Summary
+    doc.font('Helvetica-Bold').fontSize(12);
+    const totalY = doc.y;
+    doc.text('Amount Credited:', 350, totalY, { align: 'right' });
+    doc.text(`₹${Number(refund.amount).toFixed(2)}`, 0, totalY, { align: 'right' });
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(10);
+    doc.text(`Refund Method: ${refund.method}`, 50);
+    if (refund.reference) {
+        doc.text(`Reference: ${refund.reference}`, 50);
+    }
+
+    doc.end();
+}
+
+async function sendCreditNotePdf(res, refund) {
+    const orderResult = await pool.query('SELECT * FROM orders WHERE id = $1', [refund.order_id]);
+    const returnResult = refund.return_id
+        ? await pool.query('SELECT * FROM returns WHERE id = $1', [refund.return_id])
+        : { rows: [] };
+    generateCreditNotePdf(orderResult.rows[0], refund, returnResult.rows[0], (pdfData) => {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="credit-note-CN-${refund.id}.pdf"`);
+        res.send(pdfData);
+    });
+}
+
+// Code 128 (code set B) bar patterns, indexed by symbol value. Each pattern
+// lists the widths, in modules, of alternating bars and spaces.
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// The bar and space widths for printable ASCII text, with the checksum symbol.
+function encodeCode128(text) {
+    const data = Array.from(String(text), c => c.charCodeAt(0) - 32);
+    if (data.some(v => v < 0 || v > 94)) {
+        throw new Error(`Cannot encode "${text}" as a Code 128 barcode.`);
+    }
+    const values = [CODE128_START_B, ...data];
+    const checksum = values.reduce((sum, v, i) => sum + v * Math.max(i, 1), 0) % 103;
+    return [...values, checksum, CODE128_STOP].map(v => CODE128_PATTERNS[v]).join('');
+}
+
+// Draws the barcode with its text underneath, centred in the given width.
+function drawCode128(doc, text, x, y, width, height) {
+    const widths = Array.from(encodeCode128(text), Number);
+    // At least ten modules of quiet zone either side.
+    const moduleWidth = width / (widths.reduce((sum, w) => sum + w, 0) + 20);
+    let cursor = x + 10 * moduleWidth;
+    widths.forEach((w, i) => {
+        if (i % 2 === 0) {
+            doc.rect(cursor, y, w * moduleWidth, height);
+        }
+        cursor += w * moduleWidth;
+    });
+    doc.fill('black');
+    doc.font('Helvetica').fontSize(10).text(String(text), x, y + height + 3, { width, align: 'center' });
+}
+
+// The standard PDF fonts have no rupee sign, so amounts on warehouse documents
+// are written as "Rs.".
+const formatDispatchAmount = (amount) => `Rs. ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const isCodOrder = (order) => order.razorpay_payment_id.startsWith('cod_');
+
+const getShippingAddressLines = (order) => [
+    he.decode(order.customer_name),
+    he.decode(order.address),
+    [order.shipping_state, order.shipping_pincode].filter(Boolean).join(' - '),
+    `Phone: ${order.phone_number}`
+].filter(Boolean);
+
+// A full-width banner telling the courier whether to collect cash.
+function drawCollectionBanner(doc, order, x, width, fontSize) {
+    const y = doc.y;
+    const height = fontSize * 2.2;
+    const cod = isCodOrder(order);
+    const text = cod
+        ? `CASH ON DELIVERY - COLLECT ${formatDispatchAmount(order.order_amount)}`
+        : 'PREPAID - DO NOT COLLECT CASH';
+    if (cod) {
+        doc.rect(x, y, width, height).fill('black');
+    } else {
+        doc.lineWidth(2).rect(x, y, width, height).stroke().lineWidth(1);
+    }
+    doc.fillColor(cod ? 'white' : 'black').font('Helvetica-Bold').fontSize(fontSize)
+        .text(text, x, y + (height - fontSize) / 2, { width, align: 'center' });
+    doc.fillColor('black');
+    doc.x = x;
+    doc.y = y + height + 10;
+}
+
+// Starts a new page when fewer than `needed` points are left on this one.
+const ensurePageSpace = (doc, needed) => {
+    if (doc.y + needed > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+};
+
+// A4, one order per page, items and quantities without prices.
+function drawPackingSlip(doc, order) {
+    doc.addPage({ size: 'A4', margin: 50 });
+    doc.fontSize(16).font('Helvetica-Bold').text(SELLER_DETAILS.name, { align: 'center' });
+    doc.fontSize(10).font('Helvetica').text(SELLER_DETAILS.address, { align: 'center' });
+    doc.moveDown(1.5);
+
+    doc.fontSize(16).font('Helvetica-Bold').text('PACKING SLIP');
+    doc.fontSize(10).font('Helvetica');
+    doc.text(`Order #: ${order.id}`);
+    doc.text(`Order Date: ${new Date(order.created_at).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
+    if (order.invoice_number) {
+        doc.text(`Invoice #: ${order.invoice_number}`);
+    }
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('Ship To:');
+    doc.font('Helvetica').fontSize(12);
+    getShippingAddressLines(order).forEach(line => doc.text(line));
+    doc.moveDown();
+    drawCollectionBanner(doc, order, 50, 495, 14);
+
+    const drawRow = (cells, font, checkbox = false) => {
+        doc.font(font).fontSize(11);
+        const height = doc.heightOfString(cells[1], { width: 355 });
+        ensurePageSpace(doc, height + 6);
+        const y = doc.y;
+        if (checkbox) {
+            doc.rect(60, y, 10, 10).stroke();
+        } else {
+            doc.text(cells[0], 50, y, { width: 60 });
+        }
+        doc.text(cells[1], 110, y, { width: 355 });
+        doc.text(cells[2], 465, y, { width: 80, align: 'right' });
+        doc.x = 50;
+        doc.y = y + height + 6;
+    };
+    drawRow(['Packed', 'Item', 'Qty'], 'Helvetica-Bold');
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.3);
+    let units = 0;
+    for (const [key, item] of Object.entries(order.cart_items || {})) {
+        units += item.quantity;
+        drawRow(['', getOrderItemName(key, item), String(item.quantity)], 'Helvetica', true);
+    }
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.3);
+    drawRow(['', 'Total units', String(units)], 'Helvetica-Bold');
+}
+
+// 4x6 inch thermal label: address, order number and a barcode of the order id.
+function drawShippingLabel(doc, order) {
+    doc.addPage({ size: [288, 432], margin: 14 });
+    const width = 260;
+    doc.font('Helvetica').fontSize(8).text('SHIP TO', 14, 14);
+    const [name, ...addressLines] = getShippingAddressLines(order);
+    doc.font('Helvetica-Bold').fontSize(14).text(name, { width, height: 36, ellipsis: true });
+    doc.font('Helvetica').fontSize(11).text(addressLines.join('\n'), { width, height: 120, ellipsis: true });
+    doc.moveTo(14, 200).lineTo(274, 200).stroke();
+
+    doc.y = 210;
+    drawCollectionBanner(doc, order, 14, width, 11);
+    doc.font('Helvetica-Bold').fontSize(18).text(`ORDER #${order.id}`, 14, doc.y, { width, align: 'center' });
+    doc.font('Helvetica').fontSize(9).text(new Date(order.created_at).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }), { width, align: 'center' });
+    drawCode128(doc, String(order.id), 14, 300, width, 60);
+
+    doc.moveTo(14, 385).lineTo(274, 385).stroke();
+    doc.font('Helvetica').fontSize(8).text(`From: ${SELLER_DETAILS.name}, ${SELLER_DETAILS.address}`, 14, 392, { width, height: 26, ellipsis: true });
+}
+
+// Total units of each product across the orders, for picking stock in one pass.
+function drawPickList(doc, orders) {
+    doc.addPage({ size: 'A4', margin: 50 });
+    const products = new Map();
+    for (const order of orders) {
+        for (const [key, item] of Object.entries(order.cart_items || {})) {
+            // One row per stock unit, as in priceCart: each pack size is picked separately.
+            let productKey = `line:${key}`;
+            if (item.variantId) {
+                productKey = `variant:${item.variantId}`;
+            } else if (item.productId) {
+                productKey = `product:${item.productId}`;
+            }
+            const line = products.get(productKey) || { name: getOrderItemName(key, item), units: 0, orderIds: new Set() };
+            line.units += item.quantity;
+            line.orderIds.add(order.id);
+            products.set(productKey, line);
+        }
+    }
+    const lines = [...products.values()].sort((a, b) => a.name.localeCompare(b.name, 'en', { numeric: true }));
+
+    doc.fontSize(16).font('Helvetica-Bold').text('PICK LIST');
+    doc.fontSize(10).font('Helvetica');
+    doc.text(`Printed: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
+    doc.text(`${orders.length} orders: ${orders.map(o => `#${o.id}`).join(', ')}`);
+    doc.moveDown();
+
+    const drawRow = (cells, font) => {
+        doc.font(font).fontSize(11);
+        const height = doc.heightOfString(cells[0], { width: 345 });
+        ensurePageSpace(doc, height + 6);
+        const y = doc.y;
+        doc.text(cells[0], 50, y, { width: 345 });
+        doc.text(cells[1], 395, y, { width: 70, align: 'right' });
+        doc.text(cells[2], 465, y, { width: 80, align: 'right' });
+        doc.x = 50;
+        doc.y = y + height + 6;
+    };
+    drawRow(['Product', 'Orders', 'Units'], 'Helvetica-Bold');
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.3);
+    lines.forEach(line => drawRow([line.name, String(line.orderIds.size), String(line.units)], 'Helvetica'));
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.3);
+    drawRow(['Total', '', String(lines.reduce((sum, l) => sum + l.units, 0))], 'Helvetica-Bold');
+}
+
+const DISPATCH_DOCUMENTS = {
+    'packing-slips': (doc, orders) => orders.forEach(order => drawPackingSlip(doc, order)),
+    labels: (doc, orders) => orders.forEach(order => drawShippingLabel(doc, order)),
+    'pick-list': drawPickList
+};
+
+// One merged PDF of the chosen dispatch document for the given orders.
+function generateDispatchPdf(orders, documentType, callback) {
+    const doc = new PDFDocument({ autoFirstPage: false });
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => {
+        callback(Buffer.concat(buffers));
+    });
+    DISPATCH_DOCUMENTS[documentType](doc, orders);
+    doc.end();
+}
+
+// START: MODIFIED EMAIL FUNCTION TO INCLUDE ATTACHMENTS
+async function sendOrderConfirmationEmail(customerEmail, customerName, order, attachmentPdf) {
+    const orderDate = new Date(order.created_at).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+    
+    const msg = { 
+        to: customerEmail, 
+        from: 'thebiharimakhana@gmail.com', 
+        subject: `Your The Bihari Makhana Order #${order.id} is Confirmed!`, 
+        html: `
+            <div style="font-family: sans-serif; max-width: 600px; margin: auto; border: 1px solid #ddd; padding: 20px;">
+                <h1 style="color: #F97316; text-align: center;">Thank You For Your Order!</h1>
+                <p>Hi ${he.encode(customerName)},</p>
+                <p>We've received your order and will process it shortly. Your invoice is attached to this email.</p>
+                <p><strong>Order ID:</strong> #${order.id}</p>
+                ${order.invoice_number ? `<p><strong>Invoice No:</strong> ${he.encode(order.invoice_number)}</p>` : ''}
+                <p><strong>Order Date:</strong> ${orderDate}</p>
+                <p style="font-size: 12px; color: #777; text-align: center;">For any questions, contact us at <a href="mailto:thebiharimakhana@gmail.com">thebiharimakhana@gmail.com</a>.</p>
+            </div>`,
+        attachments: [{
+            content: attachmentPdf.toString('base64'),
+            filename: `invoice-${invoiceFileName(order)}.pdf`,
+            type: 'application/pdf',
+            disposition: 'attachment'
+        }]
+    };
+    try {
+        await sgMail.send(msg);
+        console.log('Confirmation email with invoice sent to', customerEmail);
+    } catch (error) {
+        console.error('Error sending confirmation email:', error.response.body);
+    }
+}
+// END: MODIFIED EMAIL FUNCTION
+
+async function sendOrderCancellationEmail(customerEmail, customerName, orderId) {
+    const emailHtml = `
+      <div style="font-family: sans-serif; max-width: 600px; margin: auto; border: 1px solid #ddd; padding: 20px;">
+        <h1 style="color: #EF4444; text-align: center;">Your Order Has Been Cancelled</h1><p>Hi ${he.encode(customerName)},</p><p>This is to confirm that your order #${orderId} has been successfully cancelled. If you have already paid, a refund will be processed shortly.</p>
+        <p>If you did not request this cancellation, please contact our support team immediately.</p><p style="font-size: 12px; color: #777; text-align: center;">This is an automated mail, please do not reply. For any questions, contact us at <a href="mailto:thebiharimakhana@gmail.com">thebiharimakhana@gmail.com</a>.</p>
+      </div>`;
+    const msg = { to: customerEmail, from: 'thebiharimakhana@gmail.com', subject: `Regarding Your The Bihari Makhana Order #${orderId}`, html: emailHtml };
+    try {
+        await sgMail.send(msg);
+        console.log('Cancellation email sent to', customerEmail);
+    } catch (error) {
+        console.error('Error sending cancellation email:', error);
+    }
+}
+async function sendDeletionCodeEmail(customerEmail, code) {
+    const emailHtml = `
+      <div style="font-family: sans-serif; max-width: 600px; margin: auto; border: 1px solid #ddd; padding: 20px;">
+        <h1 style="color: #EF4444; text-align: center;">Account Deletion Request</h1>
+        <p>We have received a request to delete your account.</p>
+        <p>To confirm this action, please use the following verification code. The code is valid for 10 minutes.</p>
+        <p style="font-size: 24px; font-weight: bold; text-align: center; letter-spacing: 5px; margin: 20px 0; background-color: #f2f2f2; padding: 15px;">${code}</p>
+        <p>If you did not request this, please ignore this email and your account will remain safe.</p>
+      </div>`;
+    const msg = { to: customerEmail, from: 'thebiharimakhana@gmail.com', subject: 'Your Account Deletion Code for The Bihari Makhana', html: emailHtml };
+    try {
+        await sgMail.send(msg);
+        console.log('Deletion code email sent to', customerEmail);
+    } catch (error) {
+        console.error('Error sending deletion code email:', error);
+    }
+}
+async function sendOrderShippedEmail(customerEmail, order, shipment) {
+    const orderId = order.id;
+    const trackingUrl = buildTrackingUrl(shipment.carrier, shipment.tracking_number);
+    const trackingNumberHtml = trackingUrl
+        ? `<a href="${he.encode(trackingUrl)}">${he.encode(shipment.tracking_number)}</a>`
+        : he.encode(shipment.tracking_number);
+    const expectedDate = shipment.expected_delivery_date
+        ? new Date(shipment.expected_delivery_date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })
+        : null;
+    const itemsHtml = Object.entries(shipment.items)
+        .map(([key, quantity]) => `<li>${he.encode((order.cart_items[key] && order.cart_items[key].name) || key)} (x${quantity})</li>`)
+        .join('');
+    const emailHtml = `
+      <div style="font-family: sans-serif; max-width: 600px; margin: auto; border: 1px solid #ddd; padding: 20px;">
+        <h1 style="color: #3B82F6; text-align: center;">Your Order has Shipped!</h1>
+        <p>Hi ${he.encode(order.customer_name)},</p>
+        <p>Great news! Your order #${orderId} from The Bihari Makhana has been shipped and is on its way to you.</p>
+        <p><strong>Courier:</strong> ${he.encode(shipment.carrier)}</p>
+        <p><strong>Tracking Number:</strong> ${trackingNumberHtml}</p>
+        ${expectedDate ? `<p><strong>Expected Delivery:</strong> ${expectedDate}</p>` : ''}
+        <p><strong>In this package:</strong></p><ul>${itemsHtml}</ul>
+        ${trackingUrl ? `<p style="text-align: center;"><a href="${he.encode(trackingUrl)}" style="background-color: #3B82F6; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px;">Track Your Package</a></p>` : ''}
+        <p>Thank you for your patience.</p>
+      </div>`;
+    const msg = { to: customerEmail, from: 'thebiharimakhana@gmail.com', subject: `Your The Bihari Makhana Order #${orderId} has Shipped!`, html: emailHtml };
+    try {
+        await sgMail.send(msg);
+        console.log('Shipped notification email sent to', customerEmail);
+    } catch (error) {
+        console.error('Error sending shipped notification email:', error);
+    }
+}
+
+// --- Public API Routes ---
+app.get('/', async (req, res) => {
+    try {
+        await pool.query('SELECT NOW()');
+        res.send('The Bihari Makhana Backend is running and connected to the database.');
+    } catch (err) {
+        res.status(500).send('Backend is running, but could not connect to the database.');
+    }
+});
+app.post('/api/check-phone', async (req, res) => {
+    const { phone } = req.body;
+    if (!phone) {
+        return res.status(400).json({ error: 'Phone number is required.' });
+    }
+    try {
+        const result = await pool.query('SELECT id FROM users WHERE phone = $1 AND deleted_at IS NULL', [phone]);
+        if (result.rows.length > 0) {
+            res.json({ isAvailable: false });
+        } else {
+            res.json({ isAvailable: true });
+        }
+    } catch (err) {
+        console.error('Error checking phone number:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+const PRODUCT_SORTS = {
+    'newest': 'p.created_at DESC',
+    'price-asc': 'COALESCE(p.sale_price, p.price) ASC',
+    'price-desc': 'COALESCE(p.sale_price, p.price) DESC',
+    'name-asc': 'p.name ASC',
+    'name-desc': 'p.name DESC',
+};
+
+// [min, max) on the selling price; the last bucket has no upper bound.
+const PRICE_BUCKETS = [[0, 200], [200, 500], [500, 1000], [1000, null]];
+
+const productListingSchema = Joi.object({
+    search: Joi.string().trim().max(200).allow(''),
+    category: Joi.string().trim().max(100).allow(''),
+    sort: Joi.string().allow(''),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    onSale: Joi.boolean(),
+    minRating: Joi.number().min(1).max(5),
+    // inStock=false lets admin and SEO pages list sold-out products too.
+    inStock: Joi.boolean().default(true),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100)
+}).unknown(true);
+
+// Matches a search ($n) against the weighted search_vector, first as typed and
+// then on any of its words, with trigram similarity on the name as the fallback
+// for misspellings like "makhna". rank orders the best matches first.
+const productSearchSQL = (param) => {
+    const allWords = `websearch_to_tsquery('english', ${param})`;
+    const anyWord = `replace(plainto_tsquery('english', ${param})::text, ' & ', ' | ')::tsquery`;
+    const typoMatch = `EXISTS (SELECT 1 FROM regexp_split_to_table(lower(${param}), '\\s+') AS w WHERE length(w) >= 3 AND w <% lower(p.name))`;
+    return {
+        condition: `(p.search_vector @@ ${allWords} OR p.search_vector @@ ${anyWord} OR ${typoMatch})`,
+        rank: `(2 * ts_rank_cd(p.search_vector, ${allWords}) + ts_rank_cd(p.search_vector, ${anyWord}) + word_similarity(lower(${param}), lower(p.name))) DESC`
+    };
+};
+
+const normalizeSearchQuery = (query) => String(query).trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 200);
+
+// Tallies searches that found nothing so merchandising can see what customers
+// look for. Failures are only logged; they must not break the search itself.
+function logZeroResultSearch(query) {
+    pool.query(
+        `INSERT INTO zero_result_searches (query) VALUES ($1)
+         ON CONFLICT (query) DO UPDATE SET search_count = zero_result_searches.search_count + 1, last_searched_at = NOW()`,
+        [normalizeSearchQuery(query)]
+    ).catch(err => console.error('Error logging zero-result search:', err));
+}
+
+// WHERE clause for a product listing. Facet queries pass the facet they count
+// as `skip` so each option shows what picking it would return.
+function buildProductFilters(filters, skip = null) {
+    const conditions = [];
+    const params = [];
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    if (filters.inStock) {
+        conditions.push('p.stock_quantity > 0');
+    }
+    if (filters.category && skip !== 'category') {
+        conditions.push(`p.category IN (${categoryTreeSlugsSQL(param(filters.category))})`);
+    }
+    let rank = null;
+    if (filters.search) {
+        const search = productSearchSQL(param(filters.search));
+        conditions.push(search.condition);
+        rank = search.rank;
+    }
+    if (filters.minPrice !== undefined && skip !== 'price') {
+        conditions.push(`COALESCE(p.sale_price, p.price) >= ${param(filters.minPrice)}`);
+    }
+    if (filters.maxPrice !== undefined && skip !== 'price') {
+        conditions.push(`COALESCE(p.sale_price, p.price) <= ${param(filters.maxPrice)}`);
+    }
+    if (filters.onSale) {
+        conditions.push('p.sale_price IS NOT NULL AND p.sale_price < p.price');
+    }
+    if (filters.minRating !== undefined) {
+        conditions.push(`(SELECT AVG(r.rating) FROM reviews r WHERE r.product_id = p.id AND r.moderation_status = 'approved') >= ${param(filters.minRating)}`);
+    }
+    return { where: conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '', params, rank };
+}
+
+app.get('/api/products', async (req, res) => {
+    const { error, value: filters } = productListingSchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    try {
+        const { where, params, rank } = buildProductFilters(filters);
+        // Searches are ordered by relevance unless the shopper picked a sort.
+        const orderBy = `${PRODUCT_SORTS[filters.sort] || rank || PRODUCT_SORTS.newest}, p.id`;
+
+        // Without page or limit the whole list comes back as a bare array, which
+        // is what storefront builds from before pagination expect.
+        if (filters.page === undefined && filters.limit === undefined) {
+            const { rows } = await pool.query(`SELECT p.* FROM products p${where} ORDER BY ${orderBy}`, params);
+            if (filters.search && rows.length === 0) {
+                logZeroResultSearch(filters.search);
+            }
+            return res.json(await attachReviewSummaries(await attachProductImages(rows)));
+        }
+
+        const page = filters.page || 1;
+        const limit = filters.limit || 24;
+        const categoryFilter = buildProductFilters(filters, 'category');
+        const priceFilter = buildProductFilters(filters, 'price');
+        const bucketColumns = PRICE_BUCKETS.map(([min, max], i) =>
+            `COUNT(*) FILTER (WHERE COALESCE(p.sale_price, p.price) >= ${min}${max !== null ? ` AND COALESCE(p.sale_price, p.price) < ${max}` : ''})::int AS bucket_${i}`
+        ).join(', ');
+        const [productResult, countResult, categoryResult, priceResult, categories] = await Promise.all([
+            pool.query(
+                `SELECT p.* FROM products p${where} ORDER BY ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, (page - 1) * limit]
+            ),
+            pool.query(`SELECT COUNT(*)::int AS total FROM products p${where}`, params),
+            pool.query(`SELECT p.category, COUNT(*)::int AS count FROM products p${categoryFilter.where} GROUP BY p.category`, categoryFilter.params),
+            pool.query(`SELECT ${bucketColumns} FROM products p${priceFilter.where}`, priceFilter.params),
+            getCategoryList()
+        ]);
+
+        const { total } = countResult.rows[0];
+        if (filters.search && total === 0) {
+            logZeroResultSearch(filters.search);
+        }
+        const categoryCounts = rollUpCategoryCounts(categories, new Map(categoryResult.rows.map(r => [r.category, r.count])));
+        res.json({
+            products: await attachReviewSummaries(await attachProductImages(productResult.rows)),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+            facets: {
+                categories: categories.map(c => ({ slug: c.slug, name: c.name, parentId: c.parent_id, depth: c.depth, count: categoryCounts.get(c.id) })),
+                priceBuckets: PRICE_BUCKETS.map(([min, max], i) => ({ min, max, count: priceResult.rows[0][`bucket_${i}`] }))
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching products:', err);
+        res.status(500).send('Error fetching products');
+    }
+});
+// Autocomplete for the search box. The last word is matched as a prefix so
+// suggestions appear while the shopper is still typing it.
+app.get('/api/search/suggest', suggestLimiter, async (req, res) => {
+    const query = normalizeSearchQuery(req.query.q || '');
+    const words = query.match(/[\p{L}\p{N}]+/gu) || [];
+    if (query.length < 2 || words.length === 0) {
+        return res.json({ products: [], categories: [] });
+    }
+    const prefixQuery = words.map((word, i) => (i === words.length - 1 ? `${word}:*` : word)).join(' & ');
+    const likePattern = query.replace(/[\\%_]/g, '\\$&');
+    try {
+        const [productResult, categoryResult] = await Promise.all([
+            pool.query(
+                `SELECT p.id, p.name, p.slug, p.image_url, p.price, p.sale_price FROM products p
+                 WHERE p.stock_quantity > 0
+                   AND (p.search_vector @@ to_tsquery('english', $1) OR word_similarity($2, lower(p.name)) >= 0.5)
+                 ORDER BY ts_rank_cd(p.search_vector, to_tsquery('english', $1)) DESC, word_similarity($2, lower(p.name)) DESC, p.name
+                 LIMIT 6`,
+                [prefixQuery, query]
+            ),
+            pool.query(
+                `SELECT slug, name FROM categories
+                 WHERE lower(name) LIKE $1 || '%' OR lower(name) LIKE '% ' || $1 || '%' OR word_similarity($2, lower(name)) >= 0.5
+                 ORDER BY word_similarity($2, lower(name)) DESC, sort_order, name
+                 LIMIT 3`,
+                [likePattern, query]
+            )
+        ]);
+        res.json({ products: productResult.rows, categories: categoryResult.rows });
+    } catch (err) {
+        console.error('Error fetching search suggestions:', err);
+        res.status(500).json({ success: false, message: 'Error fetching suggestions.' });
+    }
+});
+
+// The category tree with in-stock product counts that include subcategories.
+app.get('/api/categories', async (req, res) => {
+    try {
+        const [categories, countResult] = await Promise.all([
+            getCategoryList(),
+            pool.query('SELECT category, COUNT(*)::int AS count FROM products WHERE stock_quantity > 0 AND category IS NOT NULL GROUP BY category')
+        ]);
+        const productCounts = rollUpCategoryCounts(categories, new Map(countResult.rows.map(r => [r.category, r.count])));
+        const nodes = new Map(categories.map(c => [c.id, {
+            id: c.id, slug: c.slug, name: c.name, description: c.description, image_url: c.image_url,
+            sort_order: c.sort_order, parent_id: c.parent_id, product_count: productCounts.get(c.id), children: []
+        }]));
+        const roots = [];
+        for (const c of categories) {
+            if (c.parent_id) {
+                nodes.get(c.parent_id).children.push(nodes.get(c.id));
+            } else {
+                roots.push(nodes.get(c.id));
+            }
+        }
+        res.json(roots);
+    } catch (err) {
+        console.error('Error fetching categories:', err);
+        res.status(500).send('Error fetching categories');
+    }
+});
+app.get('/api/featured-products', async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            'SELECT * FROM products WHERE is_featured = TRUE AND stock_quantity > 0 ORDER BY created_at DESC'
+        );
+        res.json(await attachProductImages(rows));
+    } catch (err) {
+        console.error('Error fetching featured products:', err);
+        res.status(500).send('Error fetching featured products');
+    }
+});
+
+// ********** NEW CODE BLOCK STARTS HERE **********
+app.get('/api/product/:productId', async (req, res) => {
+    try {
+        const slug = toProductKey(req.params.productId);
+        const product = await findProductBySlug(slug);
+        if (!product || product.stock_quantity <= 0) {
+            return res.status(404).json({ success: false, message: 'Product not found.' });
+        }
+        // Old slugs and name-derived links point at the product's current URL.
+        if (product.slug !== slug) {
+            return res.redirect(301, `/api/product/${encodeURIComponent(product.slug)}`);
+        }
+        const { rows: variants } = await pool.query(
+            `SELECT id, label, weight_grams, sku, price, sale_price, stock_quantity FROM product_variants
+             WHERE product_id = $1 AND is_active ORDER BY sort_order, weight_grams NULLS LAST, id`,
+            [product.id]
+        );
+        const [withDetails] = await attachReviewSummaries(await attachProductImages([product]));
+        res.json({ ...withDetails, variants });
+    } catch (err) {
+        console.error('Error fetching single product:', err);
+        res.status(500).send('Error fetching product details');
+    }
+});
+// ********** NEW CODE BLOCK ENDS HERE **********
+
+app.post('/api/apply-coupon', optionalVerifyToken, async (req, res) => {
+    const { cart, couponCode } = req.body;
+    if (!cart || Object.keys(cart).length === 0) {
+      return res.status(400).json({ success: false, message: 'Cart data is required.' });
+    }
+    try {
+        // The pincode is optional here; without one the default zone's rates apply.
+        const quote = await quoteOrder({
+            cart, couponCode, userUid: req.user && req.user.uid,
+            destination: getShippingDestination(req.body), paymentMethod: req.body.paymentMethod
+        });
+        if (quote.error) {
+            return res.status(quote.stockErrors ? 409 : 400).json({ success: false, message: quote.error, reason: quote.reason, stockErrors: quote.stockErrors });
+        }
+        if (quote.couponError) {
+            return res.status(quote.couponReason === 'not_found' ? 404 : 400).json({ success: false, message: quote.couponError, reason: quote.couponReason });
+        }
+        const { items, subtotal, shippingCost, codSurcharge, discount, total, appliedCoupon } = quote;
+        res.json({ success: true, items, subtotal, shippingCost, codSurcharge, discount, total, appliedCoupon });
+    } catch (err) {
+        console.error("Error in apply-coupon:", err);
+        res.status(500).json({ success: false, message: "Error applying coupon."});
+    }
+});
+const shippingQuoteSchema = Joi.object({
+    pincode: Joi.string().trim().pattern(PINCODE_PATTERN).required()
+        .messages({ 'string.pattern.base': 'Please enter a valid 6-digit pincode.' }),
+    state: Joi.string().allow(''),
+    cart: Joi.object().min(1).required(),
+    couponCode: Joi.string().allow(''),
+    paymentMethod: Joi.string().valid('prepaid', 'cod').default('prepaid')
+});
+
+// Serviceability and shipping charges for a cart delivered to a pincode. Zones
+// defined by state only match when the state is sent as well.
+app.post('/api/shipping/quote', optionalVerifyToken, async (req, res) => {
+    const { error, value } = shippingQuoteSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    try {
+        const quote = await quoteOrder({
+            cart: value.cart, couponCode: value.couponCode, userUid: req.user && req.user.uid,
+            destination: getShippingDestination(value), paymentMethod: value.paymentMethod
+        });
+        if (quote.reason === 'not_serviceable' || quote.reason === 'overweight') {
+            return res.json({ success: true, serviceable: false, message: quote.error, reason: quote.reason });
+        }
+        if (quote.error) {
+            return res.status(quote.stockErrors ? 409 : 400).json({ success: false, message: quote.error, stockErrors: quote.stockErrors });
+        }
+        const { subtotal, discount, total, appliedCoupon, couponError, shipping } = quote;
+        res.json({ success: true, serviceable: true, ...shipping, subtotal, discount, total, appliedCoupon, couponError });
+    } catch (err) {
+        console.error('Error quoting shipping:', err);
+        res.status(500).json({ success: false, message: 'Error calculating shipping.' });
+    }
+});
+app.post('/api/payments/create-order', verifyToken, async (req, res) => {
+    const { cart, couponCode, addressDetails } = req.body;
+    if (!cart || Object.keys(cart).length === 0) {
+        return res.status(400).json({ success: false, message: 'Cart data is required.' });
+    }
+    // The amount charged includes shipping, so it has to be quoted for the real address.
+    if (!addressDetails) {
+        return res.status(400).json({ success: false, message: 'Please enter your delivery address.' });
+    }
+    const { error: addressError, destination } = getOrderDestination(addressDetails);
+    if (addressError) {
+        return res.status(400).json({ success: false, message: addressError });
+    }
+    try {
+        const quote = await quoteOrder({ cart, couponCode, userUid: req.user.uid, destination, paymentMethod: 'prepaid' });
+        if (quote.error) {
+            return res.status(quote.stockErrors ? 409 : 400).json({ success: false, message: quote.error, reason: quote.reason, stockErrors: quote.stockErrors });
+        }
+        if (quote.couponError) {
+            return res.status(400).json({ success: false, message: quote.couponError, reason: quote.couponReason });
+        }
+        const amount = Math.round(quote.total * 100);
+        const razorpayOrder = await razorpayRequest('POST', '/orders', {
+            amount,
+            currency: 'INR',
+            receipt: `rcpt_${Date.now()}`,
+            notes: { user_uid: req.user.uid, coupon: quote.appliedCoupon || '' }
+        });
+        await pool.query(
+            'INSERT INTO razorpay_orders (razorpay_order_id, user_uid, amount, currency) VALUES ($1, $2, $3, $4)',
+            [razorpayOrder.id, req.user.uid, amount, razorpayOrder.currency || 'INR']
+        );
+        res.json({
+            success: true,
+            razorpayOrderId: razorpayOrder.id,
+            amount,
+            currency: razorpayOrder.currency || 'INR',
+            keyId: process.env.RAZORPAY_KEY_ID,
+            total: quote.total
+        });
+    } catch (err) {
+        console.error('Error creating Razorpay order:', err);
+        res.status(502).json({ success: false, message: 'Could not start the payment. Please try again.' });
+    }
+});
+app.post('/checkout', verifyToken, async (req, res) => {
+    const { cart, addressDetails, paymentId, razorpayOrderId, razorpaySignature, couponCode } = req.body;
+    const user = req.user; 
+    if (!cart || !addressDetails || !paymentId || Object.keys(cart).length === 0) {
+        return res.status(400).json({ success: false, message: 'Missing required order information.' });
+    }
+    const { error: addressError, destination } = getOrderDestination(addressDetails);
+    if (addressError) {
+        return res.status(400).json({ success: false, message: addressError });
+    }
+    const { pincode: shippingPincode, state: shippingState } = destination;
+    const paymentMethod = paymentId.startsWith('cod_') ? 'cod' : 'prepaid';
+    const client = await pool.connect();
+    // Set once a prepaid payment is verified. Turning the order down after that
+    // leaves the customer charged, so the payment is marked for a refund.
+    let paidRazorpayOrderId = null;
+    const markPaymentForRefund = async (reason) => {
+        if (!paidRazorpayOrderId) {
+            return;
+        }
+        await client.query(
+            'UPDATE razorpay_orders SET payment_id = $2, refund_reason = $3, refund_required_at = NOW() WHERE razorpay_order_id = $1 AND order_id IS NULL',
+            [paidRazorpayOrderId, paymentId, reason]
+        );
+        console.error(`Checkout for payment ${paymentId} failed after the payment was made and needs a refund: ${reason}`);
+    };
+    const rejectOrder = async (status, body) => {
+        await client.query('ROLLBACK');
+        await markPaymentForRefund(body.message);
+        return res.status(status).json({ success: false, ...body, ...(paidRazorpayOrderId && { refundPending: true }) });
+    };
+    try {
+        await client.query('BEGIN');
+        let paymentStatus = 'cod';
+        let paymentOrder = null;
+        if (paymentMethod !== 'cod') {
+            if (!razorpayOrderId || !isValidRazorpaySignature(`${razorpayOrderId}|${paymentId}`, razorpaySignature, process.env.RAZORPAY_KEY_SECRET)) {
+                return rejectOrder(400, { message: 'Payment verification failed.' });
+            }
+            const paymentOrderResult = await client.query(
+                'SELECT * FROM razorpay_orders WHERE razorpay_order_id = $1 AND user_uid = $2 FOR UPDATE',
+                [razorpayOrderId, user.uid]
+            );
+            if (paymentOrderResult.rows.length === 0) {
+                return rejectOrder(400, { message: 'Payment verification failed.' });
+            }
+            paymentOrder = paymentOrderResult.rows[0];
+            if (paymentOrder.order_id) {
+                return rejectOrder(409, { message: 'An order has already been placed for this payment.' });
+            }
+            paidRazorpayOrderId = razorpayOrderId;
+            // The payment.captured webhook may already have arrived.
+            paymentStatus = paymentOrder.status === 'captured' ? 'captured' : 'authorized';
+        }
+
+        // Product and coupon rows stay locked until COMMIT so concurrent checkouts
+        // cannot oversell stock or go past a coupon's usage limit.
+        const quote = await quoteOrder({
+            cart, couponCode, userUid: user.uid, destination, paymentMethod
+        }, client, { lockRows: true });
+        if (quote.error) {
+            return rejectOrder(quote.stockErrors ? 409 : 400, { message: quote.error, reason: quote.reason, stockErrors: quote.stockErrors });
+        }
+        if (quote.couponError) {
+            return rejectOrder(400, { message: quote.couponError, reason: quote.couponReason });
+        }
+        const { items, discount, shippingCost, codSurcharge, shipping, total: totalAmount, appliedCoupon: appliedCouponCode } = quote;
+        if (paymentOrder && paymentOrder.amount !== Math.round(totalAmount * 100)) {
+            return rejectOrder(409, { message: 'The amount paid does not match your order total. Please contact support.' });
+        }
+
+        for (const item of Object.values(items)) {
+            await adjustLineStock(client, item, -item.quantity);
+        }
+
+        const tax = computeOrderTax(items, { discount, shippingCost, codSurcharge, shippingState });
+        // Numbered last, just before the insert, so the sequence row is locked as briefly as possible.
+        const invoiceNumber = await nextInvoiceNumber(client);
+        const query = `
+            INSERT INTO orders (customer_name, phone_number, address, cart_items, order_amount, user_uid, razorpay_payment_id, coupon_used, discount_amount, razorpay_order_id, payment_status, stock_reserved,
+                                shipping_state, tax_type, tax_breakdown, invoice_number, shipping_pincode, shipping_zone_id, shipping_cost, cod_surcharge)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, TRUE, $12, $13, $14, $15, $16, $17, $18, $19) RETURNING *
+        `;
+        const values = [
+            addressDetails.name, addressDetails.phone, addressDetails.address, 
+            JSON.stringify(items), totalAmount, user.uid, paymentId,
+            appliedCouponCode, discount, razorpayOrderId || null, paymentStatus,
+            shippingState, tax.taxType, JSON.stringify(tax), invoiceNumber,
+            shippingPincode, shipping.zone.id, shippingCost, codSurcharge
+        ];
+        const orderResult = await client.query(query, values);
+        const newOrder = orderResult.rows[0];
+        if (razorpayOrderId) {
+            // A retry that succeeds no longer needs the refund an earlier attempt asked for.
+            await client.query(
+                'UPDATE razorpay_orders SET order_id = $1, refund_reason = NULL, refund_required_at = NULL WHERE razorpay_order_id = $2',
+                [newOrder.id, razorpayOrderId]
+            );
+        }
+        await recordOrderStatus(client, newOrder.id, null, newOrder.status, 'customer');
+        // Only the lines just bought leave the saved cart; anything added since stays.
+        const purchased = Object.values(items);
+        await client.query(
+            `DELETE FROM saved_cart_items s USING unnest($2::int[], $3::int[]) AS p(product_id, variant_id)
+             WHERE s.user_uid = $1 AND s.product_id = p.product_id AND COALESCE(s.variant_id, 0) = COALESCE(p.variant_id, 0)`,
+            [user.uid, purchased.map(item => item.productId), purchased.map(item => item.variantId || null)]
+        );
+        await client.query('COMMIT');
+
+        generateInvoicePdf(newOrder, (pdfData) => {
+            sendOrderConfirmationEmail(user.email, addressDetails.name, newOrder, pdfData);
+        });
+        
+        res.json({ success: true, message: 'Order placed successfully!' });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error during checkout:', err);
+        try {
+            await markPaymentForRefund('The order could not be saved.');
+        } catch (markErr) {
+            console.error('Error marking payment for refund:', markErr);
+        }
+        res.status(500).json({ success: false, message: 'An internal server error occurred.' });
+    } finally {
+        client.release();
+    }
+});
+app.post('/webhooks/razorpay', async (req, res) => {
+    const signature = req.headers['x-razorpay-signature'];
+    if (!req.rawBody || !isValidRazorpaySignature(req.rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET)) {
+        return res.status(400).json({ success: false, message: 'Invalid webhook signature.' });
+    }
+    const { event, payload } = req.body;
+    const entity = (payload && (payload.refund || payload.payment) || {}).entity || {};
+    // Razorpay retries deliveries, so every event is recorded once and skipped after that.
+    const eventId = req.headers['x-razorpay-event-id'] || `${event}:${entity.id}`;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const inserted = await client.query(
+            'INSERT INTO payment_webhook_events (event_id, event_type, payload) VALUES ($1, $2, $3) ON CONFLICT (event_id) DO NOTHING',
+            [eventId, event, JSON.stringify(payload)]
+        );
+        if (inserted.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.json({ success: true, message: 'Event already processed.' });
+        }
+        if (event === 'payment.captured') {
+            await client.query("UPDATE razorpay_orders SET status = 'captured' WHERE razorpay_order_id = $1", [entity.order_id]);
+            await client.query(
+                `UPDATE orders SET payment_status = 'captured'
+                 WHERE (razorpay_order_id = $1 OR razorpay_payment_id = $2) AND payment_status IN ('authorized', 'failed')`,
+                [entity.order_id, entity.id]
+            );
+        } else if (event === 'payment.failed') {
+            await client.query("UPDATE razorpay_orders SET status = 'failed' WHERE razorpay_order_id = $1 AND status = 'created'", [entity.order_id]);
+            await client.query(
+                "UPDATE orders SET payment_status = 'failed' WHERE razorpay_payment_id = $1 AND payment_status = 'authorized'",
+                [entity.id]
+            );
+        } else if (event === 'refund.processed') {
+            await client.query('UPDATE razorpay_orders SET refund_required_at = NULL WHERE payment_id = $1 AND order_id IS NULL', [entity.payment_id]);
+            const orderResult = await client.query('SELECT * FROM orders WHERE razorpay_payment_id = $1 FOR UPDATE', [entity.payment_id]);
+            if (orderResult.rows.length > 0) {
+                // Skipped if an admin already recorded this Razorpay refund by hand.
+                const result = await recordRefund(client, orderResult.rows[0], {
+                    amount: entity.amount / 100, method: 'Razorpay', reference: entity.id, createdBy: 'razorpay-webhook'
+                });
+                if (result.error) {
+                    console.log(`INFO: Razorpay refund ${entity.id} was not recorded: ${result.error}`);
+                }
+            }
+        } else {
+            console.log(`INFO: Ignoring Razorpay webhook event "${event}".`);
+        }
+        await client.query('COMMIT');
+        res.json({ success: true });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error processing Razorpay webhook:', err);
+        res.status(500).json({ success: false, message: 'Error processing webhook.' });
+    } finally {
+        client.release();
+    }
+});
+app.post('/api/user-login', async (req, res) => {
+    const { email, uid, phone } = req.body;
+    if (!email || !uid) {
+        return res.status(400).json({ error: 'Email and UID are required.' });
+    }
+    try {
+        const existingUser = await pool.query('SELECT id FROM users WHERE firebase_uid = $1', [uid]);
+        if (existingUser.rows.length === 0) {
+            await pool.query('INSERT INTO users (email, firebase_uid, phone) VALUES ($1, $2, $3)', [email, uid, phone]);
+            console.log(`SUCCESS: New user registered in database: ${email}`);
+        } else {
+            console.log(`INFO: User ${email} already exists in database. Skipping insert.`);
+        }
+        res.status(200).json({ success: true, message: 'User session handled.' });
+    } catch (err) {
+        console.error("Error in /api/user-login:", err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+app.get('/api/my-orders', verifyToken, async (req, res) => {
+    try {
+        const userUid = req.user.uid;
+        const { rows } = await pool.query(
+            'SELECT id, invoice_number, order_amount, created_at, cart_items, status, payment_status, cancellation_reason, refund_status FROM orders WHERE user_uid = $1 ORDER BY created_at DESC', 
+            [userUid]
+        );
+        const activity = await getOrderActivityByOrder(rows.map(o => o.id));
+        res.json(rows.map(order => ({ ...order, ...activity.get(order.id) })));
+    } catch (err) {
+        console.error("Error fetching user orders:", err);
+        res.status(500).send('Error fetching orders.');
+    }
+});
+app.get('/api/my-orders/:orderId', verifyToken, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT id, invoice_number, customer_name, phone_number, address, shipping_state, shipping_pincode, cart_items, order_amount,
+                    shipping_cost, cod_surcharge, discount_amount, coupon_used,
+                    tax_type, tax_breakdown, status, payment_status, cancellation_reason, refund_status, created_at
+             FROM orders WHERE id = $1 AND user_uid = $2`,
+            [req.params.orderId, req.user.uid]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Order not found.' });
+        }
+        const order = rows[0];
+        const history = await pool.query(
+            'SELECT from_status, to_status, note, changed_at FROM order_status_history WHERE order_id = $1 ORDER BY changed_at ASC, id ASC',
+            [order.id]
+        );
+        // Orders placed before status history was recorded only have their creation time.
+        const timeline = history.rows.length > 0
+            ? history.rows.map(h => ({ status: h.to_status, previousStatus: h.from_status, note: h.note, at: h.changed_at }))
+            : [{ status: 'Processing', previousStatus: null, note: null, at: order.created_at }];
+        const activity = await getOrderActivityByOrder([order.id]);
+        res.json({ ...order, timeline, ...activity.get(order.id) });
+    } catch (err) {
+        console.error("Error fetching order details:", err);
+        res.status(500).json({ success: false, message: 'Error fetching order details.' });
+    }
+});
+app.get('/api/order-cancellation-reasons', (req, res) => {
+    res.json(CANCELLATION_REASONS);
+});
+app.post('/api/my-orders/:orderId/cancel', verifyToken, async (req, res) => {
+    const { reason } = req.body;
+    if (!CANCELLATION_REASONS.includes(reason)) {
+        return res.status(400).json({ success: false, message: 'Please choose a reason for cancelling.', reasons: CANCELLATION_REASONS });
+    }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 AND user_uid = $2 FOR UPDATE', [req.params.orderId, req.user.uid]);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Order not found.' });
+        }
+        const order = rows[0];
+        if (order.status !== 'Processing') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: 'This order can no longer be cancelled because it has already been shipped or closed.' });
+        }
+        const result = await changeOrderStatus(client, order, 'Cancelled', { actor: 'customer', note: reason });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: result.error });
+        }
+        await client.query('UPDATE orders SET cancellation_reason = $1 WHERE id = $2', [reason, order.id]);
+        await client.query('COMMIT');
+
+        await sendOrderCancellationEmail(req.user.email, order.customer_name, order.id);
+        const refundPending = isPaidOnline(order);
+        res.json({
+            success: true,
+            message: refundPending ? 'Your order has been cancelled. Your refund will be processed shortly.' : 'Your order has been cancelled.',
+            refundPending
+        });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error cancelling order:', err);
+        res.status(500).json({ success: false, message: 'Could not cancel the order.' });
+    } finally {
+        client.release();
+    }
+});
+const returnRequestSchema = Joi.object({
+    items: Joi.array().items(Joi.object({
+        key: Joi.string().required(),
+        quantity: Joi.number().integer().min(1).required()
+    })).min(1).required(),
+    reason: Joi.string().valid(...RETURN_REASONS).required(),
+    comments: Joi.string().max(1000).allow(''),
+    photoUrls: Joi.array().items(Joi.string().uri({ scheme: ['http', 'https'] })).max(5).default([])
+});
+app.get('/api/return-reasons', (req, res) => {
+    res.json(RETURN_REASONS);
+});
+app.post('/api/my-orders/:orderId/returns', verifyToken, async (req, res) => {
+    const { error, value } = returnRequestSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 AND user_uid = $2 FOR UPDATE', [req.params.orderId, req.user.uid]);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ success: false, message: 'Order not found.' });
+        }
+        const order = rows[0];
+        if (order.status !== 'Delivered') {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: 'Returns can only be requested for delivered orders.' });
+        }
+        const deliveredResult = await client.query(
+            "SELECT changed_at FROM order_status_history WHERE order_id = $1 AND to_status = 'Delivered' ORDER BY changed_at DESC LIMIT 1",
+            [order.id]
+        );
+        const deliveredAt = deliveredResult.rows.length > 0 ? deliveredResult.rows[0].changed_at : null;
+        if (deliveredAt && Date.now() - new Date(deliveredAt).getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, message: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery.` });
+        }
+
+        const previousReturns = await client.query("SELECT items FROM returns WHERE order_id = $1 AND status <> 'Rejected'", [order.id]);
+        const alreadyReturned = {};
+        previousReturns.rows.forEach(r => r.items.forEach(i => { alreadyReturned[i.key] = (alreadyReturned[i.key] || 0) + i.quantity; }));
+
+        const returnItems = [];
+        for (const { key, quantity } of value.items) {
+            const orderItem = order.cart_items[key];
+            if (!orderItem) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, message: `"${key}" is not part of this order.` });
+            }
+            const returnable = orderItem.quantity - (alreadyReturned[key] || 0);
+            if (quantity > returnable) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ success: false, message: `You can return at most ${Math.max(returnable, 0)} of "${orderItem.name || key}".` });
+            }
+            returnItems.push({ key, productId: orderItem.productId || null, variantId: orderItem.variantId || null, name: orderItem.name || key, quantity, unitPrice: Number(orderItem.price) });
+        }
+
+        const inserted = await client.query(
+            `INSERT INTO returns (order_id, user_uid, items, reason, comments, photo_urls)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, items, reason, comments, photo_urls, status, created_at`,
+            [order.id, req.user.uid, JSON.stringify(returnItems), value.reason, value.comments || null, JSON.stringify(value.photoUrls)]
+        );
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, message: 'Your return request has been submitted.', returnRequest: inserted.rows[0] });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error creating return request:', err);
+        res.status(500).json({ success: false, message: 'Could not submit the return request.' });
+    } finally {
+        client.release();
+    }
+});
+app.get('/api/my-orders/:orderId/refunds/:refundId/credit-note', verifyToken, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT r.*, o.user_uid FROM refunds r JOIN orders o ON o.id = r.order_id
+             WHERE r.id = $1 AND r.order_id = $2 AND o.user_uid = $3`,
+            [req.params.refundId, req.params.orderId, req.user.uid]
+        );
+        if (rows.length === 0) {
+            return res.status(404).send('Credit note not found or you do not have permission to view it.');
+        }
+        await sendCreditNotePdf(res, rows[0]);
+    } catch (err) {
+        console.error('Error generating credit note:', err);
+        res.status(500).send('Error generating credit note.');
+    }
+});
+app.post('/api/request-deletion-code', verifyToken, async (req, res) => {
+    const { uid, email } = req.user;
+    const code = crypto.randomInt(100000, 999999).toString();
+    const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+    try {
+        await pool.query(
+            'UPDATE users SET delete_code = $1, delete_code_expires_at = $2 WHERE firebase_uid = $3',
+            [code, expiresAt, uid]
+        );
+        await sendDeletionCodeEmail(email, code);
+        res.status(200).json({ success: true, message: 'Deletion code sent to your email.' });
+    } catch (err) {
+        console.error('Error requesting deletion code:', err);
+        res.status(500).json({ success: false, message: 'Could not send deletion code.' });
+    }
+});
+app.post('/api/verify-deletion', verifyToken, async (req, res) => {
+    const { uid } = req.user;
+    const { code } = req.body;
+    if (!code) {
+        return res.status(400).json({ success: false, message: 'Verification code is required.' });
+    }
+    try {
+        const { rows } = await pool.query(
+            'SELECT delete_code, delete_code_expires_at FROM users WHERE firebase_uid = $1',
+            [uid]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        const user = rows[0];
+        const now = new Date();
+        if (user.delete_code !== code) {
+            return res.status(400).json({ success: false, message: 'Invalid verification code.' });
+        }
+        if (now > user.delete_code_expires_at) {
+            return res.status(400).json({ success: false, message: 'Verification code has expired.' });
+        }
+        await pool.query('UPDATE users SET deleted_at = NOW() WHERE firebase_uid = $1', [uid]);
+        await admin.auth().deleteUser(uid);
+        console.log(`Successfully soft-deleted user ${uid} after code verification.`);
+        res.status(200).json({ success: true, message: 'Account deleted successfully.' });
+    } catch (err) {
+        console.error(`Failed to verify and delete user ${uid}:`, err);
+        res.status(500).json({ success: false, message: 'An error occurred during account deletion.' });
+    }
+});
+const REVIEW_SORTS = {
+    'newest': 'created_at DESC',
+    'highest': 'rating DESC, created_at DESC',
+    'helpful': 'helpful_count DESC, created_at DESC',
+};
+
+const reviewListingSchema = Joi.object({
+    sort: Joi.string().valid(...Object.keys(REVIEW_SORTS)).default('newest'),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(50)
+}).unknown(true);
+
+// Like /api/products, the bare array is kept for callers that send no page or limit.
+app.get('/api/products/:productName/reviews', async (req, res) => {
+    const { error, value } = reviewListingSchema.validate(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    const paginated = value.page !== undefined || value.limit !== undefined;
+    try {
+        const product = await findProductBySlug(toProductKey(req.params.productName));
+        if (!product) {
+            return paginated ? res.status(404).json({ success: false, message: 'Product not found.' }) : res.json([]);
+        }
+        const query = `SELECT id, rating, review_text, reviewer_name, helpful_count, created_at FROM reviews
+                       WHERE product_id = $1 AND moderation_status = 'approved' ORDER BY ${REVIEW_SORTS[value.sort]}, id DESC`;
+        if (!paginated) {
+            const { rows } = await pool.query(query, [product.id]);
+            return res.json(rows);
+        }
+        const page = value.page || 1;
+        const limit = value.limit || 10;
+        const [reviewResult, [summary]] = await Promise.all([
+            pool.query(`${query} LIMIT $2 OFFSET $3`, [product.id, limit, (page - 1) * limit]),
+            attachReviewSummaries([{ id: product.id }])
+        ]);
+        res.json({
+            reviews: reviewResult.rows,
+            pagination: { page, limit, total: summary.review_count, totalPages: Math.ceil(summary.review_count / limit) },
+            summary: { average_rating: summary.average_rating, review_count: summary.review_count, rating_distribution: summary.rating_distribution }
+        });
+    } catch (err) {
+        console.error("Error fetching reviews:", err);
+        res.status(500).send('Error fetching reviews.');
+    }
+});
+app.post('/api/submit-review', verifyToken, async (req, res) => {
+    const { uid, name } = req.user;
+    const { productName, rating, reviewText } = req.body;
+    if (!productName || !rating) {
+        return res.status(400).json({ success: false, message: 'Product and rating are required.' });
+    }
+    try {
+        const userResult = await pool.query('SELECT is_blocked_from_reviewing FROM users WHERE firebase_uid = $1', [uid]);
+        if (userResult.rows.length > 0 && userResult.rows[0].is_blocked_from_reviewing) {
+            return res.status(403).json({ success: false, message: 'You are not permitted to leave reviews.' });
+        }
+        const reviewerName = name;
+        // productName is the product's slug; older clients send the display name.
+        const product = await findProductBySlug(toProductKey(productName));
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found.' });
+        }
+        const ordersResult = await pool.query(
+            `SELECT id FROM orders WHERE user_uid = $1 AND status = 'Delivered'
+             AND EXISTS (SELECT 1 FROM jsonb_each(cart_items) e WHERE jsonb_typeof(e.value) = 'object' AND e.value->>'productId' = $2::text)`,
+            [uid, product.id]
+        );
+        if (ordersResult.rows.length === 0) {
+            return res.status(403).json({ success: false, message: 'You can only review products you have purchased and received.' });
+        }
+        const existingReview = await pool.query(
+            'SELECT id FROM reviews WHERE user_uid = $1 AND product_id = $2',
+            [uid, product.id]
+        );
+        if (existingReview.rows.length > 0) {
+            return res.status(409).json({ success: false, message: 'You have already reviewed this product.' });
+        }
+        const requireApproval = await getSetting('reviews.require_approval', false);
+        await pool.query(
+            'INSERT INTO reviews (product_id, product_name, user_uid, rating, review_text, reviewer_name, moderation_status) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+            [product.id, product.name, uid, rating, reviewText, reviewerName, requireApproval ? 'pending' : 'approved']
+        );
+        res.status(201).json({
+            success: true,
+            pending: requireApproval,
+            message: requireApproval
+                ? 'Thank you! Your review will appear once it has been approved.'
+                : 'Thank you! Your review has been submitted.'
+        });
+    } catch (err) {
+        console.error("Error submitting review:", err);
+        res.status(500).json({ success: false, message: 'An error occurred while submitting your review.' });
+    }
+});
+// Each signed-in customer can mark another customer's approved review helpful once.
+app.post('/api/reviews/:reviewId/helpful', verifyToken, async (req, res) => {
+    const { uid } = req.user;
+    try {
+        const { rows } = await pool.query("SELECT user_uid FROM reviews WHERE id = $1 AND moderation_status = 'approved'", [req.params.reviewId]);
+        if (rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Review not found.' });
+        }
+        if (rows[0].user_uid === uid) {
+            return res.status(400).json({ success: false, message: 'You cannot mark your own review as helpful.' });
+        }
+        const result = await pool.query(
+            `WITH vote AS (
+                INSERT INTO review_helpful_votes (review_id, user_uid) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING review_id
+            )
+            UPDATE reviews SET helpful_count = helpful_count + 1 WHERE id IN (SELECT review_id FROM vote) RETURNING helpful_count`,
+            [req.params.reviewId, uid]
+        );
+        if (result.rows.length === 0) {
+            return res.status(409).json({ success: false, message: 'You have already marked this review as helpful.' });
+        }
+        res.json({ success: true, helpfulCount: result.rows[0].helpful_count });
+    } catch (err) {
+        console.error('Error recording helpful vote:', err);
+        res.status(500).json({ success: false, message: 'Could not record your vote.' });
+    }
+});
+app.get('/api/my-addresses', verifyToken, async (req, res) => {
+    try {
+        const { uid } = req.user;
+        const { rows } = await pool.query('SELECT * FROM addresses WHERE user_uid = $1 ORDER BY created_at DESC', [uid]);
+        res.json(rows);
+    } catch (err) {
+        console.error("Error fetching addresses:", err);
+        res.status(500).json({ success: false, message: 'Could not fetch addresses.' });
+    }
+});
+app.post('/api/my-addresses', verifyToken, async (req, res) => {
+    const { uid } = req.user;
+    const { fullName, phoneNumber, street, locality, city, pincode, state, country } = req.body;
+    if (!fullName || !phoneNumber || !street || !city || !pincode || !state || !country) {
+        return res.status(400).json({ success: false, message: "All fields are required." });
+    }
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO addresses (user_uid, full_name, phone_number, street, locality, city, pincode, state, country)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+            [uid, fullName, phoneNumber, street, locality, city, pincode, state, country]
+        );
+        res.status(201).json({ success: true, message: "Address saved!", address: rows[0] });
+    } catch (err) {
+        console.error("Error saving address:", err);
+        res.status(500).json({ success: false, message: 'Could not save address.' });
+    }
+});
+app.delete('/api/my-addresses/:id', verifyToken, async (req, res) => {
+    const { uid } = req.user;
+    const { id } = req.params;
+    try {
+        const result = await pool.query('DELETE FROM addresses WHERE id = $1 AND user_uid = $2', [id, uid]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, message: "Address not found or you don't have permission to delete it." });
+        }
+        res.status(200).json({ success: true, message: "Address deleted." });
+    } catch (err) {
+        console.error("Error deleting address:", err);
+        res.status(500).json({ success: false, message: 'Could not delete address.' });
+    }
+});
+// Saved lines appear in checkout-shaped carts under the product slug, with the
+// variant id appended for pack sizes.
+const savedCartKey = (line) => (line.variant_id ? `${line.slug}:${line.variant_id}` : line.slug);
+
+// A customer's saved cart priced live from products. Lines that cannot be bought
+// as they stand carry a warning and are left out of the subtotal. checkoutCart
+// holds the same lines in the shape /checkout and /api/apply-coupon accept.
+async function getSavedCart(uid, db = pool) {
+    const { rows } = await db.query(
+        `SELECT ci.id, ci.product_id, ci.variant_id, ci.quantity, p.name, p.slug, p.image_url,
+                p.stock_quantity AS product_stock, COALESCE(p.sale_price, p.price) AS product_price,
+                v.label, v.is_active AS variant_active, v.stock_quantity AS variant_stock, COALESCE(v.sale_price, v.price) AS variant_price,
+                EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active) AS has_variants
+         FROM saved_cart_items ci
+         JOIN products p ON p.id = ci.product_id
+         LEFT JOIN product_variants v ON v.id = ci.variant_id
+         WHERE ci.user_uid = $1
+         ORDER BY ci.created_at, ci.id`,
+        [uid]
+    );
+    const items = [];
+    const checkoutCart = {};
+    let subtotal = 0;
+    for (const line of rows) {
+        const stock = line.variant_id ? line.variant_stock : line.product_stock;
+        const unitPrice = Number(line.variant_id ? line.variant_price : line.product_price);
+        let warning = null;
+        if (line.variant_id && !line.variant_active) {
+            warning = 'This pack size is no longer available.';
+        } else if (!line.variant_id && line.has_variants) {
+            warning = 'Please choose a pack size.';
+        } else if (stock <= 0) {
+            warning = 'Out of stock.';
+        } else if (stock < line.quantity) {
+            warning = `Only ${stock} left.`;
+        }
+        const lineTotal = roundCurrency(unitPrice * line.quantity);
+        if (!warning) {
+            subtotal += lineTotal;
+        }
+        const key = savedCartKey(line);
+        items.push({
+            id: line.id, key, productId: line.product_id, variantId: line.variant_id, slug: line.slug,
+            name: line.label ? `${line.name} (${line.label})` : line.name, imageUrl: line.image_url,
+            unitPrice, quantity: line.quantity, lineTotal, stockQuantity: Math.max(stock, 0), available: !warning, warning
+        });
+        checkoutCart[key] = line.variant_id ? { quantity: line.quantity, variantId: line.variant_id } : { quantity: line.quantity };
+    }
+    return {
+        items,
+        subtotal: roundCurrency(subtotal),
+        warnings: items.filter(i => i.warning).map(i => `${i.name}: ${i.warning}`),
+        checkoutCart
+    };
+}
+
+// Checks that a product (and pack size, when given) can be put in a cart.
+// Returns { status, error } when it cannot.
+async function validateCartLine(productId, variantId, db = pool) {
+    const { rows } = await db.query(
+        `SELECT p.name, v.id AS variant_id, v.is_active AS variant_active,
+                EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active) AS has_variants
+         FROM products p LEFT JOIN product_variants v ON v.id = $2 AND v.product_id = p.id
+         WHERE p.id = $1`,
+        [productId, variantId || null]
+    );
+    if (rows.length === 0) {
+        return { status: 404, error: 'Product not found.' };
+    }
+    const product = rows[0];
+    if (variantId && !(product.variant_id && product.variant_active)) {
+        return { status: 404, error: 'Pack size not found.' };
+    }
+    if (!variantId && product.has_variants) {
+        return { status: 400, error: `Please choose a pack size for "${product.name}".` };
+    }
+    return {};
+}
+
+// A saved cart line id from the URL, or null when it cannot be one.
+const parseCartItemId = (param) => (/^[1-9]\d{0,8}$/.test(param) ? Number(param) : null);
+
+const savedCartLineSchema = Joi.object({
+    productId: Joi.number().integer().positive().required(),
+    variantId: Joi.number().integer().positive(),
+    quantity: Joi.number().integer().min(1).max(100).default(1)
+});
+
+app.get('/api/cart', verifyToken, async (req, res) => {
+    try {
+        res.json(await getSavedCart(req.user.uid));
+    } catch (err) {
+        console.error('Error fetching cart:', err);
+        res.status(500).json({ success: false, message: 'Could not fetch your cart.' });
+    }
+});
+
+// Adding a line that is already in the cart increases its quantity.
+app.post('/api/cart/items', verifyToken, async (req, res) => {
+    const { error, value } = savedCartLineSchema.validate(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    try {
+        const invalid = await validateCartLine(value.productId, value.variantId);
+        if (invalid.error) {
+            return res.status(invalid.status).json({ success: false, message: invalid.error });
+        }
+        await pool.query(
+            `INSERT INTO saved_cart_items (user_uid, product_id, variant_id, quantity) VALUES ($1, $2, $3, $4)
+             ON CONFLICT (user_uid, product_id, COALESCE(variant_id, 0))
+             DO UPDATE SET quantity = LEAST(saved_cart_items.quantity + EXCLUDED.quantity, 100), updated_at = NOW()`,
+            [req.user.uid, value.productId, value.variantId || null, value.quantity]
+        );
+        res.status(201).json({ success: true, message: 'Added to cart.', cart: await getSavedCart(req.user.uid) });
+    } catch (err) {
+        console.error('Error adding to cart:', err);
+        res.status(500).json({ success: false, message: 'Could not update your cart.' });
+    }
+});
+
+app.patch('/api/cart/items/:itemId', verifyToken, async (req, res) => {
+    const itemId = parseCartItemId(req.params.itemId);
+    if (!itemId) {
+        return res.status(404).json({ success: false, message: 'Cart item not found.' });
+    }
+    const { error, value } = Joi.object({ quantity: Joi.number().integer().min(1).max(100).required() }).validate(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    try {
+        const result = await pool.query(
+            'UPDATE saved_cart_items SET quantity = $1, updated_at = NOW() WHERE id = $2 AND user_uid = $3',
+            [value.quantity, itemId, req.user.uid]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, message: 'Cart item not found.' });
+        }
+        res.json({ success: true, message: 'Cart updated.', cart: await getSavedCart(req.user.uid) });
+    } catch (err) {
+        console.error('Error updating cart item:', err);
+        res.status(500).json({ success: false, message: 'Could not update your cart.' });
+    }
+});
+
+app.delete('/api/cart/items/:itemId', verifyToken, async (req, res) => {
+    const itemId = parseCartItemId(req.params.itemId);
+    if (!itemId) {
+        return res.status(404).json({ success: false, message: 'Cart item not found.' });
+    }
+    try {
+        const result = await pool.query('DELETE FROM saved_cart_items WHERE id = $1 AND user_uid = $2', [itemId, req.user.uid]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, message: 'Cart item not found.' });
+        }
+        res.json({ success: true, message: 'Removed from cart.', cart: await getSavedCart(req.user.uid) });
+    } catch (err) {
+        console.error('Error removing cart item:', err);
+        res.status(500).json({ success: false, message: 'Could not update your cart.' });
+    }
+});
+
+app.delete('/api/cart', verifyToken, async (req, res) => {
+    try {
+        await pool.query('DELETE FROM saved_cart_items WHERE user_uid = $1', [req.user.uid]);
+        res.json({ success: true, message: 'Cart cleared.', cart: await getSavedCart(req.user.uid) });
+    } catch (err) {
+        console.error('Error clearing cart:', err);
+        res.status(500).json({ success: false, message: 'Could not clear your cart.' });
+    }
+});
+
+// Called at login with the cart the customer built as a guest, in the shape
+// /checkout accepts. A line in both carts keeps the larger quantity so merging
+// twice does not double it. Lines that no longer match a product are skipped.
+app.post('/api/cart/merge', verifyToken, async (req, res) => {
+    const { error, value: guestCart } = cartSchema.validate(req.body.cart);
+    if (error) {
+        return res.status(400).json({ success: false, message: `Invalid cart: ${error.details[0].message}` });
+    }
+    const { uid } = req.user;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const keys = Object.keys(guestCart);
+        const idsByKey = await resolveProductKeys(keys.filter(key => !guestCart[key].variantId).map(toProductKey), client);
+        const skipped = [];
+        for (const key of keys) {
+            const { quantity, variantId } = guestCart[key];
+            let productId = variantId ? null : idsByKey.get(toProductKey(key));
+            if (variantId) {
+                const variant = await client.query('SELECT product_id FROM product_variants WHERE id = $1', [variantId]);
+                productId = variant.rows.length > 0 ? variant.rows[0].product_id : null;
+            }
+            if (!productId || (await validateCartLine(productId, variantId, client)).error) {
+                skipped.push(key);
+                continue;
+            }
+            await client.query(
+                `INSERT INTO saved_cart_items (user_uid, product_id, variant_id, quantity) VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (user_uid, product_id, COALESCE(variant_id, 0))
+                 DO UPDATE SET quantity = GREATEST(saved_cart_items.quantity, EXCLUDED.quantity), updated_at = NOW()`,
+                [uid, productId, variantId || null, quantity]
+            );
+        }
+        await client.query('COMMIT');
+        res.json({ success: true, message: 'Cart merged.', skipped, cart: await getSavedCart(uid) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error merging cart:', err);
+        res.status(500).json({ success: false, message: 'Could not merge your cart.' });
+    } finally {
+        client.release();
+    }
+});
+
+app.get('/api/wishlist', verifyToken, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT p.id, p.name, p.slug, p.image_url, p.price, p.sale_price, p.stock_quantity > 0 AS in_stock, w.created_at AS added_at
+             FROM wishlist_items w JOIN products p ON p.id = w.product_id
+             WHERE w.user_uid = $1 ORDER BY w.created_at DESC`,
+            [req.user.uid]
+        );
+        res.json(rows);
+    } catch (err) {
+        console.error('Error fetching wishlist:', err);
+        res.status(500).json({ success: false, message: 'Could not fetch your wishlist.' });
+    }
+});
+
+app.post('/api/wishlist', verifyToken, async (req, res) => {
+    const { error, value } = Joi.object({ productId: Joi.number().integer().positive().required() }).validate(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error.details[0].message });
+    }
+    try {
+        await pool.query(
+            'INSERT INTO wishlist_items (user_uid, product_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [req.user.uid, value.productId]
+        );
+        res.status(201).json({ success: true, message: 'Added to wishlist.' });
+    } catch (err) {
+        if (err.code === '23503') {
+            return res.status(404).json({ success: false, message: 'Product not found.' });
+        }
+        console.error('Error adding to wishlist:', err);
+        res.status(500).json({ success: false, message: 'Could not update your wishlist.' });
+    }
+});
+
+app.delete('/api/wishlist/:productId', verifyToken, async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM wishlist_items WHERE user_uid = $1 AND product_id = $2', [req.user.uid, req.params.productId]);
+        if (result.rowCount === 0) {
+            return res.status(404).json({ success: false, message: 'This product is not in your wishlist.' });
+        }
+        res.json({ success: true, message: 'Removed from wishlist.' });
+    } catch (err) {
+        console.error('Error removing from wishlist:', err);
+        res.status(500).json({ success: false, message: 'Could not update your wishlist.' });
+    }
+});
+
+app.delete('/api/wishlist', verifyToken, async (req, res) => {
+    try {
+        await pool.query('DELETE FROM wishlist_items WHERE user_uid = $1', [req.user.uid]);
+        res.json({ success: true, message: 'Wishlist cleared.' });
+    } catch (err) {
+        console.error('Error clearing wishlist:', err);
+        res.status(500).json({ success: false, message: 'Could not clear your wishlist.' });
+    }
+});
+
+app.get('/api/active-coupons', async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT code, discount_type, discount_value, min_order_amount, max_discount_amount, ends_on, first_order_only
+            FROM coupons c
+            WHERE is_active = TRUE
+              AND (starts_on IS NULL OR starts_on <= (NOW() AT TIME ZONE 'Asia/Kolkata')::date)
+              AND (ends_on IS NULL OR ends_on >= (NOW() AT TIME ZONE 'Asia/Kolkata')::date)
+              AND (usage_limit IS NULL OR usage_limit > (SELECT COUNT(*) FROM orders o WHERE o.coupon_used = c.code AND o.${REDEEMED_ORDER_CONDITION}))
+        `);
+        res.json(rows);
+    } catch (err) {
+        console.error("Error fetching active coupons:", err);
+        res.status(500).json([]);
+    }
+});
+
+app.get('/api/my-orders/:orderId/invoice', verifyToken, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { uid } = req.user;
+
+        const { rows } = await pool.query(
+            'SELECT * FROM orders WHERE id = $1 AND user_uid = $2',
+            [orderId, uid]
+        );
+
+        if (rows.length === 0) {
+            return res.status(404).send('Order not found or you do not have permission to view it.');
+        }
+
+        const order = rows[0];
+        
+        generateInvoicePdf(order, (pdfData) => {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoiceFileName(order)}.pdf"`);
+            res.send(pdfData);
+        });
+
+    } catch (err) {
+        console.error('Error generating invoice:', err);
+        res.status(500).send('Error generating invoice.');
+    }
+});
+
+// --- Admin Routes ---
+
+const ADMIN_ROLES = ['owner', 'order-manager', 'catalog-editor', 'support'];
+const ADMIN_SESSION_COOKIE = 'admin_session';
+const ADMIN_SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS) || 12;
+const ADMIN_MAX_FAILED_LOGINS = 5;
+const ADMIN_LOCKOUT_MINUTES = 15;
+const ADMIN_PASSWORD_MIN_LENGTH = 12;
+
+// Which roles may use each part of the admin panel, matched on the request path.
+// Owners may use every part, readRoles may only view pages, and admin routes
+// not listed here are owner-only.
+const ADMIN_SECTIONS = [
+    { label: 'Dashboard', href: '/admin/dashboard', pattern: /^\/admin\/dashboard$/, roles: ADMIN_ROLES },
+    { label: 'Products', href: '/admin/products', pattern: /^\/admin\/(products|add-product|edit-product|update-product|delete-product|toggle-featured)(\/|$)/, roles: ['catalog-editor'] },
+    { label: 'Categories', href: '/admin/categories', pattern: /^\/admin\/(categories|add-category|edit-category|update-category|delete-category)(\/|$)/, roles: ['catalog-editor'] },
+    { label: 'Orders', href: '/admin/orders', pattern: /^\/admin\/(orders|update-order-status|delete-order|refunds)(\/|$)/, roles: ['order-manager'], readRoles: ['support'] },
+    { label: 'Users', href: '/admin/users', pattern: /^\/admin\/(users|soft-delete-user|permanent-delete-user)(\/|$)/, roles: [], readRoles: ['support'] },
+    { label: 'Coupons', href: '/admin/coupons', pattern: /^\/admin\/(coupons|add-coupon|edit-coupon|update-coupon|toggle-coupon|delete-coupon)(\/|$)/, roles: ['catalog-editor'] },
+    { label: 'Shipping', href: '/admin/shipping', pattern: /^\/admin\/shipping(\/|$)/, roles: ['order-manager'] },
+    { label: 'Reviews', href: '/admin/reviews', pattern: /^\/admin\/(reviews|delete-review|block-user)(\/|$)/, roles: ['catalog-editor', 'support'] },
+    { label: 'Searches', href: '/admin/searches', pattern: /^\/admin\/searches(\/|$)/, roles: ['catalog-editor'] },
+    { label: 'Returns', href: '/admin/returns', pattern: /^\/admin\/returns(\/|$)/, roles: ['order-manager'], readRoles: ['support'] },
+    { label: 'Admins', href: '/admin/admins', pattern: /^\/admin\/admins(\/|$)/, roles: [] },
+    { label: 'Audit Log', href: '/admin/audit', pattern: /^\/admin\/audit(\/|$)/, roles: [] },
+    { label: 'Reports', pattern: /^\/admin\/api\/reports(\/|$)/, roles: ['order-manager', 'catalog-editor'] },
+    { label: 'My Account', pattern: /^\/admin\/(account|logout)(\/|$)/, roles: ADMIN_ROLES }
+];
+
+const canUseAdminSection = (role, section, method = 'GET') => {
+    if (role === 'owner') {
+        return true;
+    }
+    if (!section) {
+        return false;
+    }
+    return section.roles.includes(role) || ((method === 'GET' || method === 'HEAD') && (section.readRoles || []).includes(role));
+};
+
+// Passwords are hashed with scrypt; the parameters are stored with each hash so
+// they can be raised later without invalidating existing passwords.
+const scryptAsync = (password, salt, keyLength, options) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLength, options, (err, key) => (err ? reject(err) : resolve(key)));
+});
+const ADMIN_SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+async function hashAdminPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = ADMIN_SCRYPT_PARAMS;
+    const hash = await scryptAsync(password, salt, 64, { N, r, p, maxmem: 64 * 1024 * 1024 });
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyAdminPassword(password, storedHash) {
+    const [scheme, N, r, p, salt, hash] = String(storedHash).split('$');
+    if (scheme !== 'scrypt' || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p), maxmem: 64 * 1024 * 1024 });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the email is unknown, so a login takes as long whether
+// or not the account exists.
+let unknownAdminPasswordHash = null;
+const getUnknownAdminPasswordHash = () => {
+    unknownAdminPasswordHash = unknownAdminPasswordHash || hashAdminPassword(crypto.randomBytes(16).toString('hex'));
+    return unknownAdminPasswordHash;
+};
+
+const hashSessionToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Starts a session: the browser gets a random token, the database keeps its hash
+// together with the CSRF token for the session's forms.
+async function createAdminSession(req, res, adminUserId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.query('DELETE FROM admin_sessions WHERE expires_at < NOW()');
+    await pool.query(
+        `INSERT INTO admin_sessions (token_hash, admin_user_id, csrf_token, ip_address, user_agent, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))`,
+        [hashSessionToken(token), adminUserId, crypto.randomBytes(32).toString('hex'), req.ip, (req.get('User-Agent') || '').slice(0, 500), ADMIN_SESSION_HOURS]
+    );
+    res.cookie(ADMIN_SESSION_COOKIE, token, {
+        httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'strict', maxAge: ADMIN_SESSION_HOURS * 60 * 60 * 1000
+    });
+}
+
+async function getAdminSession(token) {
+    if (!token) {
+        return null;
+    }
+    const { rows } = await pool.query(
+        `UPDATE admin_sessions s SET last_seen_at = NOW() FROM admin_users u
+         WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.id = s.admin_user_id AND u.is_active
+         RETURNING s.token_hash, s.csrf_token, u.id, u.email, u.name, u.role`,
+        [hashSessionToken(token)]
+    );
+    return rows[0] || null;
+}
+
+// Adds the session's CSRF token to every POST form on an admin page, as the
+// first field so that multipart forms send it ahead of any file.
+const addCsrfTokenToForms = (html, csrfToken) => html.replace(/<form\b[^>]*method="POST"[^>]*>/gi,
+    (tag) => `${tag}<input type="hidden" name="_csrf" value="${csrfToken}">`);
+
+const isValidCsrfToken = (req, csrfToken) => {
+    const given = Buffer.from(String((req.body && req.body._csrf) || ''));
+    const expected = Buffer.from(csrfToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Multipart bodies are only parsed inside upload routes, so those use
+// checkAdminUploadAuth, which leaves the CSRF check on a multipart request to
+// parseAdminUpload.
+const adminAuth = ({ deferMultipartCsrf }) => async (req, res, next) => {
+    try {
+        const session = await getAdminSession(req.cookies[ADMIN_SESSION_COOKIE]);
+        if (!session) {
+            res.clearCookie(ADMIN_SESSION_COOKIE);
+            return res.redirect('/admin/login');
+        }
+        req.admin = session;
+        const section = ADMIN_SECTIONS.find(s => s.pattern.test(req.path));
+        if (!canUseAdminSection(session.role, section, req.method)) {
+            return res.status(403).send('Your admin role does not have access to this page.');
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            if (deferMultipartCsrf && req.is('multipart/form-data')) {
+                req.csrfCheckPending = true;
+            } else if (!isValidCsrfToken(req, session.csrf_token)) {
+                return res.status(403).send('This form has expired. Go back, reload the page and try again.');
+            } else if (req.body) {
+                // Form schemas reject unknown fields.
+                delete req.body._csrf;
+            }
+        }
+        const send = res.send.bind(res);
+        res.send = (body) => send(typeof body === 'string' && body.includes('<form') ? addCsrfTokenToForms(body, session.csrf_token) : body);
+        next();
+    } catch (err) {
+        console.error('Error checking admin session:', err);
+        res.status(500).send('Error checking your session.');
+    }
+};
+
+const checkAdminAuth = adminAuth({ deferMultipartCsrf: false });
+const checkAdminUploadAuth = adminAuth({ deferMultipartCsrf: true });
+
+// Runs a multer upload, then the CSRF check checkAdminUploadAuth deferred.
+// onUploadError(err, res) answers uploads multer could not read.
+const parseAdminUpload = (upload, onUploadError) => (req, res, next) => {
+    upload(req, res, (err) => {
+        if (err) {
+            return onUploadError(err, res);
+        }
+        if (req.csrfCheckPending) {
+            if (!isValidCsrfToken(req, req.admin.csrf_token)) {
+                return res.status(403).send('This form has expired. Go back, reload the page and try again.');
+            }
+            delete req.body._csrf;
+        }
+        next();
+    });
+};
+
+const getAdminHeaderHTML = (currentPageTitle, req) => {
+    const navLinks = ADMIN_SECTIONS
+        .filter(s => s.href && canUseAdminSection(req.admin.role, s))
+        .map(s => `<a href="${s.href}">${s.label}</a>`)
+        .join('\n                ');
+    return `
+        <!DOCTYPE html><html><head><title>${currentPageTitle} - Admin Panel</title>
+        <style>
+            body { font-family: sans-serif; margin: 0; background-color: #f4f4f9; }
+            .admin-nav { background-color: #333; padding: 1em; display: flex; justify-content: space-between; align-items: center; }
+            .admin-nav a { color: white; text-decoration: none; margin-right: 1.5em; font-weight: bold; }
+            .admin-nav a:hover { text-decoration: underline; }
+            .admin-nav form { display: inline; }
+            .admin-container { padding: 2em; }
+            table { border-collapse: collapse; width: 100%; background-color: white; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+            th, td { border: 1px solid #ddd; padding: 12px; text-align: left; }
+            th { background-color: #f2f2f2; }
+            img { max-width: 50px; }
+            .add-form { margin-top: 2em; padding: 1.5em; border: 1px solid #ddd; background-color: white; }
+            .logout-btn { background-color: #f44336; color: white; padding: 0.5em 1em; border: none; border-radius: 4px; cursor: pointer; text-decoration: none; }
+            .form-group{margin-bottom:1em;} label{display:block;margin-bottom:0.5em;} input, select, textarea, button{padding:8px; width: 100%; box-sizing: border-box;}
+            button, .button-style { padding: 8px; border: none; cursor: pointer; border-radius: 4px; }
+            .admin-nav .logout-btn { width: auto; }
+            .soft-delete-btn { background-color: #f0ad4e; color: white; }
+            .permanent-delete-btn { background-color: #d9534f; color: white; }
+        </style>
+        </head><body>
+        <nav class="admin-nav">
+            <div>
+                ${navLinks}
+            </div>
+            <div>
+                <a href="/admin/account">${he.encode(req.admin.name)} (${req.admin.role})</a>
+                <form action="/admin/logout" method="POST"><button type="submit" class="logout-btn">Logout</button></form>
+            </div>
+        </nav>
+        <div class="admin-container">
+    `;
+};
+
+// --- Admin audit log ---
+// Every admin POST route records what it changed. Entries made inside a
+// transaction use its client, so they are only kept if the change commits.
+const AUDIT_ENTITY_TYPES = [
+    'product', 'category', 'order', 'user', 'coupon', 'review',
+    'shipping_zone', 'pincode', 'setting', 'search', 'admin_user', 'report'
+];
+// Left out of diffs entirely, or logged only as having changed.
+const AUDIT_IGNORED_FIELDS = new Set(['search_vector']);
+const AUDIT_SECRET_FIELDS = new Set(['password_hash']);
+
+// Field-level changes between two snapshots of a row, as { field: { from, to } }.
+// A missing snapshot (a creation or deletion) reads as every field being null.
+function diffAuditFields(before, after) {
+    const changes = {};
+    for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+        const from = before ? before[key] ?? null : null;
+        const to = after ? after[key] ?? null : null;
+        if (AUDIT_IGNORED_FIELDS.has(key) || JSON.stringify(from) === JSON.stringify(to)) {
+            continue;
+        }
+        changes[key] = AUDIT_SECRET_FIELDS.has(key) ? { from: '[redacted]', to: '[redacted]' } : { from, to };
+    }
+    return changes;
+}
+
+const prefixAuditChanges = (changes, prefix) => Object.fromEntries(
+    Object.entries(changes).map(([key, change]) => [`${prefix}.${key}`, change])
+);
+
+// `changes` may be given directly for actions that are not a row edit; otherwise
+// it is the diff of `before` and `after`. Rows belonging to an entity, such as a
+// product's pack sizes, are logged against that entity with their fields
+// prefixed, e.g. "variants[12].price". The actor defaults to the signed-in admin.
+async function recordAdminAudit(db, req, { action, entityType, entityId = null, before = null, after = null, changes, fieldPrefix, actor = req.admin }) {
+    changes = changes || diffAuditFields(before, after);
+    if (fieldPrefix) {
+        changes = prefixAuditChanges(changes, fieldPrefix);
+    }
+    await db.query(
+        `INSERT INTO admin_audit_log (admin_user_id, actor_email, action, entity_type, entity_id, changes, ip_address)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [actor.id, actor.email, action, entityType, entityId === null ? null : String(entityId), JSON.stringify(changes), req.ip]
+    );
+}
+
+// "History" link to an entity's audit entries, for admins allowed to read the log.
+const getAuditHistoryLinkHTML = (req, entityType, entityId) => (
+    canUseAdminSection(req.admin.role, ADMIN_SECTIONS.find(s => s.href === '/admin/audit'))
+        ? `<a href="/admin/audit?entityType=${entityType}&amp;entityId=${encodeURIComponent(entityId)}">History</a>`
+        : ''
+);
+
+app.get('/admin/login', (req, res) => {
+    res.send(`
+        <!DOCTYPE html><html><head><title>Admin Login</title><style>body{font-family:sans-serif;display:flex;justify-content:center;align-items:center;height:100vh;background-color:#f4f4f9;} .login-box{padding:2em;border:1px solid #ccc;background:white;box-shadow:0 4px 8px rgba(0,0,0,0.1);}.login-box h1{text-align:center;margin-top:0;}input{width:100%;padding:0.8em;margin-bottom:1em;box-sizing:border-box;}button{width:100%;padding:0.8em;background-color:#333;color:white;border:none;cursor:pointer;}</style></head>
+        <body><div class="login-box"><h1>Admin Login</h1><form action="/admin/login" method="POST"><input type="email" name="email" placeholder="Email" required><input type="password" name="password" placeholder="Password" required><button type="submit">Login</button></form></div></body></html>
+    `);
+});
+
+// After ADMIN_MAX_FAILED_LOGINS wrong passwords in a row the account is locked
+// for ADMIN_LOCKOUT_MINUTES; the count starts again once the lock is over.
+app.post('/admin/login', async (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+    try {
+        const { rows } = await pool.query('SELECT id, email, password_hash, is_active, locked_until FROM admin_users WHERE email = $1', [email]);
+        const adminUser = rows[0];
+        if (adminUser && adminUser.locked_until && adminUser.locked_until > new Date()) {
+            return res.status(429).send('Too many failed login attempts. Please try again later.');
+        }
+        const isValid = await verifyAdminPassword(password, adminUser ? adminUser.password_hash : await getUnknownAdminPasswordHash());
+        if (!adminUser || !adminUser.is_active || !isValid) {
+            if (adminUser) {
+                const { rows: updated } = await pool.query(
+                    `UPDATE admin_users SET
+                        failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+                        locked_until = CASE WHEN failed_login_count + 1 >= $2 THEN NOW() + make_interval(mins => $3) ELSE NULL END
+                     WHERE id = $1 RETURNING locked_until`,
+                    [adminUser.id, ADMIN_MAX_FAILED_LOGINS, ADMIN_LOCKOUT_MINUTES]
+                );
+                await recordAdminAudit(pool, req, {
+                    action: updated[0].locked_until ? 'login_locked' : 'login_failed', entityType: 'admin_user', entityId: adminUser.id,
+                    changes: updated[0].locked_until ? { locked_until: { from: null, to: updated[0].locked_until } } : {}, actor: adminUser
+                });
+                if (updated[0].locked_until) {
+                    console.log(`INFO: Admin account ${email} locked after ${ADMIN_MAX_FAILED_LOGINS} failed logins.`);
+                }
+            }
+            return res.status(401).send('Incorrect email or password.');
+        }
+        await pool.query('UPDATE admin_users SET failed_login_count = 0, locked_until = NULL, last_login_at = NOW() WHERE id = $1', [adminUser.id]);
+        await createAdminSession(req, res, adminUser.id);
+        await recordAdminAudit(pool, req, { action: 'login', entityType: 'admin_user', entityId: adminUser.id, changes: {}, actor: adminUser });
+        res.redirect('/admin/dashboard');
+    } catch (err) {
+        console.error('Error during admin login:', err);
+        res.status(500).send('Error logging in.');
+    }
+});
+
+app.post('/admin/logout', checkAdminAuth, async (req, res) => {
+    try {
+        await pool.query('DELETE FROM admin_sessions WHERE token_hash = $1', [req.admin.token_hash]);
+        await recordAdminAudit(pool, req, { action: 'logout', entityType: 'admin_user', entityId: req.admin.id, changes: {} });
+        res.clearCookie(ADMIN_SESSION_COOKIE);
+        res.redirect('/admin/login');
+    } catch (err) {
+        console.error('Error logging out:', err);
+        res.status(500).send('Error logging out.');
+    }
+});
+
+// --- Sales reports ---
+// Reports read the daily rollup tables, which refreshSalesRollup rebuilds from
+// orders. The last SALES_ROLLUP_LOOKBACK_DAYS are rebuilt every hour so that
+// today's orders, cancellations and refunds show up, along with the days of any
+// older order changed since the last run (orders.updated_at).
+const SALES_ROLLUP_LOOKBACK_DAYS = 30;
+const SALES_ROLLUP_INTERVAL_MS = 60 * 60 * 1000;
+const REPORT_GROUPINGS = ['day', 'week', 'month'];
+const REPORT_MAX_DAILY_RANGE_DAYS = 366;
+
+// Orders that count as sales: not cancelled, and not a failed online payment.
+const countedOrderSQL = (alias) => `${alias}.status <> 'Cancelled' AND ${alias}.payment_status IS DISTINCT FROM 'failed'`;
+const orderDaySQL = (alias) => `(${alias}.created_at AT TIME ZONE 'Asia/Kolkata')::date`;
+// Orders placed on the days from $1 to $2, both included.
+const orderDayRangeSQL = (alias) => `${alias}.created_at >= ($1::date)::timestamp AT TIME ZONE 'Asia/Kolkata'
+    AND ${alias}.created_at < ($2::date + 1)::timestamp AT TIME ZONE 'Asia/Kolkata'`;
+// Casts of cart line fields that yield NULL instead of failing the whole
+// rebuild when an old or hand-edited line holds something else.
+const jsonIntSQL = (expr) => `CASE WHEN (${expr}) ~ '^-?[0-9]{1,9}$' THEN (${expr})::int END`;
+const jsonNumericSQL = (expr) => `CASE WHEN (${expr}) ~ '^-?[0-9]+([.][0-9]+)?$' THEN (${expr})::numeric END`;
+
+// Today's date in India time as YYYY-MM-DD, and day arithmetic on such dates.
+const getIndiaDate = (date = new Date()) => new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(date);
+const addDays = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) {
+        return null;
+    }
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+// Rebuilds every rollup row for the days from fromDay to toDay. The advisory
+// lock keeps two servers from rebuilding the same days at once.
+async function refreshSalesRollup(fromDay, toDay) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('sales_rollup'))");
+        for (const table of ['daily_sales', 'daily_product_sales', 'daily_coupon_usage']) {
+            await client.query(`DELETE FROM ${table} WHERE day BETWEEN $1 AND $2`, [fromDay, toDay]);
+        }
+        // A customer's first counted order makes them a new customer that day.
+        await client.query(`
+            INSERT INTO daily_sales (day, order_count, revenue, discount_total, refunded_total, cod_order_count, cod_revenue,
+                prepaid_order_count, prepaid_revenue, coupon_order_count, new_customer_order_count, returning_customer_order_count)
+            SELECT day, COUNT(*), SUM(order_amount), SUM(COALESCE(discount_amount, 0)), SUM(COALESCE(amount_refunded, 0)),
+                COUNT(*) FILTER (WHERE is_cod), COALESCE(SUM(order_amount) FILTER (WHERE is_cod), 0),
+                COUNT(*) FILTER (WHERE NOT is_cod), COALESCE(SUM(order_amount) FILTER (WHERE NOT is_cod), 0),
+                COUNT(*) FILTER (WHERE coupon_used IS NOT NULL),
+                COUNT(*) FILTER (WHERE user_uid IS NOT NULL AND is_first_order),
+                COUNT(*) FILTER (WHERE user_uid IS NOT NULL AND NOT is_first_order)
+            FROM (
+                SELECT o.*, ${orderDaySQL('o')} AS day, LEFT(o.razorpay_payment_id, 4) = 'cod_' AS is_cod,
+                    NOT EXISTS (
+                        SELECT 1 FROM orders earlier
+                        WHERE earlier.user_uid = o.user_uid AND ${countedOrderSQL('earlier')}
+                          AND (earlier.created_at, earlier.id) < (o.created_at, o.id)
+                    ) AS is_first_order
+                FROM orders o
+                WHERE ${orderDayRangeSQL('o')} AND ${countedOrderSQL('o')}
+            ) counted
+            GROUP BY day`,
+            [fromDay, toDay]
+        );
+        // Lines saved before orders recorded a productId fall back to the cart key,
+        // and to price times quantity when there is no lineTotal. Orders whose
+        // cart_items is not an object, and lines that are not objects, are skipped.
+        await client.query(`
+            INSERT INTO daily_product_sales (day, product_key, product_id, name, units, revenue)
+            SELECT day, LEFT(COALESCE(product_id::text, item_key), 255), MAX(product_id), MAX(name), SUM(units), SUM(revenue)
+            FROM (
+                SELECT day, item_key, product_id, name, COALESCE(quantity, 0) AS units,
+                    COALESCE(line_total, price * quantity, 0) AS revenue
+                FROM (
+                    SELECT ${orderDaySQL('o')} AS day, item.key AS item_key,
+                        ${jsonIntSQL("item.value->>'productId'")} AS product_id,
+                        LEFT(COALESCE(item.value->>'name', item.key), 255) AS name,
+                        ${jsonIntSQL("item.value->>'quantity'")} AS quantity,
+                        ${jsonNumericSQL("item.value->>'lineTotal'")} AS line_total,
+                        ${jsonNumericSQL("item.value->>'price'")} AS price
+                    FROM orders o
+                    CROSS JOIN LATERAL jsonb_each(CASE WHEN jsonb_typeof(o.cart_items) = 'object' THEN o.cart_items ELSE '{}'::jsonb END) AS item
+                    WHERE ${orderDayRangeSQL('o')} AND ${countedOrderSQL('o')} AND jsonb_typeof(item.value) = 'object'
+                ) fields
+            ) lines
+            GROUP BY day, 2`,
+            [fromDay, toDay]
+        );
+        await client.query(`
+            INSERT INTO daily_coupon_usage (day, coupon_code, order_count, discount_total, revenue)
+            SELECT ${orderDaySQL('o')}, o.coupon_used, COUNT(*), SUM(COALESCE(o.discount_amount, 0)), SUM(o.order_amount)
+            FROM orders o
+            WHERE ${orderDayRangeSQL('o')} AND ${countedOrderSQL('o')} AND o.coupon_used IS NOT NULL
+            GROUP BY 1, 2`,
+            [fromDay, toDay]
+        );
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// Rebuilds the whole history when the rollup is empty (a new install, or after
+// a truncate), otherwise the recent days plus the days of older orders changed
+// since the last run. The margin covers changes that were still uncommitted
+// when the last run read the orders.
+async function refreshRecentSalesRollup() {
+    const today = getIndiaDate();
+    const { rows } = await pool.query(
+        `SELECT EXISTS (SELECT 1 FROM daily_sales) AS has_rows, (SELECT MIN(created_at) FROM orders) AS first_order_at,
+            (SELECT MAX(refreshed_at) FROM daily_sales) AS last_refreshed_at`
+    );
+    if (!rows[0].first_order_at) {
+        return;
+    }
+    const fromDay = rows[0].has_rows ? addDays(today, -(SALES_ROLLUP_LOOKBACK_DAYS - 1)) : getIndiaDate(rows[0].first_order_at);
+    let changedDays = [];
+    if (rows[0].has_rows) {
+        const { rows: changed } = await pool.query(
+            `SELECT DISTINCT ${orderDaySQL('o')}::text AS day FROM orders o
+             WHERE o.updated_at > $1::timestamptz - INTERVAL '10 minutes'
+               AND o.created_at < ($2::date)::timestamp AT TIME ZONE 'Asia/Kolkata'
+             ORDER BY 1`,
+            [rows[0].last_refreshed_at, fromDay]
+        );
+        changedDays = changed.map(r => r.day);
+    }
+    for (const day of changedDays) {
+        await refreshSalesRollup(day, day);
+    }
+    await refreshSalesRollup(fromDay, today);
+    console.log(`INFO: Sales rollup refreshed from ${fromDay} to ${today}${changedDays.length > 0 ? `, and for ${changedDays.join(', ')}` : ''}.`);
+}
+
+function startSalesRollupJob() {
+    const run = () => refreshRecentSalesRollup().catch(err => console.error('Error refreshing sales rollup:', err));
+    run();
+    setInterval(run, SALES_ROLLUP_INTERVAL_MS).unref();
+}
+
+const reportDateSchema = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({ 'string.pattern.base': '{#label} must be a date in YYYY-MM-DD format.' });
+
+const reportQuerySchema = Joi.object({
+    from: reportDateSchema,
+    to: reportDateSchema,
+    groupBy: Joi.string().valid(...REPORT_GROUPINGS).default('day'),
+    sort: Joi.string().valid('units', 'revenue').default('units'),
+    limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+// Without dates a report covers the last 30 days, today included.
+function resolveReportQuery(query) {
+    const { error, value } = reportQuerySchema.validate(query, { stripUnknown: true });
+    if (error) {
+        return { error: error.details[0].message };
+    }
+    const to = value.to || getIndiaDate();
+    const from = value.from || addDays(to, -29);
+    if (![from, to].every(day => addDays(day, 0) === day)) {
+        return { error: 'Please choose valid dates.' };
+    }
+    if (from > to) {
+        return { error: 'The start date must not be after the end date.' };
+    }
+    if (value.groupBy === 'day' && addDays(from, REPORT_MAX_DAILY_RANGE_DAYS) <= to) {
+        return { error: `A daily breakdown covers at most ${REPORT_MAX_DAILY_RANGE_DAYS} days; group by week or month for longer ranges.` };
+    }
+    return { ...value, from, to };
+}
+
+// One bucket per day, week (starting Monday) or month in the range, including
+// the ones with no orders.
+async function getSalesBuckets({ from, to, groupBy }) {
+    const { rows } = await pool.query(
+        `SELECT to_char(period.start, 'YYYY-MM-DD') AS period,
+            COALESCE(SUM(s.order_count), 0)::int AS order_count, COALESCE(SUM(s.revenue), 0) AS revenue,
+            COALESCE(SUM(s.discount_total), 0) AS discount_total, COALESCE(SUM(s.refunded_total), 0) AS refunded_total,
+            COALESCE(SUM(s.new_customer_order_count), 0)::int AS new_customer_order_count,
+            COALESCE(SUM(s.returning_customer_order_count), 0)::int AS returning_customer_order_count
+         FROM generate_series(date_trunc($3, $1::date::timestamp), $2::date::timestamp, ('1 ' || $3)::interval) AS period(start)
+         LEFT JOIN daily_sales s ON s.day BETWEEN $1 AND $2 AND date_trunc($3, s.day::timestamp) = period.start
+         GROUP BY period.start ORDER BY period.start`,
+        [from, to, groupBy]
+    );
+    return rows;
+}
+
+async function getSalesReport(range) {
+    const buckets = (await getSalesBuckets(range)).map(b => ({
+        period: b.period,
+        orders: b.order_count,
+        revenue: Number(b.revenue),
+        averageOrderValue: b.order_count > 0 ? roundCurrency(Number(b.revenue) / b.order_count) : 0,
+        discount: Number(b.discount_total),
+        refunded: Number(b.refunded_total)
+    }));
+    const orders = buckets.reduce((sum, b) => sum + b.orders, 0);
+    const revenue = roundCurrency(buckets.reduce((sum, b) => sum + b.revenue, 0));
+    return {
+        buckets,
+        totals: {
+            orders,
+            revenue,
+            averageOrderValue: orders > 0 ? roundCurrency(revenue / orders) : 0,
+            discount: roundCurrency(buckets.reduce((sum, b) => sum + b.discount, 0)),
+            refunded: roundCurrency(buckets.reduce((sum, b) => sum + b.refunded, 0))
+        }
+    };
+}
+
+// Revenue here is the line total before any coupon discount.
+async function getTopProductsReport({ from, to, sort, limit }) {
+    const { rows } = await pool.query(
+        `SELECT s.product_id, COALESCE(MAX(p.name), MAX(s.name)) AS name, SUM(s.units)::int AS units, SUM(s.revenue) AS revenue
+         FROM daily_product_sales s LEFT JOIN products p ON p.id = s.product_id
+         WHERE s.day BETWEEN $1 AND $2
+         GROUP BY s.product_key, s.product_id
+         ORDER BY ${sort === 'revenue' ? 'revenue' : 'units'} DESC, name
+         LIMIT $3`,
+        [from, to, limit]
+    );
+    return { sort, products: rows.map(r => ({ productId: r.product_id, name: r.name, units: r.units, revenue: Number(r.revenue) })) };
+}
+
+async function getCouponReport({ from, to }) {
+    const [{ rows }, totalsResult] = await Promise.all([
+        pool.query(
+            `SELECT coupon_code, SUM(order_count)::int AS orders, SUM(discount_total) AS discount_total, SUM(revenue) AS revenue
+             FROM daily_coupon_usage WHERE day BETWEEN $1 AND $2
+             GROUP BY coupon_code ORDER BY orders DESC, coupon_code`,
+            [from, to]
+        ),
+        pool.query(
+            `SELECT COALESCE(SUM(order_count), 0)::int AS orders, COALESCE(SUM(coupon_order_count), 0)::int AS coupon_orders,
+                COALESCE(SUM(discount_total), 0) AS discount_total
+             FROM daily_sales WHERE day BETWEEN $1 AND $2`,
+            [from, to]
+        )
+    ]);
+    const totals = totalsResult.rows[0];
+    return {
+        coupons: rows.map(r => ({ code: r.coupon_code, orders: r.orders, discount: Number(r.discount_total), revenue: Number(r.revenue) })),
+        totals: {
+            ordersWithCoupon: totals.coupon_orders,
+            shareOfOrders: totals.orders > 0 ? Math.round((totals.coupon_orders / totals.orders) * 1000) / 10 : 0,
+            discount: Number(totals.discount_total)
+        }
+    };
+}
+
+async function getPaymentMethodReport({ from, to }) {
+    const { rows } = await pool.query(
+        `SELECT COALESCE(SUM(cod_order_count), 0)::int AS cod_orders, COALESCE(SUM(cod_revenue), 0) AS cod_revenue,
+            COALESCE(SUM(prepaid_order_count), 0)::int AS prepaid_orders, COALESCE(SUM(prepaid_revenue), 0) AS prepaid_revenue
+         FROM daily_sales WHERE day BETWEEN $1 AND $2`,
+        [from, to]
+    );
+    const totals = rows[0];
+    return {
+        cod: { orders: totals.cod_orders, revenue: Number(totals.cod_revenue) },
+        prepaid: { orders: totals.prepaid_orders, revenue: Number(totals.prepaid_revenue) }
+    };
+}
+
+// Counted in orders: an order is from a new customer when it is their first.
+async function getCustomerReport(range) {
+    const buckets = (await getSalesBuckets(range)).map(b => ({
+        period: b.period,
+        newCustomerOrders: b.new_customer_order_count,
+        returningCustomerOrders: b.returning_customer_order_count
+    }));
+    return {
+        buckets,
+        totals: {
+            newCustomerOrders: buckets.reduce((sum, b) => sum + b.newCustomerOrders, 0),
+            returningCustomerOrders: buckets.reduce((sum, b) => sum + b.returningCustomerOrders, 0)
+        }
+    };
+}
+
+// Status and state change after the day an order is placed, so these two are
+// read from orders directly. Cancelled orders are included by status only.
+async function getOrderStatusReport({ from, to }) {
+    const { rows } = await pool.query(
+        `SELECT o.status, COUNT(*)::int AS orders, SUM(o.order_amount) AS amount
+         FROM orders o WHERE ${orderDayRangeSQL('o')}
+         GROUP BY o.status ORDER BY orders DESC`,
+        [from, to]
+    );
+    return { statuses: rows.map(r => ({ status: r.status, orders: r.orders, amount: Number(r.amount) })) };
+}
+
+async function getOrderStateReport({ from, to }) {
+    const { rows } = await pool.query(
+        `SELECT COALESCE(o.shipping_state, 'Unknown') AS state, COUNT(*)::int AS orders, SUM(o.order_amount) AS revenue
+         FROM orders o WHERE ${orderDayRangeSQL('o')} AND ${countedOrderSQL('o')}
+         GROUP BY 1 ORDER BY orders DESC, state`,
+        [from, to]
+    );
+    return { states: rows.map(r => ({ state: r.state, orders: r.orders, revenue: Number(r.revenue) })) };
+}
+
+const SALES_REPORTS = {
+    'sales': getSalesReport,
+    'top-products': getTopProductsReport,
+    'coupons': getCouponReport,
+    'payment-methods': getPaymentMethodReport,
+    'customers': getCustomerReport,
+    'order-status': getOrderStatusReport,
+    'states': getOrderStateReport
+};
+
+app.get('/admin/api/reports/:report', checkAdminAuth, async (req, res) => {
+    const report = SALES_REPORTS[req.params.report];
+    if (!report) {
+        return res.status(404).json({ success: false, message: 'Unknown report.' });
+    }
+    const range = resolveReportQuery(req.query);
+    if (range.error) {
+        return res.status(400).json({ success: false, message: range.error });
+    }
+    try {
+        const data = await report(range);
+        res.json({ success: true, from: range.from, to: range.to, groupBy: range.groupBy, ...data });
+    } catch (err) {
+        console.error(`Error building ${req.params.report} report:`, err);
+        res.status(500).json({ success: false, message: 'An internal server error occurred.' });
+    }
+});
+
+const formatRupees = (amount) => `₹${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// A column per bucket, scaled to the largest; hovering a column shows its value.
+function getColumnChartSVG(points, formatValue) {
+    const width = 800;
+    const height = 200;
+    const max = Math.max(...points.map(p => p.value), 0) || 1;
+    const slot = width / Math.max(points.length, 1);
+    const columns = points.map((p, i) => {
+        const columnHeight = Math.round((p.value / max) * (height - 20));
+        return `<rect x="${(i * slot + slot * 0.1).toFixed(1)}" y="${height - columnHeight}" width="${(slot * 0.8).toFixed(1)}" height="${columnHeight}" fill="#4a7bd0">`
+            + `<title>${he.encode(p.label)}: ${he.encode(formatValue(p.value))}</title></rect>`;
+    }).join('');
+    const first = points.length > 0 ? he.encode(points[0].label) : '';
+    const last = points.length > 1 ? he.encode(points[points.length - 1].label) : '';
+    return `<svg viewBox="0 0 ${width} ${height + 20}" style="width:100%; max-width:${width}px; background:white;" role="img">
+        ${columns}
+        <text x="0" y="${height + 15}" font-size="12">${first}</text>
+        <text x="${width}" y="${height + 15}" font-size="12" text-anchor="end">${last}</text>
+        <text x="0" y="12" font-size="12">max ${he.encode(formatValue(max))}</text>
+    </svg>`;
+}
+
+// Horizontal bars for a ranked list.
+function getBarListHTML(rows, formatValue) {
+    if (rows.length === 0) {
+        return '<p><em>No orders in this range.</em></p>';
+    }
+    const max = Math.max(...rows.map(r => r.value)) || 1;
+    return `<table>${rows.map(r => `<tr>
+        <td style="width:30%;">${he.encode(r.label)}</td>
+        <td><div style="background:#4a7bd0; height:14px; width:${Math.max(1, Math.round((r.value / max) * 100))}%;"></div></td>
+        <td style="width:20%; text-align:right;">${he.encode(formatValue(r.value))}</td>
+    </tr>`).join('')}</table>`;
+}
+
+const getReportsSection = () => ADMIN_SECTIONS.find(s => s.label === 'Reports');
+
+app.get('/admin/dashboard', checkAdminAuth, async (req, res) => {
+    const header = getAdminHeaderHTML('Dashboard', req);
+    if (!canUseAdminSection(req.admin.role, getReportsSection())) {
+        return res.send(`${header}<h1>Welcome to the Admin Dashboard</h1><p>Select a category from the navigation bar to get started.</p></div></body></html>`);
+    }
+    const range = resolveReportQuery(req.query);
+    if (range.error) {
+        return res.status(400).send(he.encode(range.error));
+    }
+    try {
+        const [sales, byUnits, byRevenue, coupons, payments, customers, statuses, states, refreshed] = await Promise.all([
+            getSalesReport(range),
+            getTopProductsReport({ ...range, sort: 'units' }),
+            getTopProductsReport({ ...range, sort: 'revenue' }),
+            getCouponReport(range),
+            getPaymentMethodReport(range),
+            getCustomerReport(range),
+            getOrderStatusReport(range),
+            getOrderStateReport(range),
+            pool.query('SELECT MAX(refreshed_at) AS refreshed_at FROM daily_sales')
+        ]);
+        const count = (n) => String(n);
+        const groupByOptions = REPORT_GROUPINGS.map(g => `<option value="${g}" ${g === range.groupBy ? 'selected' : ''}>${g}</option>`).join('');
+        const refreshedAt = refreshed.rows[0].refreshed_at;
+        const reportQuery = he.encode(new URLSearchParams({ from: range.from, to: range.to, groupBy: range.groupBy }).toString());
+        const canRebuild = req.admin.role === 'owner';
+        res.send(`${header}<h1>Sales Dashboard</h1>
+        <form action="/admin/dashboard" method="GET" style="display:flex; gap:1em; align-items:flex-end;">
+            <label>From: <input name="from" type="date" value="${range.from}"></label>
+            <label>To: <input name="to" type="date" value="${range.to}"></label>
+            <label>Group by: <select name="groupBy">${groupByOptions}</select></label>
+            <button type="submit">Show</button>
+        </form>
+        <p><small>Figures exclude cancelled orders and failed payments, and are refreshed hourly${refreshedAt ? ` (last ${new Date(refreshedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })})` : ''}.
+            The same data is available as JSON from <a href="/admin/api/reports/sales?${reportQuery}">/admin/api/reports/sales</a>.</small></p>
+        ${canRebuild ? `<form action="/admin/dashboard/rebuild-reports" method="POST"><button type="submit" style="width:auto;" onclick="return confirm('Rebuild the sales figures for every day from the orders table?');">Rebuild All Sales Figures</button></form>` : ''}
+        <table><tr>
+            <th>Revenue</th><td>${formatRupees(sales.totals.revenue)}</td>
+            <th>Orders</th><td>${sales.totals.orders}</td>
+            <th>Average Order</th><td>${formatRupees(sales.totals.averageOrderValue)}</td>
+            <th>Refunded</th><td>${formatRupees(sales.totals.refunded)}</td>
+        </tr></table>
+        <h2>Revenue by ${range.groupBy}</h2>
+        ${getColumnChartSVG(sales.buckets.map(b => ({ label: b.period, value: b.revenue })), formatRupees)}
+        <h2>Orders by ${range.groupBy}</h2>
+        ${getColumnChartSVG(sales.buckets.map(b => ({ label: b.period, value: b.orders })), count)}
+        <h2>Average order value by ${range.groupBy}</h2>
+        ${getColumnChartSVG(sales.buckets.map(b => ({ label: b.period, value: b.averageOrderValue })), formatRupees)}
+        <h2>Top products by units</h2>
+        ${getBarListHTML(byUnits.products.map(p => ({ label: p.name, value: p.units })), count)}
+        <h2>Top products by revenue</h2>
+        ${getBarListHTML(byRevenue.products.map(p => ({ label: p.name, value: p.revenue })), formatRupees)}
+        <h2>Coupons</h2>
+        <p>${coupons.totals.ordersWithCoupon} orders (${coupons.totals.shareOfOrders}%) used a coupon, at a discount cost of ${formatRupees(coupons.totals.discount)}.</p>
+        ${getBarListHTML(coupons.coupons.map(c => ({ label: `${c.code} (${c.orders} orders)`, value: c.discount })), formatRupees)}
+        <h2>COD vs prepaid</h2>
+        ${getBarListHTML([
+            { label: `COD (${payments.cod.orders} orders)`, value: payments.cod.revenue },
+            { label: `Prepaid (${payments.prepaid.orders} orders)`, value: payments.prepaid.revenue }
+        ].filter(p => p.value > 0), formatRupees)}
+        <h2>New vs returning customers</h2>
+        ${getBarListHTML([
+            { label: 'Orders from new customers', value: customers.totals.newCustomerOrders },
+            { label: 'Orders from returning customers', value: customers.totals.returningCustomerOrders }
+        ].filter(c => c.value > 0), count)}
+        <h2>Orders by status</h2>
+        ${getBarListHTML(statuses.statuses.map(s => ({ label: s.status, value: s.orders })), count)}
+        <h2>Orders by state</h2>
+        ${getBarListHTML(states.states.map(s => ({ label: s.state, value: s.orders })), count)}
+        </div></body></html>`);
+    } catch (err) {
+        console.error('Error loading dashboard:', err);
+        res.status(500).send('Error loading dashboard.');
+    }
+});
+
+app.post('/admin/dashboard/rebuild-reports', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT MIN(created_at) AS first_order_at FROM orders');
+        if (rows[0].first_order_at) {
+            const fromDay = getIndiaDate(rows[0].first_order_at);
+            const toDay = getIndiaDate();
+            await refreshSalesRollup(fromDay, toDay);
+            await recordAdminAudit(pool, req, { action: 'rebuild_sales_rollup', entityType: 'report', changes: { days: { from: fromDay, to: toDay } } });
+        }
+        res.redirect('/admin/dashboard');
+    } catch (err) {
+        console.error('Error rebuilding sales rollup:', err);
+        res.status(500).send('Error rebuilding sales figures.');
+    }
+});
+
+app.get('/admin/account', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows: sessions } = await pool.query(
+            'SELECT token_hash, ip_address, user_agent, created_at, last_seen_at FROM admin_sessions WHERE admin_user_id = $1 AND expires_at > NOW() ORDER BY last_seen_at DESC',
+            [req.admin.id]
+        );
+        const sessionsHtml = sessions.map(s => `<tr>
+            <td>${new Date(s.created_at).toLocaleString()}</td><td>${new Date(s.last_seen_at).toLocaleString()}</td>
+            <td>${he.encode(s.ip_address || '')}</td><td>${he.encode(s.user_agent || '')}</td>
+            <td>${s.token_hash === req.admin.token_hash ? '<strong>This session</strong>' : ''}</td>
+        </tr>`).join('');
+        const header = getAdminHeaderHTML('My Account', req);
+        res.send(`${header}<h1>My Account</h1>
+        <p>${he.encode(req.admin.name)} &lt;${he.encode(req.admin.email)}&gt;, role: ${req.admin.role}</p>
+        <h2>Active Sessions</h2>
+        <table><thead><tr><th>Signed In</th><th>Last Seen</th><th>IP Address</th><th>Browser</th><th></th></tr></thead><tbody>${sessionsHtml}</tbody></table>
+        <form action="/admin/account/logout-everywhere" method="POST" style="margin-top: 1em;"><button type="submit" class="permanent-delete-btn">Log Out Everywhere</button></form>
+        <div class="add-form">
+            <h2>Change Password</h2>
+            <form action="/admin/account/password" method="POST">
+                <div class="form-group"><label>Current Password: <input name="currentPassword" type="password" required></label></div>
+                <div class="form-group"><label>New Password: <input name="newPassword" type="password" minlength="${ADMIN_PASSWORD_MIN_LENGTH}" required></label> <small>At least ${ADMIN_PASSWORD_MIN_LENGTH} characters. Your other sessions are logged out.</small></div>
+                <button type="submit">Change Password</button>
+            </form>
+        </div></div></body></html>`);
+    } catch (err) {
+        console.error('Error loading admin account page:', err);
+        res.status(500).send('Error loading account page.');
+    }
+});
+
+app.post('/admin/account/logout-everywhere', checkAdminAuth, async (req, res) => {
+    try {
+        const { rowCount } = await pool.query('DELETE FROM admin_sessions WHERE admin_user_id = $1', [req.admin.id]);
+        await recordAdminAudit(pool, req, { action: 'logout_everywhere', entityType: 'admin_user', entityId: req.admin.id, changes: { sessions: { from: rowCount, to: 0 } } });
+        res.clearCookie(ADMIN_SESSION_COOKIE);
+        res.redirect('/admin/login');
+    } catch (err) {
+        console.error('Error ending admin sessions:', err);
+        res.status(500).send('Error logging out.');
+    }
+});
+
+app.post('/admin/account/password', checkAdminAuth, async (req, res) => {
+    const newPassword = String(req.body.newPassword || '');
+    if (newPassword.length < ADMIN_PASSWORD_MIN_LENGTH) {
+        return res.status(400).send(`The new password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters long.`);
+    }
+    try {
+        const { rows } = await pool.query('SELECT password_hash FROM admin_users WHERE id = $1', [req.admin.id]);
+        if (!(await verifyAdminPassword(String(req.body.currentPassword || ''), rows[0].password_hash))) {
+            return res.status(400).send('Your current password is incorrect.');
+        }
+        await pool.query('UPDATE admin_users SET password_hash = $1, password_changed_at = NOW() WHERE id = $2', [await hashAdminPassword(newPassword), req.admin.id]);
+        await pool.query('DELETE FROM admin_sessions WHERE admin_user_id = $1 AND token_hash <> $2', [req.admin.id, req.admin.token_hash]);
+        await recordAdminAudit(pool, req, { action: 'change_password', entityType: 'admin_user', entityId: req.admin.id, changes: { password_hash: { from: '[redacted]', to: '[redacted]' } } });
+        res.redirect('/admin/account');
+    } catch (err) {
+        console.error('Error changing admin password:', err);
+        res.status(500).send('Error changing password.');
+    }
+});
+
+const adminUserSchema = Joi.object({
+    email: Joi.string().trim().lowercase().email().max(255).required(),
+    name: Joi.string().trim().max(100).required(),
+    role: Joi.string().valid(...ADMIN_ROLES).required(),
+    password: Joi.string().min(ADMIN_PASSWORD_MIN_LENGTH).max(200).required()
+});
+
+const getAdminRoleOptionsHTML = (selected) => ADMIN_ROLES
+    .map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${role}</option>`).join('');
+
+// True when the change would leave the shop without an active owner. Locks the
+// active owners, so the caller must make the change in the same transaction.
+async function removesLastOwner(client, adminUserId, role, isActive) {
+    if (role === 'owner' && isActive) {
+        return false;
+    }
+    const { rows } = await client.query("SELECT id FROM admin_users WHERE role = 'owner' AND is_active FOR UPDATE");
+    return !rows.some(owner => owner.id !== adminUserId);
+}
+
+app.get('/admin/admins', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT u.*, (SELECT COUNT(*)::int FROM admin_sessions s WHERE s.admin_user_id = u.id AND s.expires_at > NOW()) AS session_count
+             FROM admin_users u ORDER BY u.is_active DESC, u.name`
+        );
+        const adminsHtml = rows.map(u => {
+            const locked = u.locked_until && u.locked_until > new Date();
+            return `<tr>
+                <td>${he.encode(u.name)}<br><small>${he.encode(u.email)}</small></td>
+                <td>
+                    <form action="/admin/admins/${u.id}" method="POST">
+                        <select name="role">${getAdminRoleOptionsHTML(u.role)}</select>
+                        <label><input type="checkbox" name="isActive" value="true" ${u.is_active ? 'checked' : ''} style="width:auto;"> Active</label>
+                        <button type="submit">Save</button>
+                    </form>
+                </td>
+                <td>${u.last_login_at ? new Date(u.last_login_at).toLocaleString() : 'Never'}${locked ? '<br><strong style="color:red;">Locked</strong>' : ''}</td>
+                <td>
+                    ${u.session_count}
+                    ${u.session_count > 0 ? `<form action="/admin/admins/${u.id}/logout" method="POST"><button type="submit">Log Out Everywhere</button></form>` : ''}
+                </td>
+                <td>
+                    <form action="/admin/admins/${u.id}/password" method="POST">
+                        <input name="password" type="password" minlength="${ADMIN_PASSWORD_MIN_LENGTH}" placeholder="New password" required>
+                        <button type="submit">Reset Password${locked ? ' and Unlock' : ''}</button>
+                    </form>
+                </td>
+            </tr>`;
+        }).join('');
+        const header = getAdminHeaderHTML('Admin Accounts', req);
+        res.send(`${header}<h1>Admin Accounts</h1>
+        <table><thead><tr><th>Admin</th><th>Role</th><th>Last Login</th><th>Sessions</th><th>Password</th></tr></thead><tbody>${adminsHtml}</tbody></table>
+        <div class="add-form">
+            <h2>Add Admin</h2>
+            <form action="/admin/admins" method="POST">
+                <div class="form-group"><label>Name: <input name="name" required></label></div>
+                <div class="form-group"><label>Email: <input name="email" type="email" required></label></div>
+                <div class="form-group"><label>Role: <select name="role">${getAdminRoleOptionsHTML('support')}</select></label></div>
+                <div class="form-group"><label>Password: <input name="password" type="password" minlength="${ADMIN_PASSWORD_MIN_LENGTH}" required></label> <small>At least ${ADMIN_PASSWORD_MIN_LENGTH} characters. Ask them to change it after their first login.</small></div>
+                <button type="submit">Add Admin</button>
+            </form>
+        </div></div></body></html>`);
+    } catch (err) {
+        console.error('Error loading admin accounts page:', err);
+        res.status(500).send('Error loading admin accounts.');
+    }
+});
+
+app.post('/admin/admins', checkAdminAuth, async (req, res) => {
+    const { error, value } = adminUserSchema.validate(req.body);
+    if (error) { return res.status(400).send(he.encode(error.details[0].message)); }
+    try {
+        const { rows } = await pool.query(
+            'INSERT INTO admin_users (email, name, role, password_hash) VALUES ($1, $2, $3, $4) RETURNING id, email, name, role, is_active, password_hash',
+            [value.email, value.name, value.role, await hashAdminPassword(value.password)]
+        );
+        await recordAdminAudit(pool, req, { action: 'create', entityType: 'admin_user', entityId: rows[0].id, after: rows[0] });
+        console.log(`ACTION: Admin ${req.admin.email} added admin account ${value.email} (${value.role}).`);
+        res.redirect('/admin/admins');
+    } catch (err) {
+        if (err.code === '23505') { return res.status(409).send('An admin with this email already exists.'); }
+        console.error('Error adding admin account:', err);
+        res.status(500).send('Error adding admin account.');
+    }
+});
+
+// Deactivating an account also ends its sessions.
+app.post('/admin/admins/:id', checkAdminAuth, async (req, res) => {
+    const id = Number(req.params.id);
+    const role = req.body.role;
+    const isActive = req.body.isActive === 'true';
+    if (!ADMIN_ROLES.includes(role)) { return res.status(400).send('Please choose a valid role.'); }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        if (await removesLastOwner(client, id, role, isActive)) {
+            await client.query('ROLLBACK');
+            return res.status(400).send('There must always be at least one active owner.');
+        }
+        const { rows: before } = await client.query('SELECT role, is_active FROM admin_users WHERE id = $1 FOR UPDATE', [id]);
+        if (before.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Admin account not found.');
+        }
+        const { rows: after } = await client.query('UPDATE admin_users SET role = $1, is_active = $2 WHERE id = $3 RETURNING role, is_active', [role, isActive, id]);
+        if (!isActive) {
+            await client.query('DELETE FROM admin_sessions WHERE admin_user_id = $1', [id]);
+        }
+        await recordAdminAudit(client, req, { action: 'update', entityType: 'admin_user', entityId: id, before: before[0], after: after[0] });
+        await client.query('COMMIT');
+        res.redirect('/admin/admins');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error updating admin account:', err);
+        res.status(500).send('Error updating admin account.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/admins/:id/logout', checkAdminAuth, async (req, res) => {
+    try {
+        const { rowCount } = await pool.query('DELETE FROM admin_sessions WHERE admin_user_id = $1', [req.params.id]);
+        await recordAdminAudit(pool, req, { action: 'logout_everywhere', entityType: 'admin_user', entityId: req.params.id, changes: { sessions: { from: rowCount, to: 0 } } });
+        res.redirect(Number(req.params.id) === req.admin.id ? '/admin/login' : '/admin/admins');
+    } catch (err) {
+        console.error('Error ending admin sessions:', err);
+        res.status(500).send('Error ending sessions.');
+    }
+});
+
+app.post('/admin/admins/:id/password', checkAdminAuth, async (req, res) => {
+    const password = String(req.body.password || '');
+    if (password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+        return res.status(400).send(`The password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters long.`);
+    }
+    try {
+        const { rowCount } = await pool.query(
+            'UPDATE admin_users SET password_hash = $1, password_changed_at = NOW(), failed_login_count = 0, locked_until = NULL WHERE id = $2',
+            [await hashAdminPassword(password), req.params.id]
+        );
+        if (rowCount === 0) { return res.status(404).send('Admin account not found.'); }
+        await pool.query('DELETE FROM admin_sessions WHERE admin_user_id = $1 AND token_hash <> $2', [req.params.id, req.admin.token_hash]);
+        await recordAdminAudit(pool, req, { action: 'reset_password', entityType: 'admin_user', entityId: req.params.id, changes: { password_hash: { from: '[redacted]', to: '[redacted]' } } });
+        res.redirect('/admin/admins');
+    } catch (err) {
+        console.error('Error resetting admin password:', err);
+        res.status(500).send('Error resetting password.');
+    }
+});
+
+const auditFilterSchema = Joi.object({
+    entityType: Joi.string().valid(...AUDIT_ENTITY_TYPES).allow(''),
+    entityId: Joi.string().trim().max(128).allow(''),
+    from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(''),
+    to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).allow(''),
+    page: Joi.number().integer().min(1).default(1)
+});
+const AUDIT_PAGE_SIZE = 50;
+
+const formatAuditValue = (value) => {
+    if (value === null || value === undefined) {
+        return '<em>empty</em>';
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return he.encode(text.length > 200 ? `${text.slice(0, 200)}…` : text);
+};
+
+// Dates are whole days in India time, and "to" includes the day it names.
+app.get('/admin/audit', checkAdminAuth, async (req, res) => {
+    const { error, value: filters } = auditFilterSchema.validate(req.query, { stripUnknown: true });
+    if (error) { return res.status(400).send(he.encode(error.details[0].message)); }
+    const { page } = filters;
+    const conditions = [];
+    const params = [];
+    if (filters.entityType) {
+        params.push(filters.entityType);
+        conditions.push(`entity_type = $${params.length}`);
+    }
+    if (filters.entityId) {
+        params.push(filters.entityId);
+        conditions.push(`entity_id = $${params.length}`);
+    }
+    if (filters.from) {
+        params.push(filters.from);
+        conditions.push(`created_at >= ($${params.length}::date)::timestamp AT TIME ZONE 'Asia/Kolkata'`);
+    }
+    if (filters.to) {
+        params.push(filters.to);
+        conditions.push(`created_at < ($${params.length}::date + 1)::timestamp AT TIME ZONE 'Asia/Kolkata'`);
+    }
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    try {
+        const [{ rows }, countResult] = await Promise.all([
+            pool.query(
+                `SELECT * FROM admin_audit_log${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, AUDIT_PAGE_SIZE, (page - 1) * AUDIT_PAGE_SIZE]
+            ),
+            pool.query(`SELECT COUNT(*)::int AS total FROM admin_audit_log${where}`, params)
+        ]);
+        const totalPages = Math.max(1, Math.ceil(countResult.rows[0].total / AUDIT_PAGE_SIZE));
+        const entriesHtml = rows.map(entry => {
+            const changesHtml = Object.entries(entry.changes).map(([field, change]) =>
+                `<li><strong>${he.encode(field)}</strong>: ${formatAuditValue(change.from)} &rarr; ${formatAuditValue(change.to)}</li>`
+            ).join('');
+            const entityHtml = entry.entity_id === null
+                ? he.encode(entry.entity_type)
+                : `<a href="/admin/audit?entityType=${encodeURIComponent(entry.entity_type)}&amp;entityId=${encodeURIComponent(entry.entity_id)}">${he.encode(entry.entity_type)} ${he.encode(entry.entity_id)}</a>`;
+            return `<tr>
+                <td>${new Date(entry.created_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</td>
+                <td>${he.encode(entry.actor_email)}<br><small>${he.encode(entry.ip_address || '')}</small></td>
+                <td>${he.encode(entry.action)}</td>
+                <td>${entityHtml}</td>
+                <td>${changesHtml ? `<ul>${changesHtml}</ul>` : ''}</td>
+            </tr>`;
+        }).join('');
+        const entityTypeOptions = AUDIT_ENTITY_TYPES.map(t => `<option value="${t}" ${t === filters.entityType ? 'selected' : ''}>${t}</option>`).join('');
+        const pageLink = (target) => {
+            const query = new URLSearchParams({ ...req.query, page: target });
+            return `/admin/audit?${he.encode(query.toString())}`;
+        };
+        const paginationHtml = `<p>Page ${page} of ${totalPages}
+            ${page > 1 ? `<a href="${pageLink(page - 1)}">Previous</a>` : ''}
+            ${page < totalPages ? `<a href="${pageLink(page + 1)}">Next</a>` : ''}</p>`;
+        const header = getAdminHeaderHTML('Audit Log', req);
+        res.send(`${header}<h1>Audit Log</h1>
+        <form action="/admin/audit" method="GET" style="display:flex; gap:1em; align-items:flex-end;">
+            <label>Entity: <select name="entityType"><option value="">All</option>${entityTypeOptions}</select></label>
+            <label>ID: <input name="entityId" value="${he.encode(filters.entityId || '')}"></label>
+            <label>From: <input name="from" type="date" value="${he.encode(filters.from || '')}"></label>
+            <label>To: <input name="to" type="date" value="${he.encode(filters.to || '')}"></label>
+            <button type="submit">Filter</button>
+        </form>
+        <table><thead><tr><th>When</th><th>Admin</th><th>Action</th><th>Entity</th><th>Changes</th></tr></thead>
+        <tbody>${entriesHtml || '<tr><td colspan="5">No entries match these filters.</td></tr>'}</tbody></table>
+        ${paginationHtml}</div></body></html>`);
+    } catch (err) {
+        console.error('Error loading audit log:', err);
+        res.status(500).send('Error loading audit log.');
+    }
+});
+
+const getCategoryOptionsHTML = (categories, selectedSlug, placeholder = 'Select a Category') => {
+    const options = categories.map(c => `<option value="${he.encode(c.slug)}" ${c.slug === selectedSlug ? 'selected' : ''}>${'&nbsp;&nbsp;&nbsp;'.repeat(c.depth)}${he.encode(c.name)}</option>`).join('');
+    return `<option value="">${placeholder}</option>${options}`;
+};
+
+const productSchema = Joi.object({
+    productName: Joi.string().required(), price: Joi.number().required(),
+    salePrice: Joi.number().allow(null, ''), stockQuantity: Joi.number().integer().required(),
+    description: Joi.string().required(), imageUrl: Joi.string().uri().required(),
+    is_featured: Joi.boolean(), category: Joi.string().required(),
+    // Left blank, the slug is generated from the name and the SKU stays unset.
+    slug: Joi.string().trim().lowercase().max(255).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).allow('')
+        .messages({ 'string.pattern.base': 'Slug may only contain lowercase letters, numbers and single hyphens.' }),
+    sku: Joi.string().trim().uppercase().max(64).pattern(/^[A-Z0-9_-]+$/).allow('')
+        .messages({ 'string.pattern.base': 'SKU may only contain letters, numbers, hyphens and underscores.' }),
+    hsnCode: Joi.string().trim().pattern(/^\d{4,8}$/).allow('')
+        .messages({ 'string.pattern.base': 'HSN code must be 4 to 8 digits.' }),
+    gstRate: Joi.number().valid(...GST_RATES).default(5),
+    weightGrams: Joi.number().integer().positive().allow('')
+});
+
+const getGstRateOptionsHTML = (selected = 5) => GST_RATES
+    .map(rate => `<option value="${rate}" ${Number(selected) === rate ? 'selected' : ''}>${rate}%</option>`).join('');
+
+// Returns an error message if the slug or SKU belongs to another product. A slug
+// kept as a redirect for another product counts as taken so old links stay valid.
+async function findProductIdentifierConflict(db, { slug, sku }, productId = null) {
+    const { rows } = await db.query(
+        `SELECT 'slug' AS field FROM products WHERE slug = $1 AND id IS DISTINCT FROM $3
+         UNION ALL
+         SELECT 'slug' FROM product_slug_redirects WHERE slug = $1 AND product_id IS DISTINCT FROM $3
+         UNION ALL
+         SELECT 'sku' FROM products WHERE $2::text IS NOT NULL AND sku = $2 AND id IS DISTINCT FROM $3
+         UNION ALL
+         SELECT 'sku' FROM product_variants WHERE $2::text IS NOT NULL AND sku = $2`,
+        [slug, sku, productId]
+    );
+    if (rows.some(r => r.field === 'slug')) {
+        return `The slug "${slug}" is already used by another product.`;
+    }
+    if (rows.some(r => r.field === 'sku')) {
+        return `The SKU "${sku}" is already used by another product.`;
+    }
+    return null;
+}
+
+// The column values a validated productSchema result is saved as, shared by the
+// product forms and the CSV import. A blank slug is generated from the name.
+function toProductRecord(value) {
+    return {
+        name: value.productName, slug: value.slug || slugify(value.productName), sku: value.sku || null,
+        price: value.price, sale_price: value.salePrice || null, stock_quantity: value.stockQuantity,
+        description: value.description, image_url: value.imageUrl, is_featured: Boolean(value.is_featured), category: value.category,
+        hsn_code: value.hsnCode || null, gst_rate: value.gstRate, weight_grams: value.weightGrams || null
+    };
+}
+
+// The reverse of toProductRecord: a products row as productSchema input. Older
+// rows may have no description or image, which come out blank.
+const toProductSchemaInput = (product) => ({
+    productName: product.name, slug: product.slug, sku: product.sku || '', price: Number(product.price),
+    salePrice: product.sale_price === null ? '' : Number(product.sale_price), stockQuantity: product.stock_quantity,
+    description: product.description || '', imageUrl: product.image_url || '', is_featured: Boolean(product.is_featured), category: product.category,
+    hsnCode: product.hsn_code || '', gstRate: Number(product.gst_rate), weightGrams: product.weight_grams || ''
+});
+
+// The product's image becomes the first, primary image of its gallery.
+async function insertProduct(db, product) {
+    const { rows } = await db.query(
+        `WITH product AS (
+            INSERT INTO products(name, slug, sku, price, sale_price, stock_quantity, description, image_url, is_featured, category, hsn_code, gst_rate, weight_grams)
+            VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *
+        ), image AS (
+            INSERT INTO product_images (product_id, url, alt_text, is_primary) SELECT id, image_url, name, TRUE FROM product
+        )
+        SELECT * FROM product`,
+        [product.name, product.slug, product.sku, product.price, product.sale_price, product.stock_quantity, product.description,
+         product.image_url, product.is_featured, product.category, product.hsn_code, product.gst_rate, product.weight_grams]
+    );
+    return rows[0];
+}
+
+// `before` is the current row, locked FOR UPDATE by the caller's transaction.
+// Returns the row as saved.
+async function updateProduct(client, before, product) {
+    await client.query(
+        `UPDATE products SET name = $1, price = $2, description = $3, image_url = $4, sale_price = $5, stock_quantity = $6, is_featured = $7,
+            category = $8, slug = $9, sku = $10, hsn_code = $11, gst_rate = $12, weight_grams = $13
+         WHERE id = $14`,
+        [product.name, product.price, product.description, product.image_url, product.sale_price, product.stock_quantity, product.is_featured,
+         product.category, product.slug, product.sku, product.hsn_code, product.gst_rate, product.weight_grams, before.id]
+    );
+    await syncProductStock(client, before.id);
+    // Re-saving an unchanged URL must not undo a primary chosen in the gallery.
+    if (product.image_url !== before.image_url) {
+        await setPrimaryImageUrl(client, before.id, product.image_url, product.name);
+    }
+    if (before.slug !== product.slug) {
+        await client.query(
+            `INSERT INTO product_slug_redirects (slug, product_id) VALUES ($1, $2)
+             ON CONFLICT (slug) DO UPDATE SET product_id = EXCLUDED.product_id, created_at = NOW()`,
+            [before.slug, before.id]
+        );
+        // Switching back to a retired slug makes it live again.
+        await client.query('DELETE FROM product_slug_redirects WHERE slug = $1', [product.slug]);
+    }
+    const { rows } = await client.query('SELECT * FROM products WHERE id = $1', [before.id]);
+    return rows[0];
+}
+
+const variantSchema = Joi.object({
+    label: Joi.string().trim().max(100).required(),
+    weightGrams: Joi.number().integer().positive().allow(null, ''),
+    sku: Joi.string().trim().uppercase().max(64).pattern(/^[A-Z0-9_-]+$/).allow('')
+        .messages({ 'string.pattern.base': 'SKU may only contain letters, numbers, hyphens and underscores.' }),
+    price: Joi.number().positive().required(),
+    salePrice: Joi.number().positive().allow(null, ''),
+    stockQuantity: Joi.number().integer().min(0).required(),
+    sortOrder: Joi.number().integer().allow(null, ''),
+    isActive: Joi.boolean()
+});
+
+// Variant SKUs share one namespace with product SKUs.
+async function findVariantSkuConflict(db, sku, variantId = null) {
+    if (!sku) {
+        return null;
+    }
+    const { rows } = await db.query(
+        `SELECT 1 FROM products WHERE sku = $1
+         UNION ALL
+         SELECT 1 FROM product_variants WHERE sku = $1 AND id IS DISTINCT FROM $2`,
+        [sku, variantId]
+    );
+    return rows.length > 0 ? `The SKU "${sku}" is already used by another product or pack size.` : null;
+}
+
+app.get('/admin/products', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT * FROM products ORDER BY id ASC');
+        const categories = await getCategoryList();
+        const categoryNames = new Map(categories.map(c => [c.slug, c.name]));
+        const productsHtml = rows.map(p => {
+            const featuredStatus = p.is_featured ? '<strong>Yes</strong>' : 'No';
+            const toggleButtonText = p.is_featured ? 'Remove Featured' : 'Make Featured';
+            return `<tr>
+                <td>${p.id}</td><td><img src="${p.image_url || ''}" alt="${he.encode(p.name)}"></td><td>${he.encode(p.name)}<br><small>/${he.encode(p.slug)}${p.sku ? ` &middot; SKU ${he.encode(p.sku)}` : ''}</small></td>
+                <td>${p.price}</td><td>${p.sale_price || 'N/A'}</td><td>${p.stock_quantity}</td><td>${he.encode(categoryNames.get(p.category) || p.category || 'N/A')}</td><td>${featuredStatus}</td>
+                <td>
+                    <a href="/admin/edit-product/${p.id}">Edit</a>
+                    ${getAuditHistoryLinkHTML(req, 'product', p.id)}
+                    <form action="/admin/delete-product/${p.id}" method="POST" style="display:inline; margin-left: 5px;"><button type="submit" onclick="return confirm('Are you sure?');">Delete</button></form>
+                    <form action="/admin/toggle-featured/${p.id}" method="POST" style="display:inline; margin-left: 5px;"><button type="submit">${toggleButtonText}</button></form>
+                </td>
+            </tr>`;
+        }).join('');
+        const header = getAdminHeaderHTML('Manage Products', req);
+        res.send(`${header}<h1>Manage Products</h1>
+        <p><a href="/admin/products/export.csv">Export products as CSV</a> | <a href="/admin/products/import">Import products from CSV</a></p>
+        <table><thead><tr><th>ID</th><th>Image</th><th>Name</th><th>Price</th><th>Sale Price</th><th>Stock</th><th>Category</th><th>Featured?</th><th>Actions</th></tr></thead><tbody>${productsHtml}</tbody></table>
+        <div class="add-form">
+            <h2>Add New Product</h2>
+            <form action="/admin/add-product" method="POST">
+                <div class="form-group"><label>Name: <input name="productName" required></label></div>
+                <div class="form-group"><label>Slug: <input name="slug" placeholder="generated from the name"></label></div>
+                <div class="form-group"><label>SKU: <input name="sku"></label></div>
+                <div class="form-group"><label>HSN Code: <input name="hsnCode" pattern="\d{4,8}"></label></div>
+                <div class="form-group"><label>GST Rate: <select name="gstRate">${getGstRateOptionsHTML()}</select></label> <small>Prices include GST.</small></div>
+                <div class="form-group"><label>Price: <input name="price" type="number" step="0.01" required></label></div>
+                <div class="form-group"><label>Sale Price: <input name="salePrice" type="number" step="0.01"></label></div>
+                <div class="form-group"><label>Stock: <input name="stockQuantity" type="number" value="10" required></label></div>
+                <div class="form-group"><label>Shipping Weight (grams): <input name="weightGrams" type="number" min="1"></label> <small>Leave blank to use the default item weight from Shipping.</small></div>
+                <div class="form-group">
+                    <label>Category: 
+                        <select name="category" required>${getCategoryOptionsHTML(categories)}</select>
+                    </label>
+                </div>
+                <div class="form-group"><label>Description: <textarea name="description" required></textarea></label></div>
+                <div class="form-group"><label>Image URL: <input name="imageUrl" required></label></div>
+                <div class="form-group"><label><input type="checkbox" name="is_featured" value="true"> Mark as Featured</label></div>
+                <button type="submit">Add Product</button>
+            </form>
+        </div></div></body></html>`);
+    } catch (err) {
+        res.status(500).send('Error loading product management page.');
+    }
+});
+
+app.post('/admin/toggle-featured/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { rows } = await pool.query('UPDATE products SET is_featured = NOT is_featured WHERE id = $1 RETURNING is_featured', [id]);
+        if (rows.length > 0) {
+            await recordAdminAudit(pool, req, { action: 'toggle_featured', entityType: 'product', entityId: id, before: { is_featured: !rows[0].is_featured }, after: rows[0] });
+        }
+        res.redirect(`/admin/products`);
+    } catch (err) {
+        console.error('Error toggling featured status:', err);
+        res.status(500).send('Error updating product.');
+    }
+});
+
+app.post('/admin/add-product', checkAdminAuth, async (req, res) => {
+    const isFeatured = req.body.is_featured === 'true';
+    const { error, value } = productSchema.validate({ ...req.body, is_featured: isFeatured });
+    if (error) { return res.status(400).send(error.details[0].message); }
+    const product = toProductRecord(value);
+    if (!product.slug) { return res.status(400).send('Please enter a slug for this product.'); }
+    try {
+        const conflict = await findProductIdentifierConflict(pool, product);
+        if (conflict) { return res.status(409).send(he.encode(conflict)); }
+        const created = await insertProduct(pool, product);
+        await recordAdminAudit(pool, req, { action: 'create', entityType: 'product', entityId: created.id, after: created });
+        res.redirect(`/admin/products`);
+    } catch (err) {
+        if (err.code === '23505') { return res.status(409).send('That slug or SKU is already used by another product.'); }
+        if (err.code === '23503') { return res.status(400).send('Please choose a valid category.'); }
+        res.status(500).send('Error adding product.');
+    }
+});
+
+app.get('/admin/edit-product/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { rows } = await pool.query('SELECT * FROM products WHERE id = $1', [id]);
+        if (rows.length === 0) { return res.status(404).send('Product not found.'); }
+        const p = rows[0];
+        const isChecked = p.is_featured ? 'checked' : '';
+        const { rows: variants } = await pool.query(
+            'SELECT * FROM product_variants WHERE product_id = $1 ORDER BY sort_order, weight_grams NULLS LAST, id', [id]
+        );
+        const hasActiveVariants = variants.some(v => v.is_active);
+        const { rows: images } = await pool.query('SELECT * FROM product_images WHERE product_id = $1 ORDER BY sort_order, id', [id]);
+        const imagesHtml = images.map((img, index) => `
+            <div class="form-group">
+                <img src="${he.encode(img.url)}" alt="${he.encode(img.alt_text || '')}" style="width: 80px; vertical-align: middle;">
+                ${img.is_primary ? '<strong>Primary</strong>' : `<form action="/admin/products/${p.id}/images/${img.id}/primary" method="POST" style="display:inline;"><button type="submit">Make Primary</button></form>`}
+                <form action="/admin/products/${p.id}/images/${img.id}" method="POST" style="display:inline;"><input name="altText" value="${he.encode(img.alt_text || '')}" placeholder="Alt text"> <button type="submit">Save</button></form>
+                ${index > 0 ? `<form action="/admin/products/${p.id}/images/${img.id}/move" method="POST" style="display:inline;"><input type="hidden" name="direction" value="up"><button type="submit">&uarr;</button></form>` : ''}
+                ${index < images.length - 1 ? `<form action="/admin/products/${p.id}/images/${img.id}/move" method="POST" style="display:inline;"><input type="hidden" name="direction" value="down"><button type="submit">&darr;</button></form>` : ''}
+                <form action="/admin/products/${p.id}/images/${img.id}/delete" method="POST" style="display:inline;"><button type="submit" onclick="return confirm('Remove this image?');">Remove</button></form>
+            </div>`).join('') || '<p>No images yet.</p>';
+        const variantFields = (v = {}) => `
+            <label>Label: <input name="label" value="${he.encode(v.label || '')}" placeholder="250g" required></label>
+            <label>Weight (g): <input name="weightGrams" type="number" min="1" value="${v.weight_grams || ''}"></label>
+            <label>SKU: <input name="sku" value="${he.encode(v.sku || '')}"></label>
+            <label>Price: <input name="price" type="number" step="0.01" value="${v.price || ''}" required></label>
+            <label>Sale Price: <input name="salePrice" type="number" step="0.01" value="${v.sale_price || ''}"></label>
+            <label>Stock: <input name="stockQuantity" type="number" min="0" value="${v.stock_quantity ?? 0}" required></label>
+            <label>Sort: <input name="sortOrder" type="number" value="${v.sort_order ?? 0}" style="width: 60px;"></label>
+            <label><input type="checkbox" name="isActive" value="true" ${v.is_active === false ? '' : 'checked'}> Active</label>`;
+        const variantsHtml = variants.map(v => `
+            <div class="form-group">
+                <form action="/admin/products/${p.id}/variants/${v.id}" method="POST" style="display:inline;">${variantFields(v)} <button type="submit">Save</button></form>
+                <form action="/admin/products/${p.id}/variants/${v.id}/delete" method="POST" style="display:inline;"><button type="submit" onclick="return confirm('Delete this pack size?');">Delete</button></form>
+            </div>`).join('') || '<p>No pack sizes yet. The product sells at its own price and stock.</p>';
+
+        const categoryOptions = getCategoryOptionsHTML(await getCategoryList(), p.category);
+        
+        const header = getAdminHeaderHTML(`Edit: ${he.encode(p.name)}`, req);
+        res.send(`${header}<h1>Edit: ${he.encode(p.name)}</h1>
+        <form action="/admin/update-product/${p.id}" method="POST">
+            <div class="form-group"><label>Name: <input name="productName" value="${he.encode(p.name)}" required></label></div>
+            <div class="form-group"><label>Slug: <input name="slug" value="${he.encode(p.slug)}" required></label> <small>Changing it keeps the old URL working as a redirect.</small></div>
+            <div class="form-group"><label>SKU: <input name="sku" value="${he.encode(p.sku || '')}"></label></div>
+            <div class="form-group"><label>HSN Code: <input name="hsnCode" pattern="\d{4,8}" value="${he.encode(p.hsn_code || '')}"></label></div>
+            <div class="form-group"><label>GST Rate: <select name="gstRate">${getGstRateOptionsHTML(p.gst_rate)}</select></label> <small>Prices include GST.</small></div>
+            <div class="form-group"><label>Price: <input name="price" type="number" step="0.01" value="${p.price}" required></label></div>
+            <div class="form-group"><label>Sale Price: <input name="salePrice" type="number" step="0.01" value="${p.sale_price || ''}"></label></div>
+            <div class="form-group"><label>Stock: <input name="stockQuantity" type="number" value="${p.stock_quantity}" required ${hasActiveVariants ? 'readonly' : ''}></label>${hasActiveVariants ? ' <small>Total of the active pack sizes below.</small>' : ''}</div>
+            <div class="form-group"><label>Shipping Weight (grams): <input name="weightGrams" type="number" min="1" value="${p.weight_grams || ''}"></label> <small>Pack sizes with their own weight use that instead.</small></div>
+            <div class="form-group"><label>Category: <select name="category" required>${categoryOptions}</select></label></div>
+            <div class="form-group"><label>Description: <textarea name="description" required>${he.encode(p.description || '')}</textarea></label></div>
+            <div class="form-group"><label>Primary Image URL: <input name="imageUrl" value="${he.encode(p.image_url || '')}" required></label> <small>A new URL here is added to the gallery as its primary image.</small></div>
+            <div class="form-group"><label><input type="checkbox" name="is_featured" value="true" ${isChecked}> Mark as Featured</label></div>
+            <button type="submit">Update</button>
+        </form>
+        <div class="add-form">
+            <h2>Pack Sizes</h2>
+            ${variantsHtml}
+            <h3>Add Pack Size</h3>
+            <form action="/admin/products/${p.id}/variants" method="POST"><div class="form-group">${variantFields()}</div><button type="submit">Add Pack Size</button></form>
+        </div>
+        <div class="add-form">
+            <h2>Images</h2>
+            ${imagesHtml}
+            <h3>Add Image</h3>
+            <form action="/admin/products/${p.id}/images" method="POST"${PRODUCT_IMAGE_UPLOAD_DIR ? ' enctype="multipart/form-data"' : ''}>
+                <div class="form-group"><label>Image URL: <input name="imageUrl" type="url"></label></div>
+                ${PRODUCT_IMAGE_UPLOAD_DIR ? `<div class="form-group"><label>or upload (JPEG, PNG or WebP, max ${Math.floor(PRODUCT_IMAGE_MAX_BYTES / 1024 / 1024)} MB): <input name="imageFile" type="file" accept="image/jpeg,image/png,image/webp"></label></div>` : ''}
+                <div class="form-group"><label>Alt text: <input name="altText" maxlength="255"></label></div>
+                <div class="form-group"><label><input type="checkbox" name="isPrimary" value="true"> Make primary</label></div>
+                <button type="submit">Add Image</button>
+            </form>
+        </div></div></body></html>`);
+    } catch (err) { res.status(500).send('Error loading edit page.'); }
+});
+
+app.post('/admin/update-product/:id', checkAdminAuth, async (req, res) => {
+    const { id } = req.params;
+    const isFeatured = req.body.is_featured === 'true';
+    const { error, value } = productSchema.validate({ ...req.body, is_featured: isFeatured });
+    if (error) { return res.status(400).send(error.details[0].message); }
+    const product = toProductRecord(value);
+    if (!product.slug) { return res.status(400).send('Please enter a slug for this product.'); }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [id]);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Product not found.');
+        }
+        const conflict = await findProductIdentifierConflict(client, product, Number(id));
+        if (conflict) {
+            await client.query('ROLLBACK');
+            return res.status(409).send(he.encode(conflict));
+        }
+        const updated = await updateProduct(client, rows[0], product);
+        await recordAdminAudit(client, req, { action: 'update', entityType: 'product', entityId: id, before: rows[0], after: updated });
+        await client.query('COMMIT');
+        res.redirect(`/admin/products`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') { return res.status(409).send('That slug or SKU is already used by another product.'); }
+        if (err.code === '23503') { return res.status(400).send('Please choose a valid category.'); }
+        console.error('Error updating product:', err);
+        res.status(500).send('Error updating product.');
+    } finally {
+        client.release();
+    }
+});
+
+
+// Shared by the add and edit pack size forms; returns { error, status } or { variant }.
+function parseVariantForm(body) {
+    const { error, value } = variantSchema.validate({ ...body, isActive: body.isActive === 'true' });
+    if (error) {
+        return { status: 400, error: error.details[0].message };
+    }
+    return {
+        variant: {
+            label: value.label, weightGrams: value.weightGrams || null, sku: value.sku || null,
+            price: value.price, salePrice: value.salePrice || null, stockQuantity: value.stockQuantity,
+            sortOrder: value.sortOrder || 0, isActive: value.isActive
+        }
+    };
+}
+
+app.post('/admin/products/:id/variants', checkAdminAuth, async (req, res) => {
+    const { error, status, variant } = parseVariantForm(req.body);
+    if (error) { return res.status(status).send(he.encode(error)); }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Product not found.');
+        }
+        const conflict = await findVariantSkuConflict(client, variant.sku);
+        if (conflict) {
+            await client.query('ROLLBACK');
+            return res.status(409).send(he.encode(conflict));
+        }
+        const { rows: created } = await client.query(
+            `INSERT INTO product_variants (product_id, label, weight_grams, sku, price, sale_price, stock_quantity, sort_order, is_active)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+            [rows[0].id, variant.label, variant.weightGrams, variant.sku, variant.price, variant.salePrice, variant.stockQuantity, variant.sortOrder, variant.isActive]
+        );
+        await syncProductStock(client, rows[0].id);
+        await recordAdminAudit(client, req, { action: 'create_variant', entityType: 'product', entityId: rows[0].id, after: created[0], fieldPrefix: `variants[${created[0].id}]` });
+        await client.query('COMMIT');
+        res.redirect(`/admin/edit-product/${rows[0].id}`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') { return res.status(409).send('This product already has a pack size with that label, or the SKU is taken.'); }
+        console.error('Error adding product variant:', err);
+        res.status(500).send('Error adding pack size.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/products/:id/variants/:variantId', checkAdminAuth, async (req, res) => {
+    const { error, status, variant } = parseVariantForm(req.body);
+    if (error) { return res.status(status).send(he.encode(error)); }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const conflict = await findVariantSkuConflict(client, variant.sku, Number(req.params.variantId));
+        if (conflict) {
+            await client.query('ROLLBACK');
+            return res.status(409).send(he.encode(conflict));
+        }
+        const { rows: before } = await client.query('SELECT * FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE', [req.params.variantId, req.params.id]);
+        if (before.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Pack size not found.');
+        }
+        const { rows: after } = await client.query(
+            `UPDATE product_variants SET label = $1, weight_grams = $2, sku = $3, price = $4, sale_price = $5, stock_quantity = $6, sort_order = $7, is_active = $8
+             WHERE id = $9 RETURNING *`,
+            [variant.label, variant.weightGrams, variant.sku, variant.price, variant.salePrice, variant.stockQuantity, variant.sortOrder, variant.isActive, req.params.variantId]
+        );
+        await syncProductStock(client, req.params.id);
+        await recordAdminAudit(client, req, {
+            action: 'update_variant', entityType: 'product', entityId: req.params.id, before: before[0], after: after[0], fieldPrefix: `variants[${before[0].id}]`
+        });
+        await client.query('COMMIT');
+        res.redirect(`/admin/edit-product/${req.params.id}`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') { return res.status(409).send('This product already has a pack size with that label, or the SKU is taken.'); }
+        console.error('Error updating product variant:', err);
+        res.status(500).send('Error updating pack size.');
+    } finally {
+        client.release();
+    }
+});
+
+// Past orders keep their snapshot of the pack size, so deleting one is safe.
+app.post('/admin/products/:id/variants/:variantId/delete', checkAdminAuth, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const { rows } = await client.query('DELETE FROM product_variants WHERE id = $1 AND product_id = $2 RETURNING *', [req.params.variantId, req.params.id]);
+        await syncProductStock(client, req.params.id);
+        // The mirrored total belonged to the pack sizes; once the last one is gone the
+        // product starts with no stock of its own until it is entered.
+        if (rows.length > 0) {
+            await client.query(
+                'UPDATE products SET stock_quantity = 0 WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM product_variants WHERE product_id = $1)',
+                [req.params.id]
+            );
+        }
+        if (rows.length > 0) {
+            await recordAdminAudit(client, req, { action: 'delete_variant', entityType: 'product', entityId: req.params.id, before: rows[0], fieldPrefix: `variants[${rows[0].id}]` });
+        }
+        await client.query('COMMIT');
+        res.redirect(`/admin/edit-product/${req.params.id}`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting product variant:', err);
+        res.status(500).send('Error deleting pack size.');
+    } finally {
+        client.release();
+    }
+});
+
+// Keeps one primary image per product while it has any, and mirrors its URL
+// into products.image_url (NULL once the gallery is empty).
+async function syncPrimaryImage(client, productId) {
+    await client.query(
+        `UPDATE product_images SET is_primary = TRUE
+         WHERE id = (SELECT id FROM product_images WHERE product_id = $1 ORDER BY sort_order, id LIMIT 1)
+           AND NOT EXISTS (SELECT 1 FROM product_images WHERE product_id = $1 AND is_primary)`,
+        [productId]
+    );
+    await client.query(
+        'UPDATE products SET image_url = (SELECT url FROM product_images WHERE product_id = $1 AND is_primary LIMIT 1) WHERE id = $1',
+        [productId]
+    );
+}
+
+async function setPrimaryImage(client, productId, imageId) {
+    await client.query('UPDATE product_images SET is_primary = FALSE WHERE product_id = $1 AND is_primary AND id <> $2', [productId, imageId]);
+    await client.query('UPDATE product_images SET is_primary = TRUE WHERE id = $1 AND product_id = $2', [imageId, productId]);
+    await syncPrimaryImage(client, productId);
+}
+
+// A URL entered in the product form becomes the primary image, added to the
+// front of the gallery unless it is already there.
+async function setPrimaryImageUrl(client, productId, url, altText) {
+    const { rows } = await client.query('SELECT id FROM product_images WHERE product_id = $1 AND url = $2 ORDER BY is_primary DESC, id LIMIT 1', [productId, url]);
+    let imageId = rows.length > 0 ? rows[0].id : null;
+    if (!imageId) {
+        const inserted = await client.query(
+            `INSERT INTO product_images (product_id, url, alt_text, sort_order)
+             VALUES ($1, $2, $3, (SELECT COALESCE(MIN(sort_order), 1) - 1 FROM product_images WHERE product_id = $1)) RETURNING id`,
+            [productId, url, altText]
+        );
+        imageId = inserted.rows[0].id;
+    }
+    await setPrimaryImage(client, productId, imageId);
+}
+
+// Checks the file's leading bytes rather than trusting the browser's MIME type.
+function detectImageType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+const productImageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: PRODUCT_IMAGE_MAX_BYTES, files: 1 },
+}).single('imageFile');
+
+const productImageSchema = Joi.object({
+    imageUrl: Joi.string().uri({ scheme: ['http', 'https'] }).allow(''),
+    altText: Joi.string().trim().max(255).allow(''),
+    isPrimary: Joi.boolean()
+});
+
+app.post('/admin/products/:id/images', checkAdminUploadAuth, parseAdminUpload(productImageUpload, (err, res) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).send(`Images must be ${Math.floor(PRODUCT_IMAGE_MAX_BYTES / 1024 / 1024)} MB or smaller.`);
+    }
+    res.status(400).send('The upload could not be read.');
+}), async (req, res) => {
+    const { error, value } = productImageSchema.validate({
+        imageUrl: req.body.imageUrl, altText: req.body.altText, isPrimary: req.body.isPrimary === 'true'
+    });
+    if (error) { return res.status(400).send(he.encode(error.details[0].message)); }
+    if (req.file && !PRODUCT_IMAGE_UPLOAD_DIR) {
+        return res.status(400).send('Local uploads are not enabled. Please use an image URL.');
+    }
+    if (!req.file && !value.imageUrl) {
+        return res.status(400).send('Please enter an image URL or choose a file to upload.');
+    }
+
+    let url = value.imageUrl;
+    let storagePath = null;
+    if (req.file) {
+        const imageType = detectImageType(req.file.buffer);
+        if (!imageType) {
+            return res.status(415).send('Only JPEG, PNG and WebP images can be uploaded.');
+        }
+        const fileName = `${Number(req.params.id)}-${crypto.randomBytes(8).toString('hex')}${PRODUCT_IMAGE_EXTENSIONS[imageType]}`;
+        storagePath = path.join(PRODUCT_IMAGE_UPLOAD_DIR, fileName);
+        const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+        url = `${baseUrl.replace(/\/+$/, '')}/uploads/products/${fileName}`;
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const product = await client.query('SELECT id, name FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (product.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Product not found.');
+        }
+        if (storagePath) {
+            await fs.promises.writeFile(storagePath, req.file.buffer);
+        }
+        const { rows } = await client.query(
+            `INSERT INTO product_images (product_id, url, alt_text, sort_order, storage_path)
+             VALUES ($1, $2, $3, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM product_images WHERE product_id = $1), $4) RETURNING *`,
+            [req.params.id, url, value.altText || product.rows[0].name, storagePath]
+        );
+        if (value.isPrimary) {
+            await setPrimaryImage(client, req.params.id, rows[0].id);
+        } else {
+            await syncPrimaryImage(client, req.params.id);
+        }
+        await recordAdminAudit(client, req, {
+            action: 'add_image', entityType: 'product', entityId: req.params.id,
+            after: { ...rows[0], is_primary: value.isPrimary || rows[0].is_primary }, fieldPrefix: `images[${rows[0].id}]`
+        });
+        await client.query('COMMIT');
+        res.redirect(`/admin/edit-product/${req.params.id}`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (storagePath) {
+            fs.promises.unlink(storagePath).catch(() => {});
+        }
+        console.error('Error adding product image:', err);
+        res.status(500).send('Error adding image.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/products/:id/images/:imageId', checkAdminAuth, async (req, res) => {
+    const { error, value } = productImageSchema.validate({ altText: req.body.altText });
+    if (error) { return res.status(400).send(he.encode(error.details[0].message)); }
+    try {
+        const { rows: before } = await pool.query('SELECT alt_text FROM product_images WHERE id = $1 AND product_id = $2', [req.params.imageId, req.params.id]);
+        const { rows: after } = await pool.query(
+            'UPDATE product_images SET alt_text = $1 WHERE id = $2 AND product_id = $3 RETURNING alt_text',
+            [value.altText || null, req.params.imageId, req.params.id]
+        );
+        if (after.length > 0) {
+            await recordAdminAudit(pool, req, {
+                action: 'update_image', entityType: 'product', entityId: req.params.id, before: before[0], after: after[0], fieldPrefix: `images[${req.params.imageId}]`
+            });
+        }
+        res.redirect(`/admin/edit-product/${req.params.id}`);
+    } catch (err) {
+        console.error('Error updating product image:', err);
+        res.status(500).send('Error updating image.');
+    }
+});
+
+app.post('/admin/products/:id/images/:imageId/primary', checkAdminAuth, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const { rows: before } = await client.query('SELECT image_url FROM products WHERE id = $1', [req.params.id]);
+        await setPrimaryImage(client, req.params.id, req.params.imageId);
+        const { rows: after } = await client.query('SELECT image_url FROM products WHERE id = $1', [req.params.id]);
+        if (before.length > 0) {
+            await recordAdminAudit(client, req, { action: 'set_primary_image', entityType: 'product', entityId: req.params.id, before: before[0], after: after[0] });
+        }
+        await client.query('COMMIT');
+        res.redirect(`/admin/edit-product/${req.params.id}`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error setting primary image:', err);
+        res.status(500).send('Error updating image.');
+    } finally {
+        client.release();
+    }
+});
+
+// Swaps the image with its neighbour and renumbers the gallery from zero.
+app.post('/admin/products/:id/images/:imageId/move', checkAdminAuth, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const { rows } = await client.query('SELECT id FROM product_images WHERE product_id = $1 ORDER BY sort_order, id', [req.params.id]);
+        const ids = rows.map(r => r.id);
+        const index = ids.indexOf(Number(req.params.imageId));
+        const target = req.body.direction === 'up' ? index - 1 : index + 1;
+        if (index !== -1 && target >= 0 && target < ids.length) {
+            [ids[index], ids[target]] = [ids[target], ids[index]];
+            for (const [position, imageId] of ids.entries()) {
+                await client.query('UPDATE product_images SET sort_order = $1 WHERE id = $2', [position, imageId]);
+            }
+            await recordAdminAudit(client, req, {
+                action: 'move_image', entityType: 'product', entityId: req.params.id,
+                changes: { image_order: { from: rows.map(r => r.id), to: ids } }
+            });
+        }
+        await client.query('COMMIT');
+        res.redirect(`/admin/edit-product/${req.params.id}`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error reordering product images:', err);
+        res.status(500).send('Error reordering images.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/products/:id/images/:imageId/delete', checkAdminAuth, async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const { rows } = await client.query('DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING *', [req.params.imageId, req.params.id]);
+        await syncPrimaryImage(client, req.params.id);
+        if (rows.length > 0) {
+            await recordAdminAudit(client, req, { action: 'delete_image', entityType: 'product', entityId: req.params.id, before: rows[0], fieldPrefix: `images[${rows[0].id}]` });
+        }
+        await client.query('COMMIT');
+        // Uploaded files are removed only once the row is gone for good.
+        if (rows.length > 0 && rows[0].storage_path) {
+            fs.promises.unlink(rows[0].storage_path).catch(err => console.error('Error removing image file:', err));
+        }
+        res.redirect(`/admin/edit-product/${req.params.id}`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error deleting product image:', err);
+        res.status(500).send('Error deleting image.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/delete-product/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows: uploads } = await pool.query('SELECT storage_path FROM product_images WHERE product_id = $1 AND storage_path IS NOT NULL', [req.params.id]);
+        const { rows } = await pool.query('DELETE FROM products WHERE id = $1 RETURNING *', [req.params.id]);
+        if (rows.length > 0) {
+            await recordAdminAudit(pool, req, { action: 'delete', entityType: 'product', entityId: req.params.id, before: rows[0] });
+        }
+        for (const { storage_path: storagePath } of uploads) {
+            fs.promises.unlink(storagePath).catch(err => console.error('Error removing image file:', err));
+        }
+        res.redirect(`/admin/products`);
+    } catch (err) { res.status(500).send('Error deleting product.'); }
+});
+
+// --- CSV export and import ---
+// Cells that spreadsheet apps would run as a formula are prefixed with a quote;
+// plain numbers such as "+91 98765 43210" are left alone.
+function toCsvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && isFormulaLikeCell(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const isFormulaLikeCell = (text) => /^[=@\t\r]/.test(text) || /^[+-](?![\d\s.]*$)/.test(text);
+
+// Undoes toCsvCell's quote prefix, so an exported file imports unchanged.
+const fromCsvCell = (text) => (text.startsWith("'") && isFormulaLikeCell(text.slice(1)) ? text.slice(1) : text);
+
+const toCsvRow = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks.
+// Returns an array of rows, each an array of cells; blank lines are dropped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Resolves false if the client went away while we waited for it to catch up.
+function writeCsvChunk(res, chunk) {
+    if (res.destroyed) {
+        return Promise.resolve(false);
+    }
+    if (res.write(chunk)) {
+        return Promise.resolve(true);
+    }
+    return new Promise(resolve => {
+        const finish = (written) => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            resolve(written);
+        };
+        const onDrain = () => finish(true);
+        const onClose = () => finish(false);
+        res.once('drain', onDrain);
+        res.once('close', onClose);
+    });
+}
+
+// Streams a CSV download. fetchBatch(lastRow) returns the next rows after
+// lastRow (null for the first batch) and toCsvRows turns one into CSV rows,
+// so only one batch is held in memory at a time.
+async function streamCsv(res, fileName, headers, fetchBatch, toCsvRows) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    // The byte order mark makes Excel read the file as UTF-8.
+    if (!(await writeCsvChunk(res, `\uFEFF${toCsvRow(headers)}`))) {
+        return;
+    }
+    let lastRow = null;
+    for (;;) {
+        const rows = await fetchBatch(lastRow);
+        if (rows.length === 0) {
+            break;
+        }
+        if (!(await writeCsvChunk(res, rows.map(row => toCsvRows(row).map(toCsvRow).join('')).join('')))) {
+            return;
+        }
+        lastRow = rows[rows.length - 1];
+    }
+    res.end();
+}
+
+const CSV_BATCH_SIZE = 500;
+const formatCsvDateTime = (date) => new Intl.DateTimeFormat('sv-SE', { timeZone: 'Asia/Kolkata', dateStyle: 'short', timeStyle: 'medium' }).format(date);
+
+// The export's columns, which are also the columns the import reads. Each maps
+// a products column to the productSchema field it is validated as.
+const PRODUCT_CSV_COLUMNS = [
+    ['id', null], ['name', 'productName'], ['slug', 'slug'], ['sku', 'sku'], ['category', 'category'],
+    ['price', 'price'], ['sale_price', 'salePrice'], ['stock_quantity', 'stockQuantity'], ['hsn_code', 'hsnCode'],
+    ['gst_rate', 'gstRate'], ['weight_grams', 'weightGrams'], ['is_featured', 'is_featured'], ['image_url', 'imageUrl'],
+    ['description', 'description']
+];
+const PRODUCT_CSV_REQUIRED_COLUMNS = ['name', 'category', 'price', 'stock_quantity', 'image_url', 'description'];
+const PRODUCT_IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const PRODUCT_IMPORT_MAX_ROWS = 2000;
+
+const productImportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: PRODUCT_IMPORT_MAX_BYTES, fieldSize: PRODUCT_IMPORT_MAX_BYTES, files: 1 },
+}).single('csvFile');
+
+app.get('/admin/products/export.csv', checkAdminAuth, async (req, res) => {
+    try {
+        await streamCsv(res, `products-${getIndiaDate()}.csv`, PRODUCT_CSV_COLUMNS.map(([column]) => column),
+            async (lastRow) => (await pool.query(
+                'SELECT * FROM products WHERE id > $1 ORDER BY id LIMIT $2',
+                [lastRow ? lastRow.id : 0, CSV_BATCH_SIZE]
+            )).rows,
+            (product) => [PRODUCT_CSV_COLUMNS.map(([column]) => product[column])]
+        );
+    } catch (err) {
+        console.error('Error exporting products:', err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).send('Error exporting products.');
+    }
+});
+
+// Turns the CSV into one record per row keyed by column name, or { error }.
+function readProductCsv(text) {
+    const [headerRow, ...dataRows] = parseCsv(text);
+    if (!headerRow) {
+        return { error: 'The file is empty.' };
+    }
+    const headers = headerRow.map(h => h.trim().toLowerCase());
+    const known = new Set(PRODUCT_CSV_COLUMNS.map(([column]) => column));
+    const unknown = headers.filter(h => !known.has(h));
+    if (unknown.length > 0) {
+        return { error: `Unknown column(s): ${unknown.join(', ')}.` };
+    }
+    // A file that only updates products may leave out the columns it does not change.
+    const missing = PRODUCT_CSV_REQUIRED_COLUMNS.filter(c => !headers.includes(c));
+    if (missing.length > 0 && !headers.includes('id') && !headers.includes('sku')) {
+        return { error: `Missing column(s): ${missing.join(', ')}.` };
+    }
+    if (dataRows.length === 0) {
+        return { error: 'The file has no product rows.' };
+    }
+    if (dataRows.length > PRODUCT_IMPORT_MAX_ROWS) {
+        return { error: `Import at most ${PRODUCT_IMPORT_MAX_ROWS} products at a time.` };
+    }
+    return { records: dataRows.map(cells => Object.fromEntries(headers.map((h, i) => [h, fromCsvCell(cells[i] || '').trim()]))) };
+}
+
+// Works out what importing each record would do: create a product, update the
+// one with the row's id (or, without an id, its SKU), or nothing. Rows are
+// validated with productSchema, like the product forms. An update only changes
+// the columns the file has; the rest keep the product's current values. Stock
+// of a product with pack sizes follows them, so a new stock_quantity for one is
+// ignored with a note. With `lock`, the products to update stay locked until
+// the caller's transaction ends.
+async function planProductImport(db, records, { lock = false } = {}) {
+    const categories = new Set((await getCategoryList(db)).map(c => c.slug));
+    const ids = records.map(r => Number(r.id)).filter(Number.isInteger);
+    const skus = records.map(r => (r.sku || '').toUpperCase()).filter(Boolean);
+    const { rows: existing } = await db.query(
+        `SELECT * FROM products WHERE id = ANY($1::int[]) OR sku = ANY($2::text[]) ORDER BY id${lock ? ' FOR UPDATE' : ''}`,
+        [ids, skus]
+    );
+    const { rows: variantParents } = await db.query(
+        'SELECT DISTINCT product_id FROM product_variants WHERE product_id = ANY($1::int[])',
+        [existing.map(p => p.id)]
+    );
+    const withVariants = new Set(variantParents.map(v => v.product_id));
+    const byId = new Map(existing.map(p => [p.id, p]));
+    const bySku = new Map(existing.filter(p => p.sku).map(p => [p.sku, p]));
+    const seen = { id: new Set(), slug: new Set(), sku: new Set() };
+    const rows = [];
+    for (const [index, record] of records.entries()) {
+        // Line 1 is the header.
+        const row = { line: index + 2, name: record.name, errors: [], notes: [] };
+        rows.push(row);
+        let target = null;
+        if (record.id) {
+            target = byId.get(Number(record.id));
+            if (!target) {
+                row.errors.push(`There is no product with id ${record.id}.`);
+            }
+        } else if (record.sku) {
+            target = bySku.get(record.sku.toUpperCase()) || null;
+        }
+        const input = target ? toProductSchemaInput(target) : {};
+        for (const [column, field] of PRODUCT_CSV_COLUMNS) {
+            // A blank GST rate keeps the current rate, or the default for new products.
+            if (field && record[column] !== undefined && !(field === 'gstRate' && record[column] === '')) {
+                input[field] = record[column];
+            }
+        }
+        input.is_featured = input.is_featured || false;
+        // A product saved without a description or image may stay that way.
+        const keptBlank = target ? [['description', 'description'], ['image_url', 'imageUrl']]
+            .filter(([column, field]) => !target[column] && input[field] === '') : [];
+        const schema = keptBlank.length > 0 ? productSchema.fork(keptBlank.map(([, field]) => field), s => s.allow('')) : productSchema;
+        const { error, value } = schema.validate(input, { abortEarly: false });
+        if (error) {
+            const columns = new Map(PRODUCT_CSV_COLUMNS.map(([column, field]) => [field, column]));
+            row.errors.push(...error.details.map(d => d.message.replace(`"${d.context.label}"`, columns.get(d.context.key) || d.context.label)));
+            continue;
+        }
+        const product = toProductRecord(value);
+        for (const [column] of keptBlank) {
+            product[column] = target[column];
+        }
+        if (target && withVariants.has(target.id) && product.stock_quantity !== target.stock_quantity) {
+            row.notes.push(`stock_quantity ignored: this product's stock is set on its pack sizes (currently ${target.stock_quantity}).`);
+            product.stock_quantity = target.stock_quantity;
+        }
+        if (!product.slug) {
+            row.errors.push('Please enter a slug for this product.');
+        }
+        if (!categories.has(product.category)) {
+            row.errors.push(`There is no category "${product.category}".`);
+        }
+        for (const [key, value] of [['id', target && target.id], ['slug', product.slug], ['sku', product.sku]]) {
+            if (value && seen[key].has(value)) {
+                row.errors.push(`The ${key} ${value} appears more than once in this file.`);
+            }
+            seen[key].add(value);
+        }
+        if (row.errors.length > 0) {
+            continue;
+        }
+        const conflict = await findProductIdentifierConflict(db, product, target ? target.id : null);
+        if (conflict) {
+            row.errors.push(conflict);
+            continue;
+        }
+        row.product = product;
+        if (target) {
+            // Numeric columns come back from pg as strings.
+            const current = Object.fromEntries(Object.keys(product).map(key => [key, target[key]]));
+            for (const key of ['price', 'sale_price', 'gst_rate']) {
+                current[key] = current[key] === null ? null : Number(current[key]);
+            }
+            row.target = target;
+            row.changes = diffAuditFields(current, product);
+            row.action = Object.keys(row.changes).length > 0 ? 'update' : 'unchanged';
+        } else {
+            row.action = 'create';
+        }
+    }
+    return { rows, errorCount: rows.filter(r => r.errors.length > 0).length };
+}
+
+const getProductImportFormHTML = () => `
+    <form action="/admin/products/import" method="POST" enctype="multipart/form-data">
+        <div class="form-group"><label>CSV file: <input type="file" name="csvFile" accept=".csv,text/csv" required></label></div>
+        <p><small>Use the columns of the <a href="/admin/products/export.csv">product export</a>: ${PRODUCT_CSV_COLUMNS.map(([column]) => column).join(', ')}.
+            Rows with an id, or with the SKU of an existing product, update that product; other rows create new products.
+            New products need: ${PRODUCT_CSV_REQUIRED_COLUMNS.join(', ')}. Updates only change the columns in the file.
+            At most ${PRODUCT_IMPORT_MAX_ROWS} rows.</small></p>
+        <button type="submit">Preview Import</button>
+    </form>`;
+
+app.get('/admin/products/import', checkAdminAuth, (req, res) => {
+    const header = getAdminHeaderHTML('Import Products', req);
+    res.send(`${header}<h1>Import Products</h1>${getProductImportFormHTML()}</div></body></html>`);
+});
+
+// Every upload is a dry run first. The preview carries the file's text so that
+// "Apply" re-plans the same rows inside a transaction and saves them all, or
+// none if anything has become invalid since.
+app.post('/admin/products/import', checkAdminUploadAuth, parseAdminUpload(productImportUpload, (err, res) => {
+    if (err instanceof multer.MulterError && (err.code === 'LIMIT_FILE_SIZE' || err.code === 'LIMIT_FIELD_VALUE')) {
+        return res.status(413).send(`Import files must be ${PRODUCT_IMPORT_MAX_BYTES / 1024 / 1024} MB or smaller.`);
+    }
+    res.status(400).send('The upload could not be read.');
+}), async (req, res) => {
+    const csvText = req.file ? req.file.buffer.toString('utf8') : String(req.body.csv || '');
+    const { error, records } = readProductCsv(csvText);
+    const header = getAdminHeaderHTML('Import Products', req);
+    if (error) {
+        return res.status(400).send(`${header}<h1>Import Products</h1><p style="color:red;">${he.encode(error)}</p>${getProductImportFormHTML()}</div></body></html>`);
+    }
+    const apply = req.body.apply === 'true';
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const plan = await planProductImport(client, records, { lock: apply });
+        const counts = { create: 0, update: 0, unchanged: 0 };
+        plan.rows.filter(r => r.action).forEach(r => { counts[r.action]++; });
+        if (apply && plan.errorCount === 0) {
+            for (const row of plan.rows) {
+                if (row.action === 'create') {
+                    const created = await insertProduct(client, row.product);
+                    await recordAdminAudit(client, req, { action: 'import_create', entityType: 'product', entityId: created.id, after: created });
+                } else if (row.action === 'update') {
+                    const updated = await updateProduct(client, row.target, row.product);
+                    await recordAdminAudit(client, req, { action: 'import_update', entityType: 'product', entityId: row.target.id, before: row.target, after: updated });
+                }
+            }
+            await client.query('COMMIT');
+            console.log(`SUCCESS: Product import by ${req.admin.email}: ${counts.create} created, ${counts.update} updated.`);
+            return res.send(`${header}<h1>Import Complete</h1>
+                <p>${counts.create} products created, ${counts.update} updated, ${counts.unchanged} unchanged.</p>
+                <p><a href="/admin/products">Back to products</a></p></div></body></html>`);
+        }
+        await client.query('ROLLBACK');
+        const rowsHtml = plan.rows.map(r => {
+            const notesHtml = r.notes.length > 0 ? `<ul>${r.notes.map(n => `<li><em>${he.encode(n)}</em></li>`).join('')}</ul>` : '';
+            const detailsHtml = r.errors.length > 0
+                ? `<ul style="color:red;">${r.errors.map(e => `<li>${he.encode(e)}</li>`).join('')}</ul>`
+                : (r.action === 'update'
+                    ? `<ul>${Object.entries(r.changes).map(([field, change]) => `<li><strong>${field}</strong>: ${formatAuditValue(change.from)} &rarr; ${formatAuditValue(change.to)}</li>`).join('')}</ul>`
+                    : '') + notesHtml;
+            const actionText = r.errors.length > 0 ? 'Error' : r.action === 'create' ? 'Create' : `${r.action === 'update' ? 'Update' : 'Unchanged'} #${r.target.id}`;
+            return `<tr><td>${r.line}</td><td>${he.encode(r.name || '')}</td><td>${actionText}</td><td>${detailsHtml}</td></tr>`;
+        }).join('');
+        const summary = `${counts.create} to create, ${counts.update} to update, ${counts.unchanged} unchanged, ${plan.errorCount} with errors.`;
+        const applyHtml = plan.errorCount > 0
+            ? '<p style="color:red;">Fix the rows with errors and upload the file again. Nothing has been saved.</p>'
+            : `<form action="/admin/products/import" method="POST" enctype="multipart/form-data">
+                <input type="hidden" name="apply" value="true">
+                <textarea name="csv" hidden>${he.encode(csvText)}</textarea>
+                <button type="submit" style="width:auto;" ${counts.create + counts.update === 0 ? 'disabled' : ''}>Apply Import</button>
+            </form>`;
+        res.status(plan.errorCount > 0 && apply ? 409 : 200).send(`${header}<h1>Import Preview</h1>
+            <p>${summary}</p>${applyHtml}
+            <table><thead><tr><th>Line</th><th>Name</th><th>Action</th><th>Details</th></tr></thead><tbody>${rowsHtml}</tbody></table>
+            <h2>Upload Another File</h2>${getProductImportFormHTML()}</div></body></html>`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error importing products:', err);
+        res.status(500).send('Error importing products.');
+    } finally {
+        client.release();
+    }
+});
+
+const categorySchema = Joi.object({
+    slug: Joi.string().trim().lowercase().max(100).pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).allow('')
+        .messages({ 'string.pattern.base': 'Slug may only contain lowercase letters, numbers and single hyphens.' }),
+    name: Joi.string().trim().max(255).required(),
+    description: Joi.string().allow(''),
+    imageUrl: Joi.string().uri().allow(''),
+    sortOrder: Joi.number().integer().allow(''),
+    parentId: Joi.number().integer().positive().allow('')
+});
+
+const getCategoryFormFieldsHTML = (category, categories) => {
+    const c = category || {};
+    // A category cannot be moved under itself or one of its own subcategories.
+    const excluded = new Set();
+    if (c.id) {
+        excluded.add(c.id);
+        for (const other of categories) {
+            if (excluded.has(other.parent_id)) excluded.add(other.id);
+        }
+    }
+    const parentOptions = categories
+        .filter(other => !excluded.has(other.id))
+        .map(other => `<option value="${other.id}" ${other.id === c.parent_id ? 'selected' : ''}>${'&nbsp;&nbsp;&nbsp;'.repeat(other.depth)}${he.encode(other.name)}</option>`)
+        .join('');
+    return `
+        <div class="form-group"><label>Name: <input name="name" value="${he.encode(c.name || '')}" required></label></div>
+        <div class="form-group"><label>Slug: <input name="slug" value="${he.encode(c.slug || '')}" placeholder="generated from the name"></label></div>
+        <div class="form-group"><label>Parent: <select name="parentId"><option value="">None (top level)</option>${parentOptions}</select></label></div>
+        <div class="form-group"><label>Description: <textarea name="description">${he.encode(c.description || '')}</textarea></label></div>
+        <div class="form-group"><label>Image URL: <input name="imageUrl" value="${he.encode(c.image_url || '')}"></label></div>
+        <div class="form-group"><label>Sort Order: <input name="sortOrder" type="number" value="${c.sort_order ?? 0}"></label></div>
+    `;
+};
+
+const parseCategoryForm = (body) => {
+    const { error, value } = categorySchema.validate(body);
+    if (error) {
+        return { error: error.details[0].message };
+    }
+    const slug = value.slug || slugify(value.name);
+    if (!slug) {
+        return { error: 'Please enter a slug for this category.' };
+    }
+    return {
+        category: {
+            slug, name: value.name, description: value.description || null, imageUrl: value.imageUrl || null,
+            sortOrder: value.sortOrder || 0, parentId: value.parentId || null
+        }
+    };
+};
+
+app.get('/admin/categories', checkAdminAuth, async (req, res) => {
+    try {
+        const categories = await getCategoryList();
+        const { rows: counts } = await pool.query('SELECT category, COUNT(*)::int AS count FROM products WHERE category IS NOT NULL GROUP BY category');
+        const productCounts = new Map(counts.map(r => [r.category, r.count]));
+        const categoriesHtml = categories.map(c => `<tr>
+            <td>${c.id}</td><td>${'&mdash; '.repeat(c.depth)}${he.encode(c.name)}</td><td>${he.encode(c.slug)}</td>
+            <td>${productCounts.get(c.slug) || 0}</td><td>${c.sort_order}</td>
+            <td>
+                <a href="/admin/edit-category/${c.id}">Edit</a>
+                <form action="/admin/delete-category/${c.id}" method="POST" style="display:inline; margin-left: 5px;"><button type="submit" onclick="return confirm('Are you sure?');">Delete</button></form>
+            </td>
+        </tr>`).join('');
+        const header = getAdminHeaderHTML('Manage Categories', req);
+        res.send(`${header}<h1>Manage Categories</h1>
+        <table><thead><tr><th>ID</th><th>Name</th><th>Slug</th><th>Products</th><th>Sort</th><th>Actions</th></tr></thead><tbody>${categoriesHtml}</tbody></table>
+        <div class="add-form">
+            <h2>Add New Category</h2>
+            <form action="/admin/add-category" method="POST">
+                ${getCategoryFormFieldsHTML(null, categories)}
+                <button type="submit">Add Category</button>
+            </form>
+        </div></div></body></html>`);
+    } catch (err) {
+        console.error('Error loading category management page:', err);
+        res.status(500).send('Error loading category management page.');
+    }
+});
+
+app.post('/admin/add-category', checkAdminAuth, async (req, res) => {
+    const { error, category } = parseCategoryForm(req.body);
+    if (error) { return res.status(400).send(he.encode(error)); }
+    try {
+        const { rows } = await pool.query(
+            'INSERT INTO categories (slug, name, description, image_url, sort_order, parent_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+            [category.slug, category.name, category.description, category.imageUrl, category.sortOrder, category.parentId]
+        );
+        await recordAdminAudit(pool, req, { action: 'create', entityType: 'category', entityId: rows[0].id, after: rows[0] });
+        res.redirect('/admin/categories');
+    } catch (err) {
+        if (err.code === '23505') { return res.status(409).send('A category with this slug already exists.'); }
+        if (err.code === '23503') { return res.status(400).send('The selected parent category does not exist.'); }
+        console.error('Error adding category:', err);
+        res.status(500).send('Error adding category.');
+    }
+});
+
+app.get('/admin/edit-category/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const categories = await getCategoryList();
+        const c = categories.find(other => other.id === Number(req.params.id));
+        if (!c) { return res.status(404).send('Category not found.'); }
+        const header = getAdminHeaderHTML(`Edit Category: ${he.encode(c.name)}`, req);
+        res.send(`${header}<h1>Edit Category: ${he.encode(c.name)}</h1>
+        <form action="/admin/update-category/${c.id}" method="POST">
+            ${getCategoryFormFieldsHTML(c, categories)}
+            <small>Changing the slug moves its products along; storefront links using the old slug will stop matching.</small>
+            <button type="submit">Update</button>
+        </form></div></body></html>`);
+    } catch (err) {
+        console.error('Error loading category edit page:', err);
+        res.status(500).send('Error loading edit page.');
+    }
+});
+
+app.post('/admin/update-category/:id', checkAdminAuth, async (req, res) => {
+    const { error, category } = parseCategoryForm(req.body);
+    if (error) { return res.status(400).send(he.encode(error)); }
+    const id = Number(req.params.id);
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query('SELECT * FROM categories WHERE id = $1 FOR UPDATE', [id]);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Category not found.');
+        }
+        if (category.parentId) {
+            const { rows: loop } = await client.query(
+                `WITH RECURSIVE ancestors AS (
+                    SELECT id, parent_id FROM categories WHERE id = $1
+                    UNION ALL
+                    SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+                ) SELECT 1 FROM ancestors WHERE id = $2`,
+                [category.parentId, id]
+            );
+            if (loop.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).send('A category cannot be placed under itself or one of its subcategories.');
+            }
+        }
+        const { rows: updated } = await client.query(
+            'UPDATE categories SET slug = $1, name = $2, description = $3, image_url = $4, sort_order = $5, parent_id = $6 WHERE id = $7 RETURNING *',
+            [category.slug, category.name, category.description, category.imageUrl, category.sortOrder, category.parentId, id]
+        );
+        await recordAdminAudit(client, req, { action: 'update', entityType: 'category', entityId: id, before: rows[0], after: updated[0] });
+        // products.category follows through its foreign key; coupon rules store plain slugs.
+        if (rows[0].slug !== category.slug) {
+            await client.query(
+                'UPDATE coupons SET applicable_categories = array_replace(applicable_categories, $1, $2) WHERE $1 = ANY(applicable_categories)',
+                [rows[0].slug, category.slug]
+            );
+        }
+        await client.query('COMMIT');
+        res.redirect('/admin/categories');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') { return res.status(409).send('A category with this slug already exists.'); }
+        if (err.code === '23503') { return res.status(400).send('The selected parent category does not exist.'); }
+        console.error('Error updating category:', err);
+        res.status(500).send('Error updating category.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/delete-category/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('DELETE FROM categories WHERE id = $1 RETURNING *', [req.params.id]);
+        if (rows.length > 0) {
+            await recordAdminAudit(pool, req, { action: 'delete', entityType: 'category', entityId: req.params.id, before: rows[0] });
+        }
+        res.redirect('/admin/categories');
+    } catch (err) {
+        // Both products and subcategories hold RESTRICT foreign keys.
+        if (err.code === '23503') { return res.status(409).send('This category still has products or subcategories. Move them first.'); }
+        console.error('Error deleting category:', err);
+        res.status(500).send('Error deleting category.');
+    }
+});
+
+const shippingZoneSchema = Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    sortOrder: Joi.number().integer().allow(''),
+    isDefault: Joi.boolean().default(false),
+    isActive: Joi.boolean().default(false),
+    freeShippingThreshold: Joi.number().min(0).allow(''),
+    codSurcharge: Joi.number().min(0).allow(''),
+    pincodeRanges: Joi.string().allow(''),
+    states: Joi.array().items(Joi.string().valid(...INDIAN_STATES)).single().default([]),
+    slabs: Joi.string().allow('')
+});
+
+// Pincode ranges are entered one per line as "800001-855117" or a single "800001".
+const parsePincodeRanges = (text) => {
+    const ranges = [];
+    for (const entry of text.split(/[\n,]+/).map(e => e.trim()).filter(Boolean)) {
+        const match = /^(\d{6})(?:\s*-\s*(\d{6}))?$/.exec(entry);
+        if (!match) {
+            return { error: `"${entry}" is not a pincode or pincode range.` };
+        }
+        const [from, to = from] = [match[1], match[2]];
+        if (from > to) {
+            return { error: `The range "${entry}" ends before it starts.` };
+        }
+        ranges.push({ from, to });
+    }
+    return { ranges };
+};
+
+// Slabs are entered one per line as "max grams: rate", with "*" for every heavier parcel.
+const parseShippingSlabs = (text) => {
+    const slabs = [];
+    for (const entry of text.split('\n').map(e => e.trim()).filter(Boolean)) {
+        const match = /^(\d+|\*)\s*:\s*(\d+(?:\.\d{1,2})?)$/.exec(entry);
+        if (!match || match[1] === '0') {
+            return { error: `"${entry}" is not a slab. Use "500: 49" or "*: 129".` };
+        }
+        const maxWeightGrams = match[1] === '*' ? null : Number(match[1]);
+        if (slabs.some(s => s.maxWeightGrams === maxWeightGrams)) {
+            return { error: `There are two slabs for ${match[1]} grams.` };
+        }
+        slabs.push({ maxWeightGrams, rate: Number(match[2]) });
+    }
+    if (slabs.length === 0) {
+        return { error: 'Please add at least one weight slab.' };
+    }
+    return { slabs };
+};
+
+const parseShippingZoneForm = (body) => {
+    const { error, value } = shippingZoneSchema.validate({ ...body, isDefault: body.isDefault === 'true', isActive: body.isActive === 'true' });
+    if (error) {
+        return { error: error.details[0].message };
+    }
+    const { error: rangeError, ranges } = parsePincodeRanges(value.pincodeRanges || '');
+    if (rangeError) {
+        return { error: rangeError };
+    }
+    const { error: slabError, slabs } = parseShippingSlabs(value.slabs || '');
+    if (slabError) {
+        return { error: slabError };
+    }
+    return {
+        zone: {
+            name: value.name, sortOrder: value.sortOrder || 0, isDefault: value.isDefault, isActive: value.isActive,
+            freeShippingThreshold: value.freeShippingThreshold === '' || value.freeShippingThreshold === undefined ? null : value.freeShippingThreshold,
+            codSurcharge: value.codSurcharge || 0, ranges, states: value.states, slabs
+        }
+    };
+};
+
+// Zones with their ranges, states and slabs, in matching order.
+async function getShippingZones(db = pool) {
+    const { rows: zones } = await db.query('SELECT * FROM shipping_zones ORDER BY is_default, sort_order, id');
+    const { rows: ranges } = await db.query('SELECT zone_id, pincode_from, pincode_to FROM shipping_zone_pincode_ranges ORDER BY pincode_from');
+    const { rows: states } = await db.query('SELECT zone_id, state FROM shipping_zone_states ORDER BY state');
+    const { rows: slabs } = await db.query('SELECT zone_id, max_weight_grams, rate FROM shipping_rate_slabs ORDER BY max_weight_grams NULLS LAST');
+    return zones.map(zone => ({
+        ...zone,
+        ranges: ranges.filter(r => r.zone_id === zone.id),
+        states: states.filter(s => s.zone_id === zone.id).map(s => s.state),
+        slabs: slabs.filter(s => s.zone_id === zone.id)
+    }));
+}
+
+const formatPincodeRange = (r) => (r.pincode_from === r.pincode_to ? r.pincode_from : `${r.pincode_from}-${r.pincode_to}`);
+const formatShippingSlab = (s) => `${s.max_weight_grams ?? '*'}: ${Number(s.rate)}`;
+
+// A zone and its rules as one flat object, for the audit log.
+async function getShippingZoneSnapshot(db, zoneId) {
+    const zone = (await getShippingZones(db)).find(z => z.id === Number(zoneId));
+    if (!zone) {
+        return null;
+    }
+    const { ranges, slabs, created_at: createdAt, ...fields } = zone;
+    return { ...fields, ranges: ranges.map(formatPincodeRange), slabs: slabs.map(formatShippingSlab) };
+}
+
+const getShippingZoneFormFieldsHTML = (zone) => {
+    const z = zone || { is_active: true, ranges: [], states: [], slabs: [] };
+    const stateOptions = INDIAN_STATES
+        .map(state => `<option value="${he.encode(state)}" ${z.states.includes(state) ? 'selected' : ''}>${he.encode(state)}</option>`).join('');
+    return `
+        <div class="form-group"><label>Name: <input name="name" value="${he.encode(z.name || '')}" required></label></div>
+        <div class="form-group"><label>Sort Order: <input name="sortOrder" type="number" value="${z.sort_order ?? 0}"></label> <small>The first matching zone in sort order is used.</small></div>
+        <div class="form-group"><label>Pincode Ranges: <textarea name="pincodeRanges" rows="4" placeholder="800001-855117">${he.encode(z.ranges.map(formatPincodeRange).join('\n'))}</textarea></label> <small>One per line: a range like 800001-855117 or a single pincode.</small></div>
+        <div class="form-group"><label>States: <select name="states" multiple size="8">${stateOptions}</select></label> <small>Only used when the address names its state.</small></div>
+        <div class="form-group"><label>Weight Slabs: <textarea name="slabs" rows="4" placeholder="500: 49&#10;1000: 79&#10;*: 129" required>${he.encode(z.slabs.map(formatShippingSlab).join('\n'))}</textarea></label> <small>One per line as "up to grams: rate"; "*" covers every heavier parcel.</small></div>
+        <div class="form-group"><label>Free Shipping From (₹): <input name="freeShippingThreshold" type="number" step="0.01" min="0" value="${z.free_shipping_threshold ?? ''}"></label> <small>Leave blank for no free shipping.</small></div>
+        <div class="form-group"><label>COD Surcharge (₹): <input name="codSurcharge" type="number" step="0.01" min="0" value="${z.cod_surcharge ?? 0}"></label></div>
+        <div class="form-group"><label><input type="checkbox" name="isDefault" value="true" ${z.is_default ? 'checked' : ''}> Default zone (used when no other zone matches)</label></div>
+        <div class="form-group"><label><input type="checkbox" name="isActive" value="true" ${z.is_active ? 'checked' : ''}> Active</label></div>
+    `;
+};
+
+// Writes a zone and replaces its ranges, states and slabs. Only one zone can be
+// the default, so marking this one clears the flag elsewhere first.
+async function saveShippingZone(client, zone, zoneId = null) {
+    if (zone.isDefault) {
+        await client.query('UPDATE shipping_zones SET is_default = FALSE WHERE is_default AND id IS DISTINCT FROM $1', [zoneId]);
+    }
+    const values = [zone.name, zone.sortOrder, zone.isDefault, zone.isActive, zone.freeShippingThreshold, zone.codSurcharge];
+    if (zoneId) {
+        const { rowCount } = await client.query(
+            `UPDATE shipping_zones SET name = $1, sort_order = $2, is_default = $3, is_active = $4, free_shipping_threshold = $5, cod_surcharge = $6
+             WHERE id = $7`,
+            [...values, zoneId]
+        );
+        if (rowCount === 0) {
+            return null;
+        }
+        await client.query('DELETE FROM shipping_zone_pincode_ranges WHERE zone_id = $1', [zoneId]);
+        await client.query('DELETE FROM shipping_zone_states WHERE zone_id = $1', [zoneId]);
+        await client.query('DELETE FROM shipping_rate_slabs WHERE zone_id = $1', [zoneId]);
+    } else {
+        const { rows } = await client.query(
+            `INSERT INTO shipping_zones (name, sort_order, is_default, is_active, free_shipping_threshold, cod_surcharge)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+            values
+        );
+        zoneId = rows[0].id;
+    }
+    for (const range of zone.ranges) {
+        await client.query('INSERT INTO shipping_zone_pincode_ranges (zone_id, pincode_from, pincode_to) VALUES ($1, $2, $3)', [zoneId, range.from, range.to]);
+    }
+    for (const state of zone.states) {
+        await client.query('INSERT INTO shipping_zone_states (zone_id, state) VALUES ($1, $2)', [zoneId, state]);
+    }
+    for (const slab of zone.slabs) {
+        await client.query('INSERT INTO shipping_rate_slabs (zone_id, max_weight_grams, rate) VALUES ($1, $2, $3)', [zoneId, slab.maxWeightGrams, slab.rate]);
+    }
+    return zoneId;
+}
+
+app.get('/admin/shipping', checkAdminAuth, async (req, res) => {
+    try {
+        const zones = await getShippingZones();
+        const { rows: pincodes } = await pool.query('SELECT pincode, reason, created_at FROM non_serviceable_pincodes ORDER BY pincode');
+        const defaultWeight = await getSetting('shipping.default_item_weight_grams', 250);
+        const zonesHtml = zones.map(z => `<tr>
+            <td>${he.encode(z.name)}${z.is_default ? ' <strong>(default)</strong>' : ''}${z.is_active ? '' : ' <em>(inactive)</em>'}</td>
+            <td>${he.encode([...z.ranges.map(formatPincodeRange), ...z.states].join(', ') || (z.is_default ? 'Everywhere else' : 'Nothing'))}</td>
+            <td>${z.slabs.map(s => `${s.max_weight_grams ? `up to ${s.max_weight_grams} g` : 'heavier'}: ₹${Number(s.rate).toFixed(2)}`).join('<br>')}</td>
+            <td>${z.free_shipping_threshold === null ? 'Never' : `₹${Number(z.free_shipping_threshold).toFixed(2)}`}</td>
+            <td>₹${Number(z.cod_surcharge).toFixed(2)}</td>
+            <td>${z.sort_order}</td>
+            <td>
+                <a href="/admin/shipping/zones/${z.id}">Edit</a>
+                <form action="/admin/shipping/zones/${z.id}/delete" method="POST" style="display:inline; margin-left: 5px;"><button type="submit" onclick="return confirm('Are you sure?');">Delete</button></form>
+            </td>
+        </tr>`).join('');
+        const pincodesHtml = pincodes.map(p => `<tr>
+            <td>${p.pincode}</td><td>${he.encode(p.reason || '')}</td><td>${new Date(p.created_at).toLocaleDateString()}</td>
+            <td><form action="/admin/shipping/pincodes/${p.pincode}/delete" method="POST"><button type="submit">Remove</button></form></td>
+        </tr>`).join('') || '<tr><td colspan="4">Every pincode is serviceable.</td></tr>';
+        const header = getAdminHeaderHTML('Shipping', req);
+        res.send(`${header}<h1>Shipping Zones</h1>
+        ${zones.some(z => z.is_default && z.is_active) ? '' : '<p style="color:red;">There is no active default zone, so addresses outside every zone cannot be served.</p>'}
+        <table><thead><tr><th>Zone</th><th>Covers</th><th>Rates</th><th>Free From</th><th>COD Surcharge</th><th>Sort</th><th>Actions</th></tr></thead><tbody>${zonesHtml}</tbody></table>
+        <div class="add-form">
+            <h2>Add New Zone</h2>
+            <form action="/admin/shipping/zones" method="POST">
+                ${getShippingZoneFormFieldsHTML(null)}
+                <button type="submit">Add Zone</button>
+            </form>
+        </div>
+        <div class="add-form">
+            <h2>Non-Serviceable Pincodes</h2>
+            <table><thead><tr><th>Pincode</th><th>Reason</th><th>Added</th><th>Actions</th></tr></thead><tbody>${pincodesHtml}</tbody></table>
+            <h3>Add Pincodes</h3>
+            <form action="/admin/shipping/pincodes" method="POST">
+                <div class="form-group"><label>Pincodes: <textarea name="pincodes" rows="3" required></textarea></label> <small>Separate with commas or new lines.</small></div>
+                <div class="form-group"><label>Reason: <input name="reason" maxlength="255"></label></div>
+                <button type="submit">Add Pincodes</button>
+            </form>
+        </div>
+        <div class="add-form">
+            <h2>Settings</h2>
+            <form action="/admin/shipping/settings" method="POST">
+                <div class="form-group"><label>Default Item Weight (grams): <input name="defaultItemWeightGrams" type="number" min="1" value="${defaultWeight}" required></label> <small>Used for products and pack sizes without a weight.</small></div>
+                <button type="submit">Save Settings</button>
+            </form>
+        </div></div></body></html>`);
+    } catch (err) {
+        console.error('Error loading shipping page:', err);
+        res.status(500).send('Error loading shipping page.');
+    }
+});
+
+app.post('/admin/shipping/zones', checkAdminAuth, async (req, res) => {
+    const { error, zone } = parseShippingZoneForm(req.body);
+    if (error) { return res.status(400).send(he.encode(error)); }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const zoneId = await saveShippingZone(client, zone);
+        await recordAdminAudit(client, req, { action: 'create', entityType: 'shipping_zone', entityId: zoneId, after: await getShippingZoneSnapshot(client, zoneId) });
+        await client.query('COMMIT');
+        res.redirect('/admin/shipping');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error adding shipping zone:', err);
+        res.status(500).send('Error adding shipping zone.');
+    } finally {
+        client.release();
+    }
+});
+
+app.get('/admin/shipping/zones/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const zone = (await getShippingZones()).find(z => z.id === Number(req.params.id));
+        if (!zone) { return res.status(404).send('Shipping zone not found.'); }
+        const header = getAdminHeaderHTML(`Edit Zone: ${he.encode(zone.name)}`, req);
+        res.send(`${header}<h1>Edit Zone: ${he.encode(zone.name)}</h1>
+        <form action="/admin/shipping/zones/${zone.id}" method="POST">
+            ${getShippingZoneFormFieldsHTML(zone)}
+            <button type="submit">Update</button>
+        </form></div></body></html>`);
+    } catch (err) {
+        console.error('Error loading shipping zone edit page:', err);
+        res.status(500).send('Error loading edit page.');
+    }
+});
+
+app.post('/admin/shipping/zones/:id', checkAdminAuth, async (req, res) => {
+    // saveShippingZone creates a zone when given no id, so a bad one must stop here.
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) { return res.status(404).send('Shipping zone not found.'); }
+    const { error, zone } = parseShippingZoneForm(req.body);
+    if (error) { return res.status(400).send(he.encode(error)); }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const before = await getShippingZoneSnapshot(client, id);
+        const zoneId = await saveShippingZone(client, zone, id);
+        if (!zoneId) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Shipping zone not found.');
+        }
+        await recordAdminAudit(client, req, { action: 'update', entityType: 'shipping_zone', entityId: zoneId, before, after: await getShippingZoneSnapshot(client, zoneId) });
+        await client.query('COMMIT');
+        res.redirect('/admin/shipping');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error updating shipping zone:', err);
+        res.status(500).send('Error updating shipping zone.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/shipping/zones/:id/delete', checkAdminAuth, async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) { return res.status(404).send('Shipping zone not found.'); }
+    try {
+        const before = await getShippingZoneSnapshot(pool, id);
+        await pool.query('DELETE FROM shipping_zones WHERE id = $1', [id]);
+        if (before) {
+            await recordAdminAudit(pool, req, { action: 'delete', entityType: 'shipping_zone', entityId: id, before });
+        }
+        res.redirect('/admin/shipping');
+    } catch (err) {
+        console.error('Error deleting shipping zone:', err);
+        res.status(500).send('Error deleting shipping zone.');
+    }
+});
+
+app.post('/admin/shipping/pincodes', checkAdminAuth, async (req, res) => {
+    const pincodes = [...new Set(String(req.body.pincodes || '').split(/[\s,]+/).filter(Boolean))];
+    const invalid = pincodes.filter(p => !PINCODE_PATTERN.test(p));
+    if (pincodes.length === 0 || invalid.length > 0) {
+        return res.status(400).send(invalid.length > 0 ? `Not valid pincodes: ${he.encode(invalid.join(', '))}` : 'Please enter at least one pincode.');
+    }
+    const reason = String(req.body.reason || '').trim().slice(0, 255) || null;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            `INSERT INTO non_serviceable_pincodes (pincode, reason) SELECT unnest($1::text[]), $2
+             ON CONFLICT (pincode) DO UPDATE SET reason = EXCLUDED.reason`,
+            [pincodes, reason]
+        );
+        for (const pincode of pincodes) {
+            await recordAdminAudit(client, req, { action: 'mark_non_serviceable', entityType: 'pincode', entityId: pincode, changes: { serviceable: { from: null, to: false }, reason: { from: null, to: reason } } });
+        }
+        await client.query('COMMIT');
+        console.log(`ACTION: Marked ${pincodes.length} pincode(s) as non-serviceable.`);
+        res.redirect('/admin/shipping');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error adding non-serviceable pincodes:', err);
+        res.status(500).send('Error adding pincodes.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/shipping/pincodes/:pincode/delete', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('DELETE FROM non_serviceable_pincodes WHERE pincode = $1 RETURNING reason', [req.params.pincode]);
+        if (rows.length > 0) {
+            await recordAdminAudit(pool, req, { action: 'mark_serviceable', entityType: 'pincode', entityId: req.params.pincode, changes: { serviceable: { from: false, to: true }, reason: { from: rows[0].reason, to: null } } });
+        }
+        res.redirect('/admin/shipping');
+    } catch (err) {
+        console.error('Error removing non-serviceable pincode:', err);
+        res.status(500).send('Error removing pincode.');
+    }
+});
+
+app.post('/admin/shipping/settings', checkAdminAuth, async (req, res) => {
+    const weight = Number(req.body.defaultItemWeightGrams);
+    if (!Number.isInteger(weight) || weight <= 0) {
+        return res.status(400).send('The default item weight must be a whole number of grams.');
+    }
+    try {
+        const before = await getSetting('shipping.default_item_weight_grams', null);
+        await setSetting('shipping.default_item_weight_grams', weight);
+        await recordAdminAudit(pool, req, { action: 'update', entityType: 'setting', entityId: 'shipping.default_item_weight_grams', before: { value: before }, after: { value: weight } });
+        res.redirect('/admin/shipping');
+    } catch (err) {
+        console.error('Error saving shipping settings:', err);
+        res.status(500).send('Error saving shipping settings.');
+    }
+});
+
+app.get('/admin/users', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT email, firebase_uid, phone, created_at, deleted_at FROM users ORDER BY created_at DESC');
+        const usersHtml = rows.map(user => {
+            const status = user.deleted_at ? `<span style="color:red;">Deleted on ${new Date(user.deleted_at).toLocaleDateString()}</span>` : '<span style="color:green;">Active</span>';
+            
+            let actionsHtml = '';
+            if (!user.deleted_at) {
+                actionsHtml += `<form action="/admin/soft-delete-user/${user.firebase_uid}" method="POST" style="display:inline-block; margin-right: 5px;">
+                                    <button type="submit" class="soft-delete-btn" onclick="return confirm('Are you sure you want to soft delete this user? They will be marked as inactive.');">Soft Delete</button>
+                                </form>`;
+            }
+            actionsHtml += `<form action="/admin/permanent-delete-user/${user.firebase_uid}" method="POST" style="display:inline-block;">
+                                <button type="submit" class="permanent-delete-btn" onclick="return confirm('WARNING: This will permanently delete the user from Firebase and your database. This action is irreversible. Are you sure?');">Permanent Delete</button>
+                            </form>`;
+            actionsHtml += ` ${getAuditHistoryLinkHTML(req, 'user', user.firebase_uid)}`;
+
+            return `<tr>
+                        <td>${he.encode(user.email)}</td>
+                        <td>${he.encode(user.phone || 'N/A')}</td>
+                        <td>${status}</td>
+                        <td>${actionsHtml}</td>
+                    </tr>`;
+        }).join('');
+        const header = getAdminHeaderHTML('Manage Users', req);
+        res.send(`${header}<h1>Registered Users</h1>
+                    <table>
+                        <thead><tr><th>Email</th><th>Phone</th><th>Status</th><th>Actions</th></tr></thead>
+                        <tbody>${usersHtml}</tbody>
+                    </table>
+                  </div></body></html>`);
+    } catch (err) {
+        console.error("Error loading users page:", err);
+        res.status(500).send('Error loading users page.');
+    }
+});
+
+app.post('/admin/soft-delete-user/:uid', checkAdminAuth, async (req, res) => {
+    try {
+        const { uid } = req.params;
+        const { rows: before } = await pool.query('SELECT deleted_at FROM users WHERE firebase_uid = $1', [uid]);
+        const { rows: after } = await pool.query('UPDATE users SET deleted_at = NOW() WHERE firebase_uid = $1 RETURNING deleted_at', [uid]);
+        if (after.length > 0) {
+            await recordAdminAudit(pool, req, { action: 'soft_delete', entityType: 'user', entityId: uid, before: before[0], after: after[0] });
+        }
+        console.log(`Admin soft-deleted user ${uid}`);
+        res.redirect('/admin/users');
+    } catch (err) {
+        console.error("Error soft-deleting user:", err);
+        res.status(500).send('Error soft-deleting user.');
+    }
+});
+
+app.post('/admin/permanent-delete-user/:uid', checkAdminAuth, async (req, res) => {
+    try {
+        const { uid } = req.params;
+        await admin.auth().deleteUser(uid);
+        console.log(`Admin permanently deleted user ${uid} from Firebase Auth.`);
+        const { rows } = await pool.query('DELETE FROM users WHERE firebase_uid = $1 RETURNING *', [uid]);
+        await recordAdminAudit(pool, req, { action: 'permanent_delete', entityType: 'user', entityId: uid, before: rows[0] || null, changes: rows.length > 0 ? undefined : { firebase_account: { from: 'exists', to: null } } });
+        console.log(`Admin permanently deleted user ${uid} from database.`);
+        res.redirect('/admin/users');
+    } catch (err) {
+        console.error("Error permanently deleting user:", err);
+        if (err.code === 'auth/user-not-found') {
+            try {
+                const { uid } = req.params;
+                const { rows } = await pool.query('DELETE FROM users WHERE firebase_uid = $1 RETURNING *', [uid]);
+                if (rows.length > 0) {
+                    await recordAdminAudit(pool, req, { action: 'permanent_delete', entityType: 'user', entityId: uid, before: rows[0] });
+                }
+                console.log(`Admin deleted orphaned user ${uid} from database.`);
+                return res.redirect('/admin/users');
+            } catch (dbErr) {
+                 return res.status(500).send('Error permanently deleting user from database.');
+            }
+        }
+        res.status(500).send('Error permanently deleting user.');
+    }
+});
+
+const adminOrderFilterSchema = Joi.object({
+    status: Joi.string().valid(...ORDER_STATUSES).allow(''),
+    paymentMethod: Joi.string().valid('cod', 'prepaid').allow(''),
+    coupon: Joi.string().trim().uppercase().max(255).allow(''),
+    q: Joi.string().trim().max(100).allow(''),
+    from: reportDateSchema.allow(''),
+    to: reportDateSchema.allow(''),
+    page: Joi.number().integer().min(1).default(1)
+});
+
+// Shared by the orders page and the CSV export so a download matches the list.
+// Dates are whole days in India time, both included.
+function buildAdminOrderFilters(filters) {
+    const conditions = [];
+    const params = [];
+    if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`o.status = $${params.length}`);
+    }
+    if (filters.paymentMethod) {
+        params.push(filters.paymentMethod === 'cod');
+        conditions.push(`(LEFT(o.razorpay_payment_id, 4) = 'cod_') = $${params.length}`);
+    }
+    if (filters.from) {
+        params.push(filters.from);
+        conditions.push(`o.created_at >= ($${params.length}::date)::timestamp AT TIME ZONE 'Asia/Kolkata'`);
+    }
+    if (filters.to) {
+        params.push(filters.to);
+        conditions.push(`o.created_at < ($${params.length}::date + 1)::timestamp AT TIME ZONE 'Asia/Kolkata'`);
+    }
+    if (filters.coupon) {
+        params.push(filters.coupon);
+        conditions.push(`o.coupon_used = $${params.length}`);
+    }
+    // Free text matches an order number or invoice number exactly, or part of
+    // the customer's name, phone number or payment id.
+    if (filters.q) {
+        const exact = filters.q.replace(/^#/, '');
+        params.push(exact);
+        const exactParam = `$${params.length}`;
+        params.push(`%${filters.q.replace(/[\\%_]/g, '\\$&')}%`);
+        const partialParam = `$${params.length}`;
+        conditions.push(`(o.id::text = ${exactParam} OR o.invoice_number = ${exactParam} OR o.customer_name ILIKE ${partialParam}
+            OR o.phone_number ILIKE ${partialParam} OR o.razorpay_payment_id ILIKE ${partialParam})`);
+    }
+    return { conditions, params };
+}
+
+const ORDER_CSV_HEADERS = [
+    'order_id', 'invoice_number', 'order_date', 'status', 'payment_method', 'payment_status', 'payment_id',
+    'customer_name', 'phone', 'address', 'state', 'pincode', 'coupon',
+    'line_type', 'item', 'hsn_code', 'quantity', 'unit_price', 'line_total', 'gst_rate', 'taxable_value', 'cgst', 'sgst', 'igst', 'net_line_total',
+    'order_discount', 'order_shipping', 'order_cod_surcharge', 'order_total', 'amount_refunded'
+];
+
+// One row per line item, plus the shipping and COD charges of GST invoices so
+// the tax columns add up to the invoice. The tax columns are after the coupon
+// discount and are blank for orders placed before GST invoices.
+function getOrderCsvRows(order) {
+    const taxLines = new Map(((order.tax_breakdown && order.tax_breakdown.lines) || []).map(l => [l.key, l]));
+    const orderColumns = [
+        order.id, order.invoice_number, formatCsvDateTime(order.created_at), order.status,
+        order.razorpay_payment_id.startsWith('cod_') ? 'cod' : 'prepaid', order.payment_status, order.razorpay_payment_id,
+        order.customer_name, order.phone_number, order.address, order.shipping_state, order.shipping_pincode, order.coupon_used
+    ];
+    const totalColumns = [order.discount_amount, order.shipping_cost, order.cod_surcharge, order.order_amount, order.amount_refunded];
+    const taxColumns = (line) => (line ? [line.rate, line.taxableValue, line.cgst, line.sgst, line.igst, line.total] : ['', '', '', '', '', '']);
+    const rows = Object.entries(order.cart_items || {})
+        .filter(([, item]) => item && typeof item === 'object')
+        .map(([key, item]) => {
+            const lineTotal = item.lineTotal !== undefined ? item.lineTotal : roundCurrency(Number(item.price) * item.quantity);
+            return [...orderColumns, 'item', item.name || key, item.hsnCode, item.quantity, item.price, lineTotal, ...taxColumns(taxLines.get(key)), ...totalColumns];
+        });
+    for (const key of ['shipping', 'cod']) {
+        const line = taxLines.get(key);
+        if (line) {
+            rows.push([...orderColumns, key, line.name, line.hsnCode, 1, line.total, line.total, ...taxColumns(line), ...totalColumns]);
+        }
+    }
+    return rows;
+}
+
+app.get('/admin/orders/export.csv', checkAdminAuth, async (req, res) => {
+    const { error, value: filters } = adminOrderFilterSchema.validate(req.query, { stripUnknown: true });
+    if (error) { return res.status(400).send(he.encode(error.details[0].message)); }
+    const { conditions, params } = buildAdminOrderFilters(filters);
+    try {
+        await streamCsv(res, `orders-${getIndiaDate()}.csv`, ORDER_CSV_HEADERS,
+            async (lastOrder) => {
+                const batchConditions = lastOrder ? [...conditions, `o.id < $${params.length + 1}`] : conditions;
+                const where = batchConditions.length > 0 ? ` WHERE ${batchConditions.join(' AND ')}` : '';
+                const { rows } = await pool.query(
+                    `SELECT o.* FROM orders o${where} ORDER BY o.id DESC LIMIT ${CSV_BATCH_SIZE}`,
+                    lastOrder ? [...params, lastOrder.id] : params
+                );
+                return rows;
+            },
+            getOrderCsvRows
+        );
+    } catch (err) {
+        console.error('Error exporting orders:', err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).send('Error exporting orders.');
+    }
+});
+
+const ADMIN_ORDERS_PAGE_SIZE = 50;
+
+const getPaymentMethodLabel = (order) => (order.razorpay_payment_id.startsWith('cod_') ? 'COD' : 'Prepaid');
+
+const getOrderItemName = (key, item) => item.name || key;
+
+const getDispatchDocumentButtonsHTML = (formId) => [['packing-slips', 'Packing Slips'], ['labels', '4x6 Labels'], ['pick-list', 'Pick List']]
+    .map(([document, label]) => `<button type="submit" form="${formId}" formaction="/admin/orders/dispatch-documents" name="document" value="${document}">${label}</button>`)
+    .join(' ');
+
+app.get('/admin/orders', checkAdminAuth, async (req, res) => {
+    const { error, value: filters } = adminOrderFilterSchema.validate(req.query, { stripUnknown: true });
+    if (error) { return res.status(400).send(he.encode(error.details[0].message)); }
+    try {
+        const { conditions, params } = buildAdminOrderFilters(filters);
+        const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+        const [{ rows }, countResult] = await Promise.all([
+            pool.query(
+                `SELECT o.* FROM orders o${where} ORDER BY o.created_at DESC, o.id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, ADMIN_ORDERS_PAGE_SIZE, (filters.page - 1) * ADMIN_ORDERS_PAGE_SIZE]
+            ),
+            pool.query(`SELECT COUNT(*)::int AS total FROM orders o${where}`, params)
+        ]);
+        const total = countResult.rows[0].total;
+        const totalPages = Math.max(1, Math.ceil(total / ADMIN_ORDERS_PAGE_SIZE));
+        const orderRowsHtml = rows.map(order => {
+            const itemsHtml = Object.entries(order.cart_items || {})
+                .map(([key, item]) => `${he.encode(getOrderItemName(key, item))} x${item.quantity}`).join('<br>');
+            const refundHtml = order.refund_status === 'pending'
+                ? '<br><span style="color:#d9534f; font-weight:bold;">Refund pending</span>'
+                : '';
+            return `<tr>
+                <td><input type="checkbox" name="orderIds" value="${order.id}" form="bulk-orders" style="width:auto;"></td>
+                <td><a href="/admin/orders/${order.id}">#${order.id}</a>${order.invoice_number ? `<br><small>${he.encode(order.invoice_number)}</small>` : ''}</td>
+                <td>${new Date(order.created_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</td>
+                <td>${he.encode(order.customer_name)}<br>${he.encode(order.phone_number)}</td>
+                <td>₹${order.order_amount}${order.coupon_used ? `<br><small>${he.encode(order.coupon_used)}</small>` : ''}</td>
+                <td>${getPaymentMethodLabel(order)}<br><small>${he.encode(order.payment_status || '')}</small></td>
+                <td><strong>${he.encode(order.status)}</strong>${refundHtml}</td>
+                <td>${itemsHtml}</td>
+                <td>${order.status === 'Processing' ? `<input name="tracking[${order.id}]" form="bulk-orders" placeholder="AWB / tracking number">` : ''}</td>
+                <td><a href="/admin/orders/${order.id}">View</a> ${getAuditHistoryLinkHTML(req, 'order', order.id)}</td>
+            </tr>`;
+        }).join('');
+        const header = getAdminHeaderHTML('Manage Orders', req);
+        const filterStatusOptions = ORDER_STATUSES.map(s => `<option value="${s}" ${s === filters.status ? 'selected' : ''}>${s}</option>`).join('');
+        const filterQuery = new URLSearchParams(Object.entries(filters).filter(([key, v]) => v && key !== 'page'));
+        const exportQuery = he.encode(filterQuery.toString());
+        const pageLink = (page) => `/admin/orders?${he.encode(new URLSearchParams([...filterQuery, ['page', page]]).toString())}`;
+        const carrierOptions = Object.keys(CARRIER_TRACKING_URL_TEMPLATES).map(c => `<option value="${he.encode(c)}">`).join('');
+        res.send(`${header}<h1>Orders</h1>
+                    <form action="/admin/orders" method="GET" style="display:flex; gap:1em; align-items:flex-end;">
+                        <label>Search: <input name="q" value="${he.encode(filters.q || '')}" placeholder="Name, phone, order no. or payment ID"></label>
+                        <label>Status: <select name="status"><option value="">All</option>${filterStatusOptions}</select></label>
+                        <label>Payment: <select name="paymentMethod"><option value="">All</option>
+                            <option value="cod" ${filters.paymentMethod === 'cod' ? 'selected' : ''}>COD</option>
+                            <option value="prepaid" ${filters.paymentMethod === 'prepaid' ? 'selected' : ''}>Prepaid</option></select></label>
+                        <label>Coupon: <input name="coupon" value="${he.encode(filters.coupon || '')}"></label>
+                        <label>From: <input name="from" type="date" value="${he.encode(filters.from || '')}"></label>
+                        <label>To: <input name="to" type="date" value="${he.encode(filters.to || '')}"></label>
+                        <button type="submit">Filter</button>
+                    </form>
+                    <p>${total} orders. <a href="/admin/orders/export.csv${exportQuery ? `?${exportQuery}` : ''}">Export these orders as CSV</a> (one row per line item)</p>
+                    <form id="bulk-orders" action="/admin/orders/bulk-status" method="POST" style="display:flex; gap:1em; align-items:flex-end;">
+                        <input type="hidden" name="returnTo" value="${he.encode(filterQuery.toString())}">
+                        <label>Selected orders: <select name="newStatus">${ORDER_STATUSES.map(s => `<option value="${s}">${s}</option>`).join('')}</select></label>
+                        <input name="note" placeholder="Note for customers (optional)">
+                        <input name="carrier" list="carriers" placeholder="Carrier (for Shipped)">
+                        <label>Expected delivery: <input name="expectedDeliveryDate" type="date"></label>
+                        <button type="submit">Update Selected</button>
+                    </form>
+                    <p><small>To mark orders Shipped, enter the carrier above and each order's tracking number in its row. Customers get the usual shipped email.</small></p>
+                    <p>Print for selected orders:
+                        ${getDispatchDocumentButtonsHTML('bulk-orders')}</p>
+                    <datalist id="carriers">${carrierOptions}</datalist>
+                    <table>
+                        <thead><tr><th></th><th>Order</th><th>Date</th><th>Customer</th><th>Amount</th><th>Payment</th><th>Status</th><th>Items</th><th>Tracking No.</th><th>Actions</th></tr></thead>
+                        <tbody>${orderRowsHtml || '<tr><td colspan="10">No orders match these filters.</td></tr>'}</tbody>
+                    </table>
+                    <p>Page ${filters.page} of ${totalPages}
+                        ${filters.page > 1 ? `<a href="${pageLink(filters.page - 1)}">Previous</a>` : ''}
+                        ${filters.page < totalPages ? `<a href="${pageLink(filters.page + 1)}">Next</a>` : ''}</p>
+                  </div></body></html>`);
+    } catch (err) {
+        console.error("Error loading orders page:", err);
+        res.status(500).send('Internal Server Error');
+    }
+});
+
+app.get('/admin/orders/:id(\\d+)', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT * FROM orders WHERE id = $1', [req.params.id]);
+        if (rows.length === 0) { return res.status(404).send('Order not found.'); }
+        const order = rows[0];
+        // Guest and legacy orders have no account, so their history is matched by phone number.
+        const customerCondition = order.user_uid ? 'user_uid = $1' : 'user_uid IS NULL AND phone_number = $1';
+        const [activity, historyResult, customerResult, accountResult] = await Promise.all([
+            getOrderActivityByOrder([order.id]),
+            pool.query('SELECT * FROM order_status_history WHERE order_id = $1 ORDER BY changed_at ASC, id ASC', [order.id]),
+            pool.query(
+                `SELECT id, created_at, order_amount, status, COUNT(*) OVER ()::int AS order_count,
+                    SUM(order_amount) FILTER (WHERE status <> 'Cancelled') OVER () AS lifetime_value,
+                    MIN(created_at) OVER () AS first_order_at
+                 FROM orders WHERE ${customerCondition} ORDER BY created_at DESC LIMIT 20`,
+                [order.user_uid || order.phone_number]
+            ),
+            order.user_uid ? pool.query('SELECT email FROM users WHERE firebase_uid = $1', [order.user_uid]) : { rows: [] }
+        ]);
+        const { returns, refunds, shipments } = activity.get(order.id);
+
+        const taxLines = new Map(((order.tax_breakdown && order.tax_breakdown.lines) || []).map(l => [l.key, l]));
+        const money = (amount) => (amount === null || amount === undefined || amount === '' ? '' : `₹${Number(amount).toFixed(2)}`);
+        let subtotal = 0;
+        const itemRowsHtml = Object.entries(order.cart_items || {}).map(([key, item]) => {
+            const lineTotal = item.lineTotal !== undefined ? Number(item.lineTotal) : Number(item.price) * item.quantity;
+            subtotal += lineTotal || 0;
+            const tax = taxLines.get(key);
+            return `<tr>
+                <td>${he.encode(getOrderItemName(key, item))}${item.productId ? ` <a href="/admin/edit-product/${Number(item.productId)}"><small>product</small></a>` : ''}</td>
+                <td>${he.encode(item.hsnCode || '')}</td><td>${item.quantity}</td><td>${money(item.price)}</td><td>${money(lineTotal)}</td>
+                <td>${tax ? `${tax.rate}%` : ''}</td><td>${tax ? money(tax.taxableValue) : ''}</td><td>${tax ? money(tax.cgst + tax.sgst + tax.igst) : ''}</td>
+            </tr>`;
+        }).join('');
+        const taxTotals = order.tax_breakdown && order.tax_breakdown.totals;
+        const pricingRows = [
+            ['Items subtotal', money(subtotal)],
+            [`Coupon discount${order.coupon_used ? ` (${he.encode(order.coupon_used)})` : ''}`, Number(order.discount_amount) > 0 ? `- ${money(order.discount_amount)}` : ''],
+            ['Shipping', money(order.shipping_cost)],
+            ['Cash on delivery charges', Number(order.cod_surcharge) > 0 ? money(order.cod_surcharge) : ''],
+            ['<strong>Order total</strong>', `<strong>${money(order.order_amount)}</strong>`],
+            ['GST included', taxTotals ? `${money(taxTotals.totalTax)} (${order.tax_type === 'igst' ? `IGST ${money(taxTotals.igst)}` : `CGST ${money(taxTotals.cgst)} + SGST ${money(taxTotals.sgst)}`})` : ''],
+            ['Refunded', Number(order.amount_refunded) > 0 ? money(order.amount_refunded) : '']
+        ].filter(([, value]) => value);
+
+        const nextStatuses = ORDER_STATUS_TRANSITIONS[order.status] || ORDER_STATUSES;
+        const carrierOptions = Object.keys(CARRIER_TRACKING_URL_TEMPLATES).map(c => `<option value="${he.encode(c)}">`).join('');
+        const shipmentFieldsHtml = `
+            <input name="carrier" list="carriers" placeholder="Carrier">
+            <input name="trackingNumber" placeholder="AWB / tracking number">
+            <label>Expected delivery: <input name="expectedDeliveryDate" type="date"></label>`;
+        const statusFormHtml = nextStatuses.length === 0 ? '' : `
+            <form action="/admin/update-order-status/${order.id}" method="POST">
+                <select name="newStatus">${nextStatuses.map(s => `<option value="${s}">${s}</option>`).join('')}</select>
+                <input name="note" placeholder="Note for customer (optional)">
+                ${nextStatuses.includes('Shipped') ? `<small>Required when marking Shipped:</small>${shipmentFieldsHtml}` : ''}
+                <button type="submit">Update Status</button>
+            </form>`;
+        const historyHtml = historyResult.rows.map(h => `<tr>
+            <td>${new Date(h.changed_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</td>
+            <td>${he.encode(h.from_status || '')} &rarr; ${he.encode(h.to_status)}</td><td>${he.encode(h.actor)}</td><td>${he.encode(h.note || '')}</td>
+        </tr>`).join('');
+
+        let shipmentsHtml = shipments.map(s => {
+            const trackingHtml = s.tracking_url
+                ? `<a href="${he.encode(s.tracking_url)}" target="_blank" rel="noopener">${he.encode(s.tracking_number)}</a>`
+                : he.encode(s.tracking_number);
+            const parcelHtml = Object.entries(s.items).map(([key, quantity]) => `${he.encode(getOrderItemName(key, order.cart_items[key] || {}))} x${quantity}`).join(', ');
+            return `<li>${he.encode(s.carrier)}: ${trackingHtml}<br><small>${parcelHtml}</small></li>`;
+        }).join('');
+        shipmentsHtml = shipmentsHtml ? `<ul>${shipmentsHtml}</ul>` : '<p>Not shipped yet.</p>';
+        if (['Processing', 'Shipped'].includes(order.status)) {
+            const quantityInputs = Object.entries(order.cart_items).map(([key, item]) =>
+                `<label>${he.encode(getOrderItemName(key, item))}: <input name="items[${he.encode(key)}]" type="number" min="0" max="${item.quantity}" value="0"></label>`
+            ).join('');
+            shipmentsHtml += `<details><summary>Add split shipment</summary>
+                <form action="/admin/orders/${order.id}/shipments" method="POST">${quantityInputs}${shipmentFieldsHtml}<button type="submit">Add Shipment</button></form>
+            </details>`;
+        }
+        const returnsHtml = returns.map(r => `<li>Return #${r.id} (${he.encode(r.status)}): ${r.items.map(i => `${he.encode(i.name)} x${i.quantity}`).join(', ')} – ${he.encode(r.reason)}</li>`).join('');
+
+        const customer = customerResult.rows[0] || {};
+        const customerOrdersHtml = customerResult.rows.map(o => `<tr>
+            <td>${o.id === order.id ? `#${o.id} (this order)` : `<a href="/admin/orders/${o.id}">#${o.id}</a>`}</td>
+            <td>${new Date(o.created_at).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}</td><td>₹${o.order_amount}</td><td>${he.encode(o.status)}</td>
+        </tr>`).join('');
+        const account = accountResult.rows[0];
+
+        const header = getAdminHeaderHTML(`Order #${order.id}`, req);
+        res.send(`${header}<p><a href="/admin/orders">&larr; All orders</a></p>
+            <h1>Order #${order.id}${order.invoice_number ? ` <small>(${he.encode(order.invoice_number)})</small>` : ''}</h1>
+            <p>Placed ${new Date(order.created_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} &middot;
+                <strong>${he.encode(order.status)}</strong>${order.cancellation_reason ? ` (${he.encode(order.cancellation_reason)})` : ''} &middot;
+                ${getPaymentMethodLabel(order)} ${he.encode(order.payment_status || '')}, ${he.encode(order.razorpay_payment_id)}
+                ${order.refund_status ? ` &middot; Refund ${he.encode(order.refund_status.replace(/_/g, ' '))}` : ''}
+                ${getAuditHistoryLinkHTML(req, 'order', order.id)}</p>
+            <h2>Customer</h2>
+            <p>${he.encode(order.customer_name)}, ${he.encode(order.phone_number)}${account ? `, ${he.encode(account.email)}` : ''}<br>
+                ${he.encode(order.address)}${order.shipping_state ? `<br>${he.encode(order.shipping_state)}` : ''}${order.shipping_pincode ? ` ${he.encode(order.shipping_pincode)}` : ''}</p>
+            <h2>Items</h2>
+            <table><thead><tr><th>Item</th><th>HSN</th><th>Qty</th><th>Unit Price</th><th>Line Total</th><th>GST</th><th>Taxable Value</th><th>Tax</th></tr></thead>
+                <tbody>${itemRowsHtml}</tbody></table>
+            <h2>Pricing</h2>
+            <table>${pricingRows.map(([label, value]) => `<tr><td>${label}</td><td style="text-align:right;">${value}</td></tr>`).join('')}</table>
+            <h2>Status</h2>
+            <datalist id="carriers">${carrierOptions}</datalist>
+            ${statusFormHtml}
+            <table><thead><tr><th>When</th><th>Change</th><th>By</th><th>Note</th></tr></thead><tbody>${historyHtml}</tbody></table>
+            <h2>Shipments</h2>${shipmentsHtml}
+            ${returnsHtml || refunds.length > 0 ? `<h2>Returns and Refunds</h2><ul>${returnsHtml}${getRefundListHTML(refunds)}</ul><p><a href="/admin/returns">Manage returns and refunds</a></p>` : ''}
+            <h2>Customer History</h2>
+            <p>${customer.order_count || 0} orders since ${customer.first_order_at ? new Date(customer.first_order_at).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }) : '-'},
+                ${money(customer.lifetime_value || 0)} spent excluding cancelled orders.
+                ${order.user_uid ? getAuditHistoryLinkHTML(req, 'user', order.user_uid) : ''}</p>
+            <table><thead><tr><th>Order</th><th>Date</th><th>Amount</th><th>Status</th></tr></thead><tbody>${customerOrdersHtml}</tbody></table>
+            <form id="dispatch-documents" action="/admin/orders/dispatch-documents" method="POST">
+                <input type="hidden" name="orderIds" value="${order.id}">
+                Print: ${getDispatchDocumentButtonsHTML('dispatch-documents')}
+            </form>
+            ${order.invoice_number ? '' : `<form action="/admin/delete-order/${order.id}" method="POST" style="margin-top: 2em;">
+                <button type="submit" class="permanent-delete-btn" style="width:auto;" onclick="return confirm('Are you sure you want to permanently delete this order record?');">Delete Order</button>
+            </form>`}
+        </div></body></html>`);
+    } catch (err) {
+        console.error('Error loading order page:', err);
+        res.status(500).send('Error loading order.');
+    }
+});
+
+// Changes one order's status, adding its shipment when it is marked Shipped,
+// in a transaction of its own. Returns { status, error } when the change is
+// not allowed, or { order, shipment } for the caller to send the shipped email
+// once the change is committed.
+async function updateOrderStatusAsAdmin(req, orderId, newStatus, { note, shipmentDetails }) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const orderCheck = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+        if (orderCheck.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return { status: 404, error: 'Order not found.' };
+        }
+        const order = orderCheck.rows[0];
+        let shipment = null;
+        if (newStatus === 'Shipped') {
+            const { error, value } = shipmentSchema.validate(shipmentDetails);
+            if (error) {
+                await client.query('ROLLBACK');
+                return { status: 400, error: `Shipping details are required: ${error.details[0].message}` };
+            }
+            const shipmentResult = await createShipment(client, order, value);
+            if (shipmentResult.error) {
+                await client.query('ROLLBACK');
+                return { status: 400, error: shipmentResult.error };
+            }
+            shipment = shipmentResult.shipment;
+        }
+        const result = await changeOrderStatus(client, order, newStatus, { actor: 'admin', note });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return { status: 400, error: result.error };
+        }
+        const { rows: updated } = await client.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+        await recordAdminAudit(client, req, { action: 'update_status', entityType: 'order', entityId: orderId, before: order, after: updated[0] });
+        if (shipment) {
+            await recordAdminAudit(client, req, { action: 'add_shipment', entityType: 'order', entityId: orderId, after: shipment, fieldPrefix: `shipments[${shipment.id}]` });
+        }
+        await client.query('COMMIT');
+        return { order, shipment };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+app.post('/admin/update-order-status/:id', checkAdminAuth, async (req, res) => {
+    const { id } = req.params;
+    const { newStatus, note } = req.body;
+    try {
+        const result = await updateOrderStatusAsAdmin(req, id, newStatus, { note, shipmentDetails: req.body });
+        if (result.error) {
+            return res.status(result.status).send(he.encode(result.error));
+        }
+        if (result.shipment) {
+            await notifyOrderShipped(result.order, result.shipment);
+        }
+        res.redirect(`/admin/orders/${id}`);
+    } catch (err) {
+        console.error('Error updating order status:', err);
+        res.status(500).send('Error updating order status.');
+    }
+});
+
+const selectedOrderIdsSchema = Joi.array().items(Joi.number().integer().positive()).single().min(1).max(ADMIN_ORDERS_PAGE_SIZE).required()
+    .messages({ 'any.required': 'Please select at least one order.' });
+
+const bulkOrderStatusSchema = Joi.object({
+    orderIds: selectedOrderIdsSchema,
+    newStatus: Joi.string().valid(...ORDER_STATUSES).required(),
+    note: Joi.string().trim().max(1000).allow(''),
+    carrier: Joi.string().trim().max(100).allow(''),
+    expectedDeliveryDate: Joi.string().allow(''),
+    tracking: Joi.object().pattern(/^\d+$/, Joi.string().trim().max(100).allow('')).default({}),
+    returnTo: Joi.string().max(2000).allow('')
+});
+
+// Each order changes in its own transaction, so one that cannot move to the
+// new status (or has no tracking number) does not hold back the rest.
+app.post('/admin/orders/bulk-status', checkAdminAuth, async (req, res) => {
+    const { error, value } = bulkOrderStatusSchema.validate(req.body);
+    if (error) { return res.status(400).send(he.encode(error.details[0].message)); }
+    if (value.newStatus === 'Shipped' && !value.carrier) {
+        return res.status(400).send('Please enter the carrier for the orders being marked Shipped.');
+    }
+    const results = [];
+    for (const orderId of new Set(value.orderIds)) {
+        try {
+            const result = await updateOrderStatusAsAdmin(req, orderId, value.newStatus, {
+                note: value.note,
+                shipmentDetails: { carrier: value.carrier, trackingNumber: value.tracking[orderId] || '', expectedDeliveryDate: value.expectedDeliveryDate }
+            });
+            if (result.shipment) {
+                await notifyOrderShipped(result.order, result.shipment);
+            }
+            results.push({ orderId, error: result.error });
+        } catch (err) {
+            console.error(`Error updating order ${orderId} in bulk:`, err);
+            results.push({ orderId, error: 'An internal error occurred.' });
+        }
+    }
+    const failed = results.filter(r => r.error);
+    console.log(`ACTION: ${req.admin.email} moved ${results.length - failed.length} of ${results.length} orders to ${value.newStatus}.`);
+    const resultsHtml = results.map(r => `<li><a href="/admin/orders/${r.orderId}">#${r.orderId}</a>: ${r.error ? `<span style="color:red;">${he.encode(r.error)}</span>` : 'Updated'}</li>`).join('');
+    const header = getAdminHeaderHTML('Bulk Status Update', req);
+    res.status(failed.length === results.length ? 400 : 200).send(`${header}<h1>Bulk Status Update</h1>
+        <p>${results.length - failed.length} of ${results.length} orders moved to ${he.encode(value.newStatus)}.</p>
+        <ul>${resultsHtml}</ul>
+        <p><a href="/admin/orders?${he.encode(new URLSearchParams(value.returnTo || '').toString())}">Back to orders</a></p></div></body></html>`);
+});
+
+// The order queue posts its whole bulk form here, so other fields are ignored.
+const dispatchDocumentsSchema = Joi.object({
+    orderIds: selectedOrderIdsSchema,
+    document: Joi.string().valid(...Object.keys(DISPATCH_DOCUMENTS)).required()
+});
+
+app.post('/admin/orders/dispatch-documents', checkAdminAuth, async (req, res) => {
+    const { error, value } = dispatchDocumentsSchema.validate(req.body, { stripUnknown: true });
+    if (error) { return res.status(400).send(he.encode(error.details[0].message)); }
+    try {
+        const { rows } = await pool.query('SELECT * FROM orders WHERE id = ANY($1) ORDER BY id', [value.orderIds]);
+        if (rows.length === 0) { return res.status(404).send('None of the selected orders were found.'); }
+        console.log(`INFO: ${req.admin.email} printed ${value.document} for ${rows.length} orders.`);
+        generateDispatchPdf(rows, value.document, (pdfData) => {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${value.document}-${getIndiaDate()}.pdf"`);
+            res.send(pdfData);
+        });
+    } catch (err) {
+        console.error('Error generating dispatch documents:', err);
+        res.status(500).send('Error generating dispatch documents.');
+    }
+});
+
+app.post('/admin/orders/:id/shipments', checkAdminAuth, async (req, res) => {
+    const { error, value } = shipmentSchema.validate(req.body);
+    if (error) { return res.status(400).send(he.encode(error.details[0].message)); }
+    const items = value.items || {};
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Order not found.');
+        }
+        const order = rows[0];
+        if (!['Processing', 'Shipped'].includes(order.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).send('Shipments can only be added to orders that are processing or shipped.');
+        }
+        const shipmentResult = await createShipment(client, order, { ...value, items });
+        if (shipmentResult.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).send(he.encode(shipmentResult.error));
+        }
+        if (order.status === 'Processing') {
+            await changeOrderStatus(client, order, 'Shipped', { actor: 'admin', note: 'Partially shipped' });
+        }
+        const { shipment } = shipmentResult;
+        await recordAdminAudit(client, req, {
+            action: 'add_shipment', entityType: 'order', entityId: order.id,
+            changes: {
+                ...(order.status === 'Processing' && { status: { from: 'Processing', to: 'Shipped' } }),
+                ...prefixAuditChanges(diffAuditFields(null, shipment), `shipments[${shipment.id}]`)
+            }
+        });
+        await client.query('COMMIT');
+
+        await notifyOrderShipped(order, shipmentResult.shipment);
+        res.redirect(`/admin/orders/${order.id}`);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error adding shipment:', err);
+        res.status(500).send('Error adding shipment.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/delete-order/:id', checkAdminAuth, async (req, res) => {
+    const { id } = req.params;
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
+        // An issued tax invoice must stay on record and its number in the series.
+        if (rows.length > 0 && rows[0].invoice_number) {
+            await client.query('ROLLBACK');
+            return res.status(409).send(`Order #${rows[0].id} has tax invoice ${he.encode(rows[0].invoice_number)} and cannot be deleted. Cancel the order instead, or record a refund to issue a credit note.`);
+        }
+        if (rows.length > 0) {
+            await releaseOrderStock(client, rows[0]);
+            await client.query('DELETE FROM orders WHERE id = $1', [id]);
+            await recordAdminAudit(client, req, { action: 'delete', entityType: 'order', entityId: id, before: rows[0] });
+        }
+        await client.query('COMMIT');
+        // A deleted order leaves no updated_at behind for the hourly rollup to find.
+        if (rows.length > 0) {
+            const day = getIndiaDate(rows[0].created_at);
+            refreshSalesRollup(day, day).catch(err => console.error('Error refreshing sales rollup:', err));
+        }
+        console.log(`Admin deleted order ${id}`);
+        res.redirect('/admin/orders');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error("Error deleting order:", err);
+        res.status(500).send('Error deleting order.');
+    } finally {
+        client.release();
+    }
+});
+
+const getRefundFormHTML = (orderId, returnId, suggestedAmount) => `
+    <form action="/admin/orders/${orderId}/refunds" method="POST" style="margin-top: 5px;">
+        ${returnId ? `<input type="hidden" name="returnId" value="${returnId}">` : ''}
+        <input name="amount" type="number" step="0.01" min="0.01" value="${suggestedAmount ? Number(suggestedAmount).toFixed(2) : ''}" placeholder="Amount" required>
+        <select name="method">${REFUND_METHODS.map(m => `<option value="${m}">${m}</option>`).join('')}</select>
+        <input name="reference" placeholder="Reference / transaction ID">
+        <input name="note" placeholder="Note (optional)">
+        <button type="submit">Record Refund</button>
+    </form>`;
+
+const getRefundListHTML = (refunds) => refunds.map(r =>
+    `<li>₹${r.amount} via ${he.encode(r.method)}${r.reference ? ` (${he.encode(r.reference)})` : ''} – <a href="/admin/refunds/${r.id}/credit-note">Credit note</a></li>`
+).join('');
+
+app.get('/admin/returns', checkAdminAuth, async (req, res) => {
+    try {
+        const returnsResult = await pool.query(`
+            SELECT r.*, o.customer_name, o.phone_number, o.order_amount
+            FROM returns r JOIN orders o ON o.id = r.order_id
+            ORDER BY (r.status = 'Requested') DESC, r.created_at DESC
+        `);
+        const awaitingRefundResult = await pool.query(`
+            SELECT id, customer_name, order_amount, refund_status, cancellation_reason, created_at
+            FROM orders WHERE refund_status IN ('pending', 'partially_refunded') ORDER BY created_at ASC
+        `);
+        // Verified payments whose checkout failed; they are refunded from the Razorpay dashboard.
+        const orphanPaymentsResult = await pool.query(`
+            SELECT razorpay_order_id, payment_id, user_uid, amount, refund_reason, refund_required_at
+            FROM razorpay_orders WHERE refund_required_at IS NOT NULL AND order_id IS NULL ORDER BY refund_required_at ASC
+        `);
+        const orderIds = [...new Set([...returnsResult.rows.map(r => r.order_id), ...awaitingRefundResult.rows.map(o => o.id)])];
+        const refundsResult = await pool.query('SELECT * FROM refunds WHERE order_id = ANY($1) ORDER BY created_at ASC', [orderIds]);
+        const refundsByOrder = {};
+        refundsResult.rows.forEach(r => { (refundsByOrder[r.order_id] = refundsByOrder[r.order_id] || []).push(r); });
+
+        const returnsHtml = returnsResult.rows.map(r => {
+            const itemsHtml = '<ul>' + r.items.map(i => `<li>${he.encode(i.name)} (x${i.quantity})</li>`).join('') + '</ul>';
+            const photosHtml = (r.photo_urls || []).map((url, index) => `<a href="${he.encode(url)}" target="_blank" rel="noopener">Photo ${index + 1}</a>`).join(' ');
+            const returnValue = r.items.reduce((sum, i) => sum + i.unitPrice * i.quantity, 0);
+            let actionsHtml = '';
+            if (r.status === 'Requested') {
+                actionsHtml = `
+                    <form action="/admin/returns/${r.id}/approve" method="POST" style="margin-bottom: 5px;">
+                        <input name="note" placeholder="Note for customer (optional)">
+                        <label><input type="checkbox" name="restock" value="true" style="width:auto;"> Put items back into stock</label>
+                        <button type="submit">Approve</button>
+                    </form>
+                    <form action="/admin/returns/${r.id}/reject" method="POST">
+                        <input name="note" placeholder="Reason for rejection" required>
+                        <button type="submit" class="permanent-delete-btn">Reject</button>
+                    </form>`;
+            } else if (r.status === 'Approved') {
+                actionsHtml = getRefundFormHTML(r.order_id, r.id, returnValue);
+            }
+            return `<tr>
+                <td>${r.id}</td>
+                <td>#${r.order_id}<br>${he.encode(r.customer_name)}<br>${he.encode(r.phone_number)}</td>
+                <td>${itemsHtml}</td>
+                <td>${he.encode(r.reason)}${r.comments ? `<br><small>${he.encode(r.comments)}</small>` : ''}<br>${photosHtml}</td>
+                <td><strong>${r.status}</strong>${r.restocked ? '<br><small>Restocked</small>' : ''}${r.resolution_note ? `<br><small>${he.encode(r.resolution_note)}</small>` : ''}</td>
+                <td><ul>${getRefundListHTML(refundsByOrder[r.order_id] || [])}</ul></td>
+                <td>${actionsHtml}</td>
+            </tr>`;
+        }).join('');
+
+        const awaitingRefundHtml = awaitingRefundResult.rows.map(o => `<tr>
+            <td>#${o.id}</td><td>${he.encode(o.customer_name)}</td><td>₹${o.order_amount}</td>
+            <td>${o.refund_status === 'pending' ? 'Refund pending' : 'Partially refunded'}${o.cancellation_reason ? `<br><small>Cancelled: ${he.encode(o.cancellation_reason)}</small>` : ''}</td>
+            <td><ul>${getRefundListHTML(refundsByOrder[o.id] || [])}</ul></td>
+            <td>${getRefundFormHTML(o.id, null, o.refund_status === 'pending' ? o.order_amount : null)}</td>
+        </tr>`).join('');
+
+        const orphanPaymentsHtml = orphanPaymentsResult.rows.map(p => `<tr>
+            <td>${he.encode(p.payment_id)}<br><small>${he.encode(p.razorpay_order_id)}</small></td><td>₹${(p.amount / 100).toFixed(2)}</td>
+            <td>${he.encode(p.refund_reason || '')}</td><td>${new Date(p.refund_required_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</td>
+        </tr>`).join('');
+
+        const header = getAdminHeaderHTML('Returns & Refunds', req);
+        res.send(`${header}<h1>Return Requests</h1>
+            <table>
+                <thead><tr><th>ID</th><th>Order</th><th>Items</th><th>Reason</th><th>Status</th><th>Refunds</th><th>Actions</th></tr></thead>
+                <tbody>${returnsHtml}</tbody>
+            </table>
+            <h2>Orders Awaiting Refund</h2>
+            <table>
+                <thead><tr><th>Order</th><th>Customer</th><th>Amount</th><th>Status</th><th>Refunds</th><th>Record Refund</th></tr></thead>
+                <tbody>${awaitingRefundHtml}</tbody>
+            </table>
+            ${orphanPaymentsHtml ? `<h2>Payments Without an Order</h2>
+            <p>These customers paid but their checkout failed. Refund them from the Razorpay dashboard; they leave this list when Razorpay reports the refund.</p>
+            <table>
+                <thead><tr><th>Payment</th><th>Amount</th><th>Why the checkout failed</th><th>When</th></tr></thead>
+                <tbody>${orphanPaymentsHtml}</tbody>
+            </table>` : ''}
+            </div></body></html>`);
+    } catch (err) {
+        console.error('Error loading returns page:', err);
+        res.status(500).send('Error loading returns page.');
+    }
+});
+
+app.post('/admin/returns/:id/approve', checkAdminAuth, async (req, res) => {
+    const restock = req.body.restock === 'true';
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query("SELECT * FROM returns WHERE id = $1 AND status = 'Requested' FOR UPDATE", [req.params.id]);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Return request not found or already resolved.');
+        }
+        const returnRequest = rows[0];
+        if (restock) {
+            for (const item of returnRequest.items) {
+                await adjustLineStock(client, item, item.quantity);
+            }
+        }
+        const { rows: updated } = await client.query(
+            "UPDATE returns SET status = 'Approved', resolution_note = $1, restocked = $2, resolved_at = NOW() WHERE id = $3 RETURNING *",
+            [req.body.note || null, restock, returnRequest.id]
+        );
+        await recordAdminAudit(client, req, {
+            action: 'approve_return', entityType: 'order', entityId: returnRequest.order_id,
+            before: returnRequest, after: updated[0], fieldPrefix: `returns[${returnRequest.id}]`
+        });
+        await client.query('COMMIT');
+        res.redirect('/admin/returns');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error approving return:', err);
+        res.status(500).send('Error approving return.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/returns/:id/reject', checkAdminAuth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            "UPDATE returns SET status = 'Rejected', resolution_note = $1, resolved_at = NOW() WHERE id = $2 AND status = 'Requested' RETURNING *",
+            [req.body.note || null, req.params.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).send('Return request not found or already resolved.');
+        }
+        const rejected = result.rows[0];
+        await recordAdminAudit(pool, req, {
+            action: 'reject_return', entityType: 'order', entityId: rejected.order_id, fieldPrefix: `returns[${rejected.id}]`,
+            changes: { status: { from: 'Requested', to: 'Rejected' }, resolution_note: { from: null, to: rejected.resolution_note } }
+        });
+        res.redirect('/admin/returns');
+    } catch (err) {
+        console.error('Error rejecting return:', err);
+        res.status(500).send('Error rejecting return.');
+    }
+});
+
+app.post('/admin/orders/:id/refunds', checkAdminAuth, async (req, res) => {
+    const refundSchema = Joi.object({
+        amount: Joi.number().positive().precision(2).required(),
+        method: Joi.string().valid(...REFUND_METHODS).required(),
+        reference: Joi.string().trim().max(255).allow(''),
+        note: Joi.string().max(1000).allow(''),
+        returnId: Joi.number().integer().allow('')
+    });
+    const { error, value } = refundSchema.validate(req.body);
+    if (error) { return res.status(400).send(error.details[0].message); }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Order not found.');
+        }
+        if (value.returnId) {
+            const returnCheck = await client.query('SELECT 1 FROM returns WHERE id = $1 AND order_id = $2', [value.returnId, rows[0].id]);
+            if (returnCheck.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(400).send('That return does not belong to this order.');
+            }
+        }
+        const result = await recordRefund(client, rows[0], { ...value, createdBy: 'admin' });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).send(he.encode(result.error));
+        }
+        const { rows: updated } = await client.query('SELECT * FROM orders WHERE id = $1', [req.params.id]);
+        await recordAdminAudit(client, req, {
+            action: 'refund', entityType: 'order', entityId: req.params.id,
+            changes: { ...diffAuditFields(rows[0], updated[0]), ...prefixAuditChanges(diffAuditFields(null, result.refund), `refunds[${result.refund.id}]`) }
+        });
+        await client.query('COMMIT');
+        res.redirect('/admin/returns');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Error recording refund:', err);
+        res.status(500).send('Error recording refund.');
+    } finally {
+        client.release();
+    }
+});
+
+app.get('/admin/refunds/:id/credit-note', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT * FROM refunds WHERE id = $1', [req.params.id]);
+        if (rows.length === 0) { return res.status(404).send('Refund not found.'); }
+        await sendCreditNotePdf(res, rows[0]);
+    } catch (err) {
+        console.error('Error generating credit note:', err);
+        res.status(500).send('Error generating credit note.');
+    }
+});
+
+const couponSchema = Joi.object({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).max(255).required(),
+    discount_type: Joi.string().valid('percentage', 'fixed').required(),
+    discount_value: Joi.number().positive().when('discount_type', { is: 'percentage', then: Joi.number().max(100) }).required(),
+    starts_on: Joi.date().iso().raw().allow(null),
+    ends_on: Joi.date().iso().raw().min(Joi.ref('starts_on')).allow(null),
+    min_order_amount: Joi.number().min(0).allow(null),
+    max_discount_amount: Joi.number().positive().allow(null),
+    usage_limit: Joi.number().integer().min(1).allow(null),
+    per_user_limit: Joi.number().integer().min(1).allow(null),
+    applicable_categories: Joi.array().items(Joi.string()),
+    applicable_product_ids: Joi.array().items(Joi.number().integer()),
+    first_order_only: Joi.boolean()
+});
+
+// Turns the urlencoded coupon form into the shape couponSchema expects.
+const parseCouponForm = (body) => {
+    const optional = (value) => (value === undefined || value === '' ? null : value);
+    return {
+        code: body.code,
+        discount_type: body.discount_type,
+        discount_value: body.discount_value,
+        starts_on: optional(body.starts_on),
+        ends_on: optional(body.ends_on),
+        min_order_amount: optional(body.min_order_amount),
+        max_discount_amount: optional(body.max_discount_amount),
+        usage_limit: optional(body.usage_limit),
+        per_user_limit: optional(body.per_user_limit),
+        applicable_categories: [].concat(body.applicable_categories || []),
+        applicable_product_ids: [].concat(body.applicable_product_ids || []),
+        first_order_only: body.first_order_only === 'true'
+    };
+};
+
+// node-postgres returns DATE columns as local midnight, so format with local getters.
+const toDateInputValue = (date) => {
+    if (!date) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Redemptions are counted by code, so a redeemed coupon's code is shown read-only.
+const getCouponFormFieldsHTML = (coupon, categories, products, codeLocked = false) => {
+    const c = coupon || {};
+    const selectedCategories = c.applicable_categories || [];
+    const selectedProducts = c.applicable_product_ids || [];
+    const categoryOptions = categories.map(cat => `<option value="${he.encode(cat.slug)}" ${selectedCategories.includes(cat.slug) ? 'selected' : ''}>${'&nbsp;&nbsp;&nbsp;'.repeat(cat.depth)}${he.encode(cat.name)}</option>`).join('');
+    const productOptions = products.map(p => `<option value="${p.id}" ${selectedProducts.includes(p.id) ? 'selected' : ''}>${he.encode(p.name)}</option>`).join('');
+    return `
+        <div class="form-group"><label>Coupon Code: <input name="code" value="${he.encode(c.code || '')}" required ${codeLocked ? 'readonly' : ''}></label>
+            ${codeLocked ? '<small>This coupon has been redeemed, so its code cannot change.</small>' : ''}</div>
+        <div class="form-group">
+            <label>Discount Type: 
+                <select name="discount_type">
+                    <option value="percentage" ${c.discount_type === 'percentage' ? 'selected' : ''}>Percentage</option>
+                    <option value="fixed" ${c.discount_type === 'fixed' ? 'selected' : ''}>Fixed Amount</option>
+                </select>
+            </label>
+        </div>
+        <div class="form-group"><label>Discount Value: <input name="discount_value" type="number" step="0.01" value="${c.discount_value || ''}" required></label></div>
+        <div class="form-group"><label>Max Discount (percentage coupons): <input name="max_discount_amount" type="number" step="0.01" value="${c.max_discount_amount || ''}"></label></div>
+        <div class="form-group"><label>Minimum Order Subtotal: <input name="min_order_amount" type="number" step="0.01" value="${c.min_order_amount || ''}"></label></div>
+        <div class="form-group"><label>Valid From: <input name="starts_on" type="date" value="${toDateInputValue(c.starts_on)}"></label></div>
+        <div class="form-group"><label>Valid Until: <input name="ends_on" type="date" value="${toDateInputValue(c.ends_on)}"></label></div>
+        <div class="form-group"><label>Total Usage Limit: <input name="usage_limit" type="number" min="1" value="${c.usage_limit || ''}"></label></div>
+        <div class="form-group"><label>Usage Limit Per Customer: <input name="per_user_limit" type="number" min="1" value="${c.per_user_limit || ''}"></label></div>
+        <div class="form-group"><label>Only For Categories (leave empty for all): <select name="applicable_categories" multiple>${categoryOptions}</select></label></div>
+        <div class="form-group"><label>Only For Products (leave empty for all): <select name="applicable_product_ids" multiple>${productOptions}</select></label></div>
+        <div class="form-group"><label><input type="checkbox" name="first_order_only" value="true" ${c.first_order_only ? 'checked' : ''}> First order only</label></div>
+    `;
+};
+
+const getCouponFormOptions = async () => {
+    const [categories, productResult] = await Promise.all([
+        getCategoryList(),
+        pool.query('SELECT id, name FROM products ORDER BY name')
+    ]);
+    return { categories, products: productResult.rows };
+};
+
+const describeCouponRules = (c) => {
+    const rules = [];
+    if (c.min_order_amount !== null) rules.push(`Min order ₹${c.min_order_amount}`);
+    if (c.max_discount_amount !== null) rules.push(`Max discount ₹${c.max_discount_amount}`);
+    if (c.per_user_limit !== null) rules.push(`${c.per_user_limit} per customer`);
+    if (c.first_order_only) rules.push('First order only');
+    if ((c.applicable_categories || []).length > 0) rules.push(`Categories: ${c.applicable_categories.join(', ')}`);
+    if ((c.applicable_product_ids || []).length > 0) rules.push(`${c.applicable_product_ids.length} product(s) only`);
+    return rules.length > 0 ? he.encode(rules.join('; ')) : 'None';
+};
+
+app.get('/admin/coupons', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query(`
+            SELECT c.*, (SELECT COUNT(*) FROM orders o WHERE o.coupon_used = c.code AND o.${REDEEMED_ORDER_CONDITION})::int AS redemptions
+            FROM coupons c ORDER BY c.created_at DESC
+        `);
+        const { categories, products } = await getCouponFormOptions();
+        const couponsHtml = rows.map(c => `<tr>
+            <td>${c.id}</td><td>${he.encode(c.code)}</td><td>${c.discount_type}</td>
+            <td>${c.discount_value}</td><td>${describeCouponRules(c)}</td>
+            <td>${toDateInputValue(c.starts_on) || 'Any time'} – ${toDateInputValue(c.ends_on) || 'No expiry'}</td>
+            <td>${c.redemptions}${c.usage_limit !== null ? ` / ${c.usage_limit}` : ''}</td>
+            <td>${c.is_active ? 'Yes' : 'No'}</td>
+            <td>
+                <a href="/admin/edit-coupon/${c.id}">Edit</a>
+                <form action="/admin/toggle-coupon/${c.id}" method="POST" style="display:inline; margin-left: 5px;"><button type="submit">${c.is_active ? 'Deactivate' : 'Activate'}</button></form>
+                <form action="/admin/delete-coupon/${c.id}" method="POST" style="display:inline; margin-left: 5px;"><button type="submit" onclick="return confirm('Are you sure?');">Delete</button></form>
+            </td>
+        </tr>`).join('');
+        
+        const header = getAdminHeaderHTML('Manage Coupons', req);
+        res.send(`
+            ${header}<h1>Manage Coupons</h1>
+            <table><thead><tr><th>ID</th><th>Code</th><th>Type</th><th>Value</th><th>Rules</th><th>Valid</th><th>Redeemed</th><th>Active?</th><th>Actions</th></tr></thead>
+            <tbody>${couponsHtml}</tbody></table>
+            <div class="add-form">
+                <h2>Add New Coupon</h2>
+                <form action="/admin/add-coupon" method="POST">
+                    ${getCouponFormFieldsHTML(null, categories, products)}
+                    <button type="submit">Add Coupon</button>
+                </form>
+            </div>
+            </div></body></html>
+        `);
+    } catch (err) {
+        console.error('Error loading coupon management page:', err);
+        res.status(500).send('Error loading coupon management page.');
+    }
+});
+
+app.post('/admin/add-coupon', checkAdminAuth, async (req, res) => {
+    const { error, value } = couponSchema.validate(parseCouponForm(req.body));
+    if (error) { return res.status(400).send(error.details[0].message); }
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO coupons(code, discount_type, discount_value, starts_on, ends_on, min_order_amount, max_discount_amount,
+                usage_limit, per_user_limit, applicable_categories, applicable_product_ids, first_order_only)
+             VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+            [value.code, value.discount_type, value.discount_value, value.starts_on, value.ends_on, value.min_order_amount, value.max_discount_amount,
+             value.usage_limit, value.per_user_limit, value.applicable_categories, value.applicable_product_ids, value.first_order_only]
+        );
+        await recordAdminAudit(pool, req, { action: 'create', entityType: 'coupon', entityId: rows[0].id, after: rows[0] });
+        res.redirect('/admin/coupons');
+    } catch (err) {
+        if (err.code === '23505') { return res.status(409).send('A coupon with this code already exists.'); }
+        res.status(500).send('Error adding coupon.');
+    }
+});
+
+app.get('/admin/edit-coupon/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT * FROM coupons WHERE id = $1', [req.params.id]);
+        if (rows.length === 0) { return res.status(404).send('Coupon not found.'); }
+        const c = rows[0];
+        const { categories, products } = await getCouponFormOptions();
+        const redeemed = await pool.query('SELECT 1 FROM orders WHERE coupon_used = $1 LIMIT 1', [c.code]);
+        const header = getAdminHeaderHTML(`Edit Coupon: ${he.encode(c.code)}`, req);
+        res.send(`${header}<h1>Edit Coupon: ${he.encode(c.code)}</h1>
+        <form action="/admin/update-coupon/${c.id}" method="POST">
+            ${getCouponFormFieldsHTML(c, categories, products, redeemed.rows.length > 0)}
+            <button type="submit">Update</button>
+        </form></div></body></html>`);
+    } catch (err) { res.status(500).send('Error loading edit page.'); }
+});
+
+app.post('/admin/update-coupon/:id', checkAdminAuth, async (req, res) => {
+    const { error, value } = couponSchema.validate(parseCouponForm(req.body));
+    if (error) { return res.status(400).send(error.details[0].message); }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Checkout locks the coupon row too, so no redemption can land during a rename.
+        const { rows: before } = await client.query('SELECT * FROM coupons WHERE id = $1 FOR UPDATE', [req.params.id]);
+        if (before.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).send('Coupon not found.');
+        }
+        // Usage limits and the Redeemed count go by orders.coupon_used, so a
+        // redeemed coupon keeps its code.
+        if (value.code !== before[0].code) {
+            const redeemed = await client.query('SELECT 1 FROM orders WHERE coupon_used = $1 LIMIT 1', [before[0].code]);
+            if (redeemed.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).send('This coupon has been redeemed, so its code cannot change. Create a new coupon instead.');
+            }
+        }
+        const { rows: after } = await client.query(
+            `UPDATE coupons SET code = $1, discount_type = $2, discount_value = $3, starts_on = $4, ends_on = $5, min_order_amount = $6,
+                max_discount_amount = $7, usage_limit = $8, per_user_limit = $9, applicable_categories = $10, applicable_product_ids = $11,
+                first_order_only = $12
+             WHERE id = $13 RETURNING *`,
+            [value.code, value.discount_type, value.discount_value, value.starts_on, value.ends_on, value.min_order_amount,
+             value.max_discount_amount, value.usage_limit, value.per_user_limit, value.applicable_categories, value.applicable_product_ids,
+             value.first_order_only, req.params.id]
+        );
+        await recordAdminAudit(client, req, { action: 'update', entityType: 'coupon', entityId: req.params.id, before: before[0], after: after[0] });
+        await client.query('COMMIT');
+        res.redirect('/admin/coupons');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') { return res.status(409).send('A coupon with this code already exists.'); }
+        res.status(500).send('Error updating coupon.');
+    } finally {
+        client.release();
+    }
+});
+
+app.post('/admin/toggle-coupon/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('UPDATE coupons SET is_active = NOT is_active WHERE id = $1 RETURNING is_active', [req.params.id]);
+        if (rows.length > 0) {
+            await recordAdminAudit(pool, req, {
+                action: 'toggle_active', entityType: 'coupon', entityId: req.params.id,
+                changes: { is_active: { from: !rows[0].is_active, to: rows[0].is_active } }
+            });
+        }
+        res.redirect('/admin/coupons');
+    } catch (err) {
+        res.status(500).send('Error updating coupon.');
+    }
+});
+
+app.post('/admin/delete-coupon/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('DELETE FROM coupons WHERE id = $1 RETURNING *', [req.params.id]);
+        if (rows.length > 0) {
+            await recordAdminAudit(pool, req, { action: 'delete', entityType: 'coupon', entityId: req.params.id, before: rows[0] });
+        }
+        res.redirect('/admin/coupons');
+    } catch (err) {
+        res.status(500).send('Error deleting coupon.');
+    }
+});
+
+app.get('/admin/searches', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('SELECT * FROM zero_result_searches ORDER BY search_count DESC, last_searched_at DESC LIMIT 200');
+        const searchesHtml = rows.map(s => `<tr>
+            <td>${he.encode(s.query)}</td><td>${s.search_count}</td>
+            <td>${new Date(s.first_searched_at).toLocaleString()}</td>
+            <td>${new Date(s.last_searched_at).toLocaleString()}</td>
+        </tr>`).join('');
+        const header = getAdminHeaderHTML('Searches With No Results', req);
+        res.send(`${header}<h1>Searches With No Results</h1>
+        <p>What customers searched for on the storefront without finding a product, most frequent first.</p>
+        <table><thead><tr><th>Search</th><th>Times</th><th>First Seen</th><th>Last Seen</th></tr></thead><tbody>${searchesHtml}</tbody></table>
+        <form action="/admin/searches/clear" method="POST" style="margin-top: 1em;"><button type="submit" onclick="return confirm('Clear the list?');">Clear List</button></form>
+        </div></body></html>`);
+    } catch (err) {
+        console.error('Error loading search report:', err);
+        res.status(500).send('Error loading search report.');
+    }
+});
+
+app.post('/admin/searches/clear', checkAdminAuth, async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM zero_result_searches');
+        await recordAdminAudit(pool, req, { action: 'clear_zero_result_searches', entityType: 'search', changes: { entries: { from: result.rowCount, to: 0 } } });
+        res.redirect('/admin/searches');
+    } catch (err) {
+        res.status(500).send('Error clearing search report.');
+    }
+});
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+app.get('/admin/reviews', checkAdminAuth, async (req, res) => {
+    try {
+        const status = REVIEW_STATUSES.includes(req.query.status) ? req.query.status : null;
+        const [{ rows }, countResult, requireApproval] = await Promise.all([
+            pool.query(
+                `SELECT r.id, COALESCE(p.name, r.product_name) AS product_name, r.rating, r.review_text, r.reviewer_name, r.user_uid, r.moderation_status, r.helpful_count, u.email
+                 FROM reviews r JOIN users u ON r.user_uid = u.firebase_uid LEFT JOIN products p ON p.id = r.product_id
+                 WHERE $1::text IS NULL OR r.moderation_status = $1
+                 ORDER BY r.created_at DESC`,
+                [status]
+            ),
+            pool.query('SELECT moderation_status, COUNT(*)::int AS count FROM reviews GROUP BY moderation_status'),
+            getSetting('reviews.require_approval', false)
+        ]);
+        const counts = Object.fromEntries(countResult.rows.map(r => [r.moderation_status, r.count]));
+        const returnQuery = status ? `?status=${status}` : '';
+        const filterLinks = [null, ...REVIEW_STATUSES].map(s => {
+            const label = s ? `${s.charAt(0).toUpperCase()}${s.slice(1)} (${counts[s] || 0})` : 'All';
+            return s === status ? `<strong>${label}</strong>` : `<a href="/admin/reviews${s ? `?status=${s}` : ''}">${label}</a>`;
+        }).join(' | ');
+        const reviewsHtml = rows.map(r => `<tr>
+            <td>${r.id}</td><td>${he.encode(r.product_name)}</td>
+            <td>${he.encode(r.reviewer_name)}<br>(${he.encode(r.email)})</td>
+            <td>${'⭐'.repeat(r.rating)}</td><td>${he.encode(r.review_text || '')}</td>
+            <td>${r.moderation_status}<br><small>${r.helpful_count} found helpful</small></td>
+            <td>
+                ${r.moderation_status !== 'approved' ? `<form action="/admin/reviews/${r.id}/approve${returnQuery}" method="POST" style="display:inline-block; margin-bottom: 5px;"><button type="submit">Approve</button></form>` : ''}
+                ${r.moderation_status !== 'rejected' ? `<form action="/admin/reviews/${r.id}/reject${returnQuery}" method="POST" style="display:inline-block; margin-bottom: 5px;"><button type="submit">Reject</button></form>` : ''}
+                <form action="/admin/delete-review/${r.id}" method="POST" style="display:inline-block; margin-bottom: 5px;"><button type="submit" onclick="return confirm('Delete review?');">Delete Review</button></form>
+                <form action="/admin/block-user/${r.user_uid}" method="POST" style="display:inline-block;"><button type="submit" onclick="return confirm('Block this user from leaving reviews?');">Block User</button></form>
+            </td>
+        </tr>`).join('');
+
+        const header = getAdminHeaderHTML('Manage Reviews', req);
+        res.send(`
+            ${header}<h1>Manage Reviews</h1>
+            <form action="/admin/reviews/settings" method="POST" class="add-form" style="margin-top: 0;">
+                <label><input type="checkbox" name="requireApproval" value="true" ${requireApproval ? 'checked' : ''} style="width: auto;"> Hold new reviews for approval before they appear on the storefront</label>
+                <button type="submit" style="width: auto;">Save</button>
+            </form>
+            <p>${filterLinks}</p>
+            <table><thead><tr><th>ID</th><th>Product</th><th>Reviewer</th><th>Rating</th><th>Review Text</th><th>Status</th><th>Actions</th></tr></thead>
+            <tbody>${reviewsHtml}</tbody></table>
+            </div></body></html>
+        `);
+    } catch (err) {
+        res.status(500).send('Error loading reviews management page.');
+    }
+});
+
+app.post('/admin/reviews/settings', checkAdminAuth, async (req, res) => {
+    try {
+        const before = await getSetting('reviews.require_approval', null);
+        const requireApproval = req.body.requireApproval === 'true';
+        await setSetting('reviews.require_approval', requireApproval);
+        await recordAdminAudit(pool, req, { action: 'update', entityType: 'setting', entityId: 'reviews.require_approval', before: { value: before }, after: { value: requireApproval } });
+        res.redirect('/admin/reviews');
+    } catch (err) {
+        console.error('Error saving review settings:', err);
+        res.status(500).send('Error saving review settings.');
+    }
+});
+
+app.post('/admin/reviews/:id(\\d+)/:action(approve|reject)', checkAdminAuth, async (req, res) => {
+    const status = req.params.action === 'approve' ? 'approved' : 'rejected';
+    try {
+        const { rows } = await pool.query(
+            `UPDATE reviews SET moderation_status = $1, moderated_at = NOW()
+             FROM (SELECT id, moderation_status FROM reviews WHERE id = $2) AS previous
+             WHERE reviews.id = previous.id RETURNING previous.moderation_status AS previous_status`,
+            [status, req.params.id]
+        );
+        if (rows.length === 0) {
+            return res.status(404).send('Review not found.');
+        }
+        await recordAdminAudit(pool, req, {
+            action: req.params.action, entityType: 'review', entityId: req.params.id,
+            changes: { moderation_status: { from: rows[0].previous_status, to: status } }
+        });
+        // Back to the list the action was taken from.
+        res.redirect(REVIEW_STATUSES.includes(req.query.status) ? `/admin/reviews?status=${req.query.status}` : '/admin/reviews');
+    } catch (err) {
+        console.error('Error moderating review:', err);
+        res.status(500).send('Error updating review.');
+    }
+});
+
+app.post('/admin/delete-review/:id', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query('DELETE FROM reviews WHERE id = $1 RETURNING *', [req.params.id]);
+        if (rows.length > 0) {
+            await recordAdminAudit(pool, req, { action: 'delete', entityType: 'review', entityId: req.params.id, before: rows[0] });
+        }
+        res.redirect('/admin/reviews');
+    } catch (err) {
+        res.status(500).send('Error deleting review.');
+    }
+});
+
+app.post('/admin/block-user/:uid', checkAdminAuth, async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            'UPDATE users SET is_blocked_from_reviewing = TRUE WHERE firebase_uid = $1 AND is_blocked_from_reviewing IS NOT TRUE RETURNING firebase_uid',
+            [req.params.uid]
+        );
+        if (rows.length > 0) {
+            await recordAdminAudit(pool, req, {
+                action: 'block_from_reviewing', entityType: 'user', entityId: req.params.uid,
+                changes: { is_blocked_from_reviewing: { from: false, to: true } }
+            });
+        }
+        res.redirect('/admin/reviews');
+    } catch (err) {
+        res.status(500).send('Error blocking user.');
+    }
+});
+
+
+app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).send('Something broke!');
+});
+
+// A new install has no admin accounts; ADMIN_EMAIL and ADMIN_PASSWORD create
+// the first owner, who can add everyone else from /admin/admins.
+async function ensureFirstAdminUser() {
+    const { rows } = await pool.query('SELECT 1 FROM admin_users LIMIT 1');
+    if (rows.length > 0) {
+        return;
+    }
+    const email = String(process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+    const password = process.env.ADMIN_PASSWORD || '';
+    if (!email || password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+        console.log(`INFO: No admin accounts exist. Set ADMIN_EMAIL and an ADMIN_PASSWORD of at least ${ADMIN_PASSWORD_MIN_LENGTH} characters to create the first owner.`);
+        return;
+    }
+    await pool.query(
+        "INSERT INTO admin_users (email, name, role, password_hash) VALUES ($1, 'Owner', 'owner', $2) ON CONFLICT (email) DO NOTHING",
+        [email, await hashAdminPassword(password)]
+    );
+    console.log(`SUCCESS: Created owner admin account ${email}.`);
+}
+
+// The schema is managed by migrations (npm run migrate); refuse to serve
+// requests against a database that is behind the code.
+async function startServer() {
+    const pending = await getPendingMigrations(pool);
+    if (pending.length > 0) {
+        console.error(`ERROR: ${pending.length} pending database migration(s): ${pending.map(m => m.name).join(', ')}. Run "npm run migrate" and start the server again.`);
+        process.exit(1);
+    }
+    await ensureFirstAdminUser();
+    app.listen(port, () => {
+        console.log(`Server is listening on port ${port}`);
+    });
+    startSalesRollupJob();
+}
+
+startServer().catch((err) => {
+    console.error('Error starting server:', err);
+    process.exit(1);
+});